@@ -119,21 +119,15 @@ function generateAsciiAnimation(script, frames, x, y, startFrame, frameDuration
 }
 
 /**
- * Generate object tracking outlines (simulated keyframes)
+ * Generate an object tracking outline that morphs between traced keyframes
  * @param {GIVEScript} script - The GIVE script API
  * @param {Array} keyframes - Array of {frame, points} objects
  */
 function generateTrackedOutline(script, keyframes) {
-  for (let i = 0; i < keyframes.length - 1; i++) {
-    const current = keyframes[i];
-    const next = keyframes[i + 1];
-
-    // For now, just use the current keyframe's points for the duration
-    script.outline(current.points, current.frame, next.frame - 1, {
-      strokeColor: '#ffff00',
-      strokeWidth: 3
-    });
-  }
+  return script.outline(keyframes, null, null, {
+    strokeColor: '#ffff00',
+    strokeWidth: 3
+  });
 }
 
 // Example data for testing
@@ -9,6 +9,11 @@
  */
 
 import { GIVEEngine } from '../engine/GIVEEngine.js';
+import { formatProblems } from '../engine/GIVESchema.js';
+import { describeAnchor } from '../engine/GIVESequencing.js';
+
+// Problems listed in the import dialogs before "...and N more"
+const MAX_LISTED_PROBLEMS = 10;
 
 export class GIVEEditor {
   constructor(containerSelector, options = {}) {
@@ -61,9 +66,21 @@ export class GIVEEditor {
     this.engine = new GIVEEngine({
       fps: this.options.fps || 24,
       debug: true,
-      onFrameChange: (frame) => this.updateTimelinePosition(frame)
+      qte: { wrongKeyFails: false }, // Editor shortcuts aren't QTE answers
+      pointerInput: false, // The canvas is used for drawing and selection
+      conditions: false, // Show every overlay while editing, whatever its `when`
+      playMinigames: false, // Games take over input; the editor shows their area instead
+      choiceInput: false // Space, digits and arrows are editor controls, not choice picks
     });
 
+    // Keep the UI in step with the engine
+    this.engine.on('frame', ({ frame }) => this.updateTimelinePosition(frame));
+    this.engine.on('play', () => this.updatePlayButton());
+    this.engine.on('pause', () => this.updatePlayButton());
+    for (const event of ['overlay:added', 'overlay:removed', 'overlay:updated', 'project:loaded']) {
+      this.engine.on(event, () => this.updateLayersList());
+    }
+
     this.engine.init(this.editorContainer.querySelector('.give-viewport'));
 
     // Setup editor event listeners
@@ -194,11 +211,13 @@ export class GIVEEditor {
             <div class="give-fps-setting">
               <label>Frame Rate (FPS): </label>
               <select class="give-fps-select">
-                <option value="23.976">23.976 (Film NTSC)</option>
-                <option value="24" selected>24 (Film)</option>
+                <option value="auto" selected>Auto-detect</option>
+                <option value="24000/1001">23.976 (Film NTSC)</option>
+                <option value="24">24 (Film)</option>
                 <option value="25">25 (PAL)</option>
-                <option value="29.97">29.97 (NTSC)</option>
+                <option value="30000/1001">29.97 (NTSC)</option>
                 <option value="30">30</option>
+                <option value="60000/1001">59.94 (NTSC)</option>
                 <option value="60">60</option>
               </select>
             </div>
@@ -224,7 +243,7 @@ export class GIVEEditor {
 
     videoInput.addEventListener('change', (e) => {
       if (e.target.files.length > 0) {
-        const fps = parseFloat(this.editorContainer.querySelector('.give-fps-select').value);
+        const fps = this.editorContainer.querySelector('.give-fps-select').value;
         this.loadVideoFile(e.target.files[0], fps);
       }
     });
@@ -243,7 +262,7 @@ export class GIVEEditor {
       e.preventDefault();
       loadPrompt.classList.remove('drag-over');
       if (e.dataTransfer.files.length > 0) {
-        const fps = parseFloat(this.editorContainer.querySelector('.give-fps-select').value);
+        const fps = this.editorContainer.querySelector('.give-fps-select').value;
         this.loadVideoFile(e.dataTransfer.files[0], fps);
       }
     });
@@ -292,10 +311,14 @@ export class GIVEEditor {
 
   /**
    * Load a video file
+   * @param {File} file - Video file
+   * @param {number|string} fps - Frame rate, or 'auto' to detect it
    */
-  async loadVideoFile(file, fps = 24) {
+  async loadVideoFile(file, fps = 'auto') {
     try {
-      this.engine.config.fps = fps;
+      if (fps !== 'auto') {
+        this.engine.setFrameRate(fps, { pin: true });
+      }
       const result = await this.engine.loadVideo(file);
 
       // Hide load prompt
@@ -313,7 +336,10 @@ export class GIVEEditor {
       // Setup canvas event listeners
       this.setupCanvasEvents();
 
-      console.log(`[GIVE Editor] Video loaded: ${result.width}x${result.height}, ${result.frames} frames`);
+      console.log(`[GIVE Editor] Video loaded: ${result.width}x${result.height}, ${result.frames} frames @ ${result.fps}fps`);
+      if (result.detectedFps && !result.detectedFps.adopted) {
+        console.warn(`[GIVE Editor] Could not detect frame rate reliably (best guess ${result.detectedFps.fps}, confidence ${result.detectedFps.confidence.toFixed(2)}), using ${result.fps}fps`);
+      }
     } catch (error) {
       console.error('[GIVE Editor] Failed to load video:', error);
       alert('Failed to load video: ' + error.message);
@@ -494,7 +520,7 @@ export class GIVEEditor {
       width,
       height,
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps, // 1 second default
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(1), // 1 second default
       style: {
         strokeColor: '#ffff00',
         strokeWidth: 3,
@@ -505,7 +531,6 @@ export class GIVEEditor {
     this.saveHistory();
     this.engine.addOverlay(overlay);
     this.selectOverlay(overlay.id);
-    this.updateLayersList();
   }
 
   /**
@@ -521,7 +546,7 @@ export class GIVEEditor {
       type: 'outline',
       points: [...this.drawPoints],
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps,
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(1),
       style: {
         strokeColor: '#ffff00',
         strokeWidth: 3
@@ -539,7 +564,6 @@ export class GIVEEditor {
     this.saveHistory();
     this.engine.addOverlay(overlay);
     this.selectOverlay(overlay.id);
-    this.updateLayersList();
 
     this.cancelDrawing();
   }
@@ -567,7 +591,7 @@ export class GIVEEditor {
       x: pos.x,
       y: pos.y,
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps * 3,
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(3),
       style: {
         fontSize: 24,
         fontFamily: 'sans-serif',
@@ -580,7 +604,6 @@ export class GIVEEditor {
     this.saveHistory();
     const id = this.engine.addOverlay(overlay);
     this.selectOverlay(id);
-    this.updateLayersList();
   }
 
   /**
@@ -596,7 +619,7 @@ export class GIVEEditor {
       x: pos.x,
       y: pos.y,
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps * 3,
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(3),
       style: {
         fontSize: 28,
         color: '#ffffff',
@@ -608,7 +631,6 @@ export class GIVEEditor {
     this.saveHistory();
     const id = this.engine.addOverlay(overlay);
     this.selectOverlay(id);
-    this.updateLayersList();
   }
 
   /**
@@ -627,7 +649,7 @@ export class GIVEEditor {
       key: key.toUpperCase(),
       action: action || 'default',
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps * 2,
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(2),
       interactive: true,
       style: {
         size: 60,
@@ -641,7 +663,6 @@ export class GIVEEditor {
     this.saveHistory();
     const id = this.engine.addOverlay(overlay);
     this.selectOverlay(id);
-    this.updateLayersList();
   }
 
   /**
@@ -657,7 +678,7 @@ export class GIVEEditor {
       x: pos.x,
       y: pos.y,
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps * 4,
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(4),
       pointer: {
         x: pos.x + 100,
         y: pos.y + 100
@@ -675,7 +696,6 @@ export class GIVEEditor {
     this.saveHistory();
     const id = this.engine.addOverlay(overlay);
     this.selectOverlay(id);
-    this.updateLayersList();
   }
 
   /**
@@ -691,7 +711,7 @@ export class GIVEEditor {
       x: pos.x,
       y: pos.y,
       frameStart: this.engine.currentFrame,
-      frameEnd: this.engine.currentFrame + this.engine.config.fps * 3,
+      frameEnd: this.engine.currentFrame + this.engine.secondsToFrames(3),
       style: {
         fontSize: 14,
         color: '#00ff00',
@@ -704,7 +724,6 @@ export class GIVEEditor {
     this.saveHistory();
     const id = this.engine.addOverlay(overlay);
     this.selectOverlay(id);
-    this.updateLayersList();
   }
 
   /**
@@ -712,16 +731,13 @@ export class GIVEEditor {
    */
   handleSelection(pos) {
     // Check if clicked on any overlay
-    const overlays = this.engine.getOverlays();
+    const overlays = this.engine.getOverlaysAtFrame(this.engine.currentFrame);
     let found = null;
 
     for (const overlay of overlays) {
-      if (this.engine.currentFrame >= overlay.frameStart &&
-          this.engine.currentFrame <= overlay.frameEnd) {
-        if (this.isPointInOverlay(pos, overlay)) {
-          found = overlay;
-          break;
-        }
+      if (this.isPointInOverlay(pos, overlay)) {
+        found = overlay;
+        break;
       }
     }
 
@@ -736,27 +752,9 @@ export class GIVEEditor {
    * Check if point is inside an overlay
    */
   isPointInOverlay(pos, overlay) {
-    // Handle outline type specially
-    if (overlay.type === 'outline' && overlay.points) {
-      // Simple bounding box check for now
-      const xs = overlay.points.map(p => p.x);
-      const ys = overlay.points.map(p => p.y);
-      const minX = Math.min(...xs) - 10;
-      const maxX = Math.max(...xs) + 10;
-      const minY = Math.min(...ys) - 10;
-      const maxY = Math.max(...ys) + 10;
-      return pos.x >= minX && pos.x <= maxX && pos.y >= minY && pos.y <= maxY;
-    }
-
-    // Standard bounding box
+    // Each overlay type decides its own hit area (bounding box by default)
     const margin = 10;
-    const width = overlay.width || 100;
-    const height = overlay.height || 50;
-
-    return pos.x >= overlay.x - margin &&
-           pos.x <= overlay.x + width + margin &&
-           pos.y >= overlay.y - margin &&
-           pos.y <= overlay.y + height + margin;
+    return this.engine.hitTest(pos, overlay, margin);
   }
 
   /**
@@ -791,21 +789,11 @@ export class GIVEEditor {
     const ctx = this.engine.ctx;
     const padding = 5;
 
-    let x, y, width, height;
-
-    if (overlay.type === 'outline' && overlay.points) {
-      const xs = overlay.points.map(p => p.x);
-      const ys = overlay.points.map(p => p.y);
-      x = Math.min(...xs) - padding;
-      y = Math.min(...ys) - padding;
-      width = Math.max(...xs) - x + padding;
-      height = Math.max(...ys) - y + padding;
-    } else {
-      x = overlay.x - padding;
-      y = overlay.y - padding;
-      width = (overlay.width || 100) + padding * 2;
-      height = (overlay.height || 50) + padding * 2;
-    }
+    const bounds = this.engine.getOverlayBounds(overlay);
+    const x = bounds.x - padding;
+    const y = bounds.y - padding;
+    const width = bounds.width + padding * 2;
+    const height = bounds.height + padding * 2;
 
     ctx.strokeStyle = '#00aaff';
     ctx.lineWidth = 2;
@@ -878,7 +866,6 @@ export class GIVEEditor {
     switch (action) {
       case 'play':
         this.engine.togglePlay();
-        this.updatePlayButton();
         break;
       case 'step-back':
         this.engine.stepFrames(-1);
@@ -997,14 +984,9 @@ export class GIVEEditor {
     const frameDisplay = this.editorContainer.querySelector('.give-frame-display');
     const timeDisplay = this.editorContainer.querySelector('.give-time-display');
 
-    frameDisplay.textContent = `Frame: ${frame} / ${this.engine.totalFrames - 1}`;
-
-    const time = this.engine.frameToTime(frame);
-    const hours = Math.floor(time / 3600);
-    const minutes = Math.floor((time % 3600) / 60);
-    const seconds = Math.floor(time % 60);
-    const ms = Math.floor((time % 1) * 1000);
-    timeDisplay.textContent = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+    const timebase = this.engine.timebase;
+    frameDisplay.textContent = `Frame: ${frame} / ${this.engine.totalFrames - 1} (${timebase.frameToTimecode(frame)})`;
+    timeDisplay.textContent = timebase.formatTime(timebase.frameToTime(frame));
   }
 
   /**
@@ -1079,6 +1061,13 @@ export class GIVEEditor {
         <label>Frame End</label>
         <input type="number" class="give-property-input" data-prop="frameEnd" value="${overlay.frameEnd}">
       </div>
+      ${overlay.anchor ? `
+      <div class="give-property-group">
+        <label>Anchored</label>
+        <span class="give-property-value give-property-id">${describeAnchor(overlay.anchor)}</span>
+        <button class="give-detach-btn" onclick="editor.detachSelectedOverlay()">Detach</button>
+      </div>
+      ` : ''}
       <div class="give-property-group">
         <label>Color</label>
         <input type="color" class="give-property-input" data-prop="style.color" value="${style.color || '#ffffff'}">
@@ -1114,22 +1103,34 @@ export class GIVEEditor {
     this.saveHistory();
 
     // Handle nested properties (e.g., style.color)
+    // Goes through the engine so frame range edits are re-indexed
     if (prop.includes('.')) {
       const [parent, child] = prop.split('.');
-      if (!this.selectedOverlay[parent]) {
-        this.selectedOverlay[parent] = {};
-      }
-      this.selectedOverlay[parent][child] = value;
+      this.engine.updateOverlay(this.selectedOverlay.id, {
+        [parent]: { ...this.selectedOverlay[parent], [child]: value }
+      });
     } else {
-      this.selectedOverlay[prop] = value;
+      this.engine.updateOverlay(this.selectedOverlay.id, { [prop]: value });
     }
-
-    this.engine.render();
     if (this.selectedOverlay) {
       this.drawSelectionBox(this.selectedOverlay);
+      if (prop === 'frameStart' && this.selectedOverlay.anchor) {
+        this.updatePropertiesPanel(); // Shows the rebased gap/offset
+      }
     }
   }
 
+  /**
+   * Drop the selected overlay's anchor, leaving it at its current frames
+   */
+  detachSelectedOverlay() {
+    if (!this.selectedOverlay || !this.selectedOverlay.anchor) return;
+
+    this.saveHistory();
+    this.engine.updateOverlay(this.selectedOverlay.id, { anchor: undefined });
+    this.updatePropertiesPanel();
+  }
+
   /**
    * Delete the selected overlay
    */
@@ -1139,7 +1140,6 @@ export class GIVEEditor {
     this.saveHistory();
     this.engine.removeOverlay(this.selectedOverlay.id);
     this.deselectOverlay();
-    this.updateLayersList();
   }
 
   /**
@@ -1152,7 +1152,7 @@ export class GIVEEditor {
       <div class="give-layer-item ${overlay.id === this.selectedOverlay?.id ? 'selected' : ''}"
            data-id="${overlay.id}">
         <span class="give-layer-type">${overlay.type}</span>
-        <span class="give-layer-frames">${overlay.frameStart}-${overlay.frameEnd}</span>
+        <span class="give-layer-frames"${overlay.anchor ? ` title="${describeAnchor(overlay.anchor)}"` : ''}>${overlay.anchor ? '&#8627; ' : ''}${overlay.frameStart}-${overlay.frameEnd}</span>
       </div>
     `).join('');
 
@@ -1220,8 +1220,7 @@ export class GIVEEditor {
 
     this.historyIndex--;
     const state = JSON.parse(this.history[this.historyIndex]);
-    this.engine.overlays = state;
-    this.engine.render();
+    this.engine.setOverlays(state);
     this.updateLayersList();
     this.deselectOverlay();
   }
@@ -1234,8 +1233,7 @@ export class GIVEEditor {
 
     this.historyIndex++;
     const state = JSON.parse(this.history[this.historyIndex]);
-    this.engine.overlays = state;
-    this.engine.render();
+    this.engine.setOverlays(state);
     this.updateLayersList();
     this.deselectOverlay();
   }
@@ -1273,10 +1271,23 @@ export class GIVEEditor {
       reader.onload = (event) => {
         try {
           const project = JSON.parse(event.target.result);
+          const { errors, warnings } = this.engine.validateProject(project);
+          const list = problems => formatProblems(problems.slice(0, MAX_LISTED_PROBLEMS)).join('\n') +
+            (problems.length > MAX_LISTED_PROBLEMS ? `\n...and ${problems.length - MAX_LISTED_PROBLEMS} more` : '');
+
+          if (errors.length > 0) {
+            console.error('[GIVE Editor] Project has errors:', formatProblems(errors));
+            if (!confirm(`This project has ${errors.length} error(s):\n\n${list(errors)}\n\nLoad it anyway?`)) return;
+          }
+
           this.engine.loadProject(project);
-          this.updateLayersList();
           this.saveHistory();
           console.log('[GIVE Editor] Project imported');
+
+          if (warnings.length > 0) {
+            console.warn('[GIVE Editor] Project warnings:', formatProblems(warnings));
+            alert(`Project imported with ${warnings.length} warning(s):\n\n${list(warnings)}`);
+          }
         } catch (error) {
           console.error('[GIVE Editor] Failed to import project:', error);
           alert('Failed to import project: ' + error.message);
@@ -0,0 +1,384 @@
+/**
+ * GIVE Audio
+ *
+ * Sound cues mixed through Web Audio and scheduled against frame numbers.
+ * `audio` overlays play a file while playback is inside their frame range:
+ *
+ * { "type": "audio", "src": "sfx/creak.mp3", "frameStart": 240, "frameEnd": 300 }                  // One-shot on enter
+ * { "type": "audio", "src": "music/bed.mp3", "loop": true, "frameStart": 0, "frameEnd": 1440 }      // Looping bed
+ * { "type": "audio", "src": "sfx/stake.mp3", "on": "success", "qte": "stake", ... }                // QTE result sound
+ *
+ * A cue entered part-way (a seek, or play from the middle) starts at the matching
+ * offset, so sound stays in step with the picture; beds stop when their range
+ * ends. `on` cues wait for a QTE or minigame result while active: "success",
+ * "fail", a grade ("perfect"...) or a failure reason ("missed"...), optionally
+ * only for the overlay named by `qte`.
+ *
+ * `gain` sets a cue's level and `duck` the video track's level while it plays
+ * (the quietest duck wins). A minigame's `soundtrack` replaces the video's audio
+ * while the game runs. Cues follow the video element's volume and mute, so page
+ * volume controls cover them. Files are fetched when a project loads; the
+ * AudioContext is created on the first play (browsers need a user gesture).
+ */
+
+const DEFAULT_DUCK_TIME = 0.1; // seconds to duck/restore the video track
+
+// Result cue names for a QTE or minigame result
+const resultCues = (result) => {
+  const cues = [result.success ? 'success' : 'fail'];
+  if (result.success && result.grade) cues.push(result.grade);
+  if (!result.success && result.reason) cues.push(result.reason);
+  return cues;
+};
+
+/**
+ * Normalize a minigame soundtrack (a src string or { src, gain, duck })
+ * @param {string|Object} soundtrack - Soundtrack setting
+ * @returns {{src: string, gain: number, duck: number}|null}
+ */
+export function resolveSoundtrack(soundtrack) {
+  if (!soundtrack) return null;
+  const settings = typeof soundtrack === 'string' ? { src: soundtrack } : soundtrack;
+  return {
+    src: settings.src,
+    gain: settings.gain !== undefined ? settings.gain : 1,
+    duck: settings.duck !== undefined ? settings.duck : 0
+  };
+}
+
+export class AudioMixer {
+  /**
+   * @param {GIVEEngine} engine - Engine whose frames schedule the cues
+   * @param {Object} options - Options
+   * @param {function(): AudioContext} options.createContext - Context factory (default: window.AudioContext)
+   * @param {function(string): Promise<ArrayBuffer>} options.load - File loader (default: fetch)
+   * @param {number} options.duckTime - Seconds to duck and restore the video track
+   * @param {boolean} options.duckVideo - Route the video through Web Audio so cues can duck it (default true)
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.createContext = options.createContext || (() => {
+      const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+      return AudioContextClass ? new AudioContextClass() : null;
+    });
+    this.load = options.load || (src => fetch(src).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.arrayBuffer();
+    }));
+    this.duckTime = options.duckTime || DEFAULT_DUCK_TIME;
+    this.duckVideo = options.duckVideo !== false;
+
+    this.context = null;
+    this.cueBus = null;     // Cues and soundtracks -> destination
+    this.videoGain = null;  // Video track -> destination (ducked)
+    this.videoSource = null;
+    this.connectedVideo = null;
+
+    this.files = new Map();   // src -> Promise<ArrayBuffer|null>
+    this.buffers = new Map(); // src -> Promise<AudioBuffer|null>
+    this.voices = [];         // { overlay, source, gain, duck, loop }
+    this.soundtrack = null;   // { overlay, voice }
+
+    this.updateVolume = this.updateVolume.bind(this);
+
+    engine.internalEvents.on('play', () => this.start());
+    engine.internalEvents.on('pause', () => this.stopAll());
+    engine.internalEvents.on('overlay:enter', ({ overlay }) => {
+      if (overlay.type === 'audio' && !overlay.on && this.engine.isPlaying) this.playCue(overlay);
+    });
+    engine.internalEvents.on('overlay:exit', ({ overlay }) => {
+      if (overlay.type === 'audio') this.stopOverlay(overlay, voice => voice.loop);
+    });
+    // Seeking cuts one-shots that are no longer in range
+    engine.internalEvents.on('seek', () => {
+      for (const voice of this.voices.slice()) {
+        if (!this.engine.activeSet.has(voice.overlay)) this.stopVoice(voice);
+      }
+      if (this.soundtrack && !this.engine.minigames.isRunning(this.soundtrack.overlay)) this.clearSoundtrack();
+    });
+    engine.internalEvents.on('qte:result', (result) => this.playResultCues(result));
+    engine.internalEvents.on('minigame:result', (result) => {
+      this.clearSoundtrack();
+      this.playResultCues(result);
+    });
+    engine.internalEvents.on('minigame:start', ({ overlay }) => this.setSoundtrack(overlay));
+    engine.internalEvents.on('project:loaded', ({ overlays }) => {
+      this.stopAll();
+      this.clearSoundtrack();
+      this.preload(overlays);
+    });
+    engine.internalEvents.on('overlay:added', ({ overlay }) => this.preload([overlay]));
+  }
+
+  /**
+   * Fetch the files used by overlays (audio cues and minigame soundtracks)
+   * @param {Array<Object>} overlays - Overlays
+   */
+  preload(overlays) {
+    for (const overlay of overlays) {
+      if (overlay.type === 'audio' && overlay.src) this.fetchFile(overlay.src);
+      const soundtrack = overlay.type === 'minigame' && resolveSoundtrack(overlay.soundtrack);
+      if (soundtrack && soundtrack.src) this.fetchFile(soundtrack.src);
+    }
+  }
+
+  /**
+   * Fetch a file once
+   * @param {string} src - URL
+   * @returns {Promise<ArrayBuffer|null>} null if it failed (reported once)
+   */
+  fetchFile(src) {
+    if (!this.files.has(src)) {
+      this.files.set(src, Promise.resolve()
+        .then(() => this.load(src))
+        .catch((error) => {
+          console.warn(`[GIVE] Could not load audio "${src}": ${error.message}`);
+          return null;
+        }));
+    }
+    return this.files.get(src);
+  }
+
+  /**
+   * Decoded audio for a file (needs the AudioContext)
+   * @param {string} src - URL
+   * @returns {Promise<AudioBuffer|null>}
+   */
+  getBuffer(src) {
+    if (!this.buffers.has(src)) {
+      this.buffers.set(src, this.fetchFile(src).then((data) => {
+        if (!data || !this.context) return null;
+        // decodeAudioData detaches its input; keep the fetched copy intact
+        return this.context.decodeAudioData(data.slice(0));
+      }).catch((error) => {
+        console.warn(`[GIVE] Could not decode audio "${src}": ${error.message}`);
+        return null;
+      }));
+    }
+    return this.buffers.get(src);
+  }
+
+  /**
+   * Create the AudioContext and buses (first play)
+   * @returns {boolean} True if Web Audio is available
+   */
+  ensureContext() {
+    if (!this.context) {
+      this.context = this.createContext();
+      if (!this.context) return false;
+
+      this.cueBus = this.context.createGain();
+      this.cueBus.connect(this.context.destination);
+      this.videoGain = this.context.createGain();
+      this.videoGain.connect(this.context.destination);
+    }
+    return true;
+  }
+
+  /**
+   * Playback started: resume the context, route the video and start cues already in range
+   */
+  start() {
+    if (!this.ensureContext()) return;
+
+    const resumed = this.context.state === 'suspended' ? this.context.resume() : Promise.resolve();
+    resumed.then(() => this.connectVideo()).catch(() => {});
+
+    for (const overlay of this.engine.activeOverlays) {
+      if (overlay.type === 'audio' && !overlay.on && !this.voices.some(voice => voice.overlay === overlay)) {
+        this.playCue(overlay);
+      }
+    }
+    if (this.soundtrack && !this.soundtrack.voice) this.setSoundtrack(this.soundtrack.overlay);
+    this.updateVolume();
+  }
+
+  /**
+   * Route the video element through the ducking gain
+   * Only done once the context runs: a suspended context would silence the video.
+   */
+  connectVideo() {
+    const video = this.engine.video;
+    if (!this.duckVideo || !video || video === this.connectedVideo || this.context.state !== 'running') return;
+
+    if (this.connectedVideo) this.connectedVideo.removeEventListener('volumechange', this.updateVolume);
+    if (this.videoSource) this.videoSource.disconnect();
+    try {
+      this.videoSource = this.context.createMediaElementSource(video);
+      this.videoSource.connect(this.videoGain);
+    } catch (error) {
+      console.warn(`[GIVE] Video audio can't be ducked: ${error.message}`);
+      this.videoSource = null;
+    }
+    this.connectedVideo = video;
+    video.addEventListener('volumechange', this.updateVolume);
+    this.updateDucking();
+  }
+
+  /**
+   * Play an audio overlay from the offset matching the current frame
+   * @param {Object} overlay - Audio overlay
+   * @param {Object} options - { fromStart: true } to ignore the frame offset (result cues)
+   */
+  playCue(overlay, options = {}) {
+    if (!overlay.src || !this.ensureContext()) return;
+
+    const startFrame = this.engine.currentFrame;
+    this.getBuffer(overlay.src).then((buffer) => {
+      if (!buffer || !this.engine.isPlaying) return;
+      // Still in range once decoded? (result cues play whatever the frame)
+      if (!options.fromStart && !this.engine.activeSet.has(overlay)) return;
+
+      const elapsed = options.fromStart ? 0
+        : this.engine.frameToTime(this.engine.currentFrame) - this.engine.frameToTime(overlay.frameStart);
+      const loop = Boolean(overlay.loop);
+      let offset = Math.max(0, elapsed);
+      if (loop) {
+        offset %= buffer.duration;
+      } else if (offset >= buffer.duration) {
+        return; // Already over
+      }
+
+      this.startVoice(overlay, buffer, {
+        offset,
+        loop,
+        gain: overlay.gain !== undefined ? overlay.gain : 1,
+        duck: overlay.duck !== undefined ? overlay.duck : 1
+      });
+      if (this.engine.config.debug) {
+        console.log(`[GIVE] Audio "${overlay.src}" at frame ${startFrame} (+${offset.toFixed(2)}s)`);
+      }
+    });
+  }
+
+  /**
+   * Start a buffer source through its own gain
+   * @returns {Object} Voice
+   */
+  startVoice(overlay, buffer, { offset = 0, loop = false, gain = 1, duck = 1 }) {
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+
+    const gainNode = this.context.createGain();
+    gainNode.gain.value = gain;
+    source.connect(gainNode);
+    gainNode.connect(this.cueBus);
+
+    const voice = { overlay, source, gain: gainNode, duck, loop };
+    source.onended = () => this.removeVoice(voice);
+    source.start(0, offset);
+
+    this.voices.push(voice);
+    this.updateDucking();
+    return voice;
+  }
+
+  /**
+   * Play `on` cues matching a QTE or minigame result
+   * @param {Object} result - qte:result or minigame:result payload
+   */
+  playResultCues(result) {
+    const cues = resultCues(result);
+    const targetId = result.overlay && result.overlay.id;
+
+    for (const overlay of this.engine.activeOverlays) {
+      if (overlay.type !== 'audio' || !cues.includes(overlay.on)) continue;
+      if (overlay.qte && overlay.qte !== targetId) continue;
+      this.playCue(overlay, { fromStart: true });
+    }
+  }
+
+  /**
+   * Replace the video's audio with a minigame's soundtrack while it runs
+   * @param {Object} overlay - Minigame overlay
+   */
+  setSoundtrack(overlay) {
+    const soundtrack = resolveSoundtrack(overlay.soundtrack);
+    this.clearSoundtrack();
+    if (!soundtrack || !soundtrack.src || !this.ensureContext()) return;
+
+    const entry = { overlay, voice: null };
+    this.soundtrack = entry;
+    this.getBuffer(soundtrack.src).then((buffer) => {
+      if (!buffer || this.soundtrack !== entry) return;
+      entry.voice = this.startVoice(overlay, buffer, { loop: true, gain: soundtrack.gain, duck: soundtrack.duck });
+    });
+  }
+
+  /**
+   * Stop the minigame soundtrack and bring the video's audio back
+   */
+  clearSoundtrack() {
+    const entry = this.soundtrack;
+    this.soundtrack = null;
+    if (entry && entry.voice) this.stopVoice(entry.voice);
+  }
+
+  /**
+   * Stop an overlay's voices
+   * @param {Object} overlay - Audio overlay
+   * @param {function(Object): boolean} filter - Which voices (default: all)
+   */
+  stopOverlay(overlay, filter = () => true) {
+    for (const voice of this.voices.slice()) {
+      if (voice.overlay === overlay && filter(voice)) this.stopVoice(voice);
+    }
+  }
+
+  /**
+   * Stop every cue (pause, project load); cues restart from the right offset on play
+   */
+  stopAll() {
+    for (const voice of this.voices.slice()) this.stopVoice(voice);
+    if (this.soundtrack) this.soundtrack.voice = null;
+  }
+
+  stopVoice(voice) {
+    voice.source.onended = null;
+    try {
+      voice.source.stop();
+    } catch (error) {
+      // Already stopped
+    }
+    voice.gain.disconnect();
+    this.removeVoice(voice);
+  }
+
+  removeVoice(voice) {
+    const index = this.voices.indexOf(voice);
+    if (index !== -1) this.voices.splice(index, 1);
+    this.updateDucking();
+  }
+
+  /**
+   * Set the video track's level to the quietest duck among playing voices
+   */
+  updateDucking() {
+    if (!this.videoGain) return;
+    const level = this.voices.reduce((lowest, voice) => Math.min(lowest, voice.duck), 1);
+    this.videoGain.gain.setTargetAtTime(level, this.context.currentTime, this.duckTime / 3);
+  }
+
+  /**
+   * Follow the video element's volume and mute
+   */
+  updateVolume() {
+    const video = this.engine.video;
+    if (!this.cueBus || !video) return;
+    this.cueBus.gain.value = video.muted ? 0 : video.volume;
+  }
+
+  /**
+   * Stop everything and close the context
+   */
+  destroy() {
+    this.stopAll();
+    this.clearSoundtrack();
+    if (this.connectedVideo) this.connectedVideo.removeEventListener('volumechange', this.updateVolume);
+    if (this.context && this.context.close) this.context.close();
+    this.context = null;
+  }
+}
+
+export default AudioMixer;
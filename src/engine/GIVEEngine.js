@@ -5,15 +5,57 @@
  * Designed for interactive FMV games, parody subtitles, and mini-game integration.
  */
 
-export class GIVEEngine {
+import { interpolateKeyframes, interpolatePoints } from './GIVEKeyframes.js';
+import { getTransitionState } from './GIVETransitions.js';
+import { createFrameSync } from './GIVESync.js';
+import { Timebase } from './GIVETimebase.js';
+import { probeFrameRate } from './GIVEFrameRateProbe.js';
+import { IntervalIndex } from './GIVEIntervalIndex.js';
+import { BUILT_IN_OVERLAY_TYPES, applyDefaults, defaultBounds, traceHotspot, validateOverlayType } from './GIVEOverlayTypes.js';
+import { validateProject, formatProblems } from './GIVESchema.js';
+import { GIVEEventEmitter, ENGINE_EVENTS } from './GIVEEvents.js';
+import { QTEController, keyGlyph, qteLayout, qtePlayback } from './GIVEQTE.js';
+import { GamepadInput } from './GIVEGamepad.js';
+import { StoryGraph, choiceLayout, optionKey } from './GIVEStoryGraph.js';
+import { GameState } from './GIVEState.js';
+import { ScoringSystem } from './GIVEScoring.js';
+import { MinigameRunner } from './GIVEMinigames.js';
+import { AudioMixer } from './GIVEAudio.js';
+import { ImageCache } from './GIVESprites.js';
+import { migrateProject, compareVersions, PROJECT_VERSION } from './GIVEMigrations.js';
+import { resolveAnchors, anchorFrame, anchorKind, anchorShiftField, shiftOverlay } from './GIVESequencing.js';
+
+// Project fields the engine reads and writes; anything else is carried through export untouched
+const PROJECT_FIELDS = ['version', 'fps', 'dropFrame', 'videoWidth', 'videoHeight', 'totalFrames', 'state', 'scoring', 'markers', 'segments', 'overlays'];
+
+// Focused elements that use keys themselves (typing, Enter on a button, arrows in a select)
+const FORM_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'];
+
+export class GIVEEngine extends GIVEEventEmitter {
   constructor(options = {}) {
+    super(ENGINE_EVENTS);
+
+    // Frame rate (integer, decimal NTSC shorthand or "30000/1001")
+    this.timebase = Timebase.parse(options.fps || 24, { dropFrame: options.dropFrame });
+
     // Core configuration
     this.config = {
-      fps: options.fps || 24, // Default to film standard, auto-detected if possible
+      fps: this.timebase.fps, // Default to film standard, auto-detected if possible
       debug: options.debug || false,
       autoPlay: options.autoPlay || false,
+      syncStrategy: options.syncStrategy || 'auto', // 'auto', 'video-frame-callback' or 'animation-frame'
+      detectFps: options.detectFps !== false, // Probe the frame rate on video load
+      fpsConfidence: options.fpsConfidence || 0.6, // Minimum probe confidence to adopt a detected rate
+      pointerInput: options.pointerInput !== false, // Click/touch input on the overlay canvas
+      conditions: options.conditions !== false, // Hide overlays whose `when` is false
+      playMinigames: options.playMinigames !== false, // Start minigames when playback reaches them
+      choiceInput: options.choiceInput !== false, // Keys, clicks and gamepad pick choice options
     };
 
+    // Frame rate pinned by a project/script (detection won't override it)
+    this.fpsPinned = false;
+    this.detectedFrameRate = null;
+
     // State
     this.video = null;
     this.canvas = null;
@@ -24,23 +66,92 @@ export class GIVEEngine {
     this.totalFrames = 0;
     this.videoWidth = 0;
     this.videoHeight = 0;
-    this.animationId = null;
+    this.sync = null;
 
     // Overlay data
     this.overlays = [];
     this.activeOverlays = [];
+    this.activeSet = new Set(); // Active overlays at the last render, for enter/exit events
+    this.overlayIndex = new IntervalIndex();
+    this.batchDepth = 0; // Inside batch(): index, anchors and drawing wait until it ends
+    this.projectExtras = {}; // Unknown fields of the loaded project (title, videoSource...)
+
+    // Overlay type registry (built-ins plus anything passed in options.overlayTypes)
+    this.overlayTypes = new Map();
+    for (const [type, definition] of Object.entries({ ...BUILT_IN_OVERLAY_TYPES, ...options.overlayTypes })) {
+      this.registerOverlayType(type, definition);
+    }
 
-    // Callbacks
+    // Callbacks (kept for compatibility; engine.on() events are preferred)
     this.onFrameChange = options.onFrameChange || null;
     this.onOverlayTrigger = options.onOverlayTrigger || null;
     this.onQTEPrompt = options.onQTEPrompt || null;
 
+    // Images and sprite atlases, loaded ahead of time (options.images: { createImage, loadJSON })
+    this.images = new ImageCache({
+      ...options.images,
+      onLoad: () => {
+        if (this.ctx) this.render();
+      }
+    });
+
     // Collision system
     this.collisionAreas = [];
 
+    // Subsystems listen here rather than with engine.on(), so removeAllListeners() or
+    // off(event) on the engine can't unplug them; emit() reaches these listeners first
+    this.internalEvents = new GIVEEventEmitter(ENGINE_EVENTS);
+
+    // QTE input and grading (options.qte: { grading, wrongKeyFails, ignoreKeys })
+    this.qte = new QTEController(this, options.qte);
+
+    // QTE playback modes: a freeze waiting for an answer, and the rate to restore after a slow-down
+    this.hold = null;
+    this.normalPlaybackRate = null;
+    this.internalEvents.on('qte:result', ({ overlay }) => {
+      if (this.hold && this.hold.overlay === overlay) this.releaseHold();
+    });
+
+    // Controller input (options.gamepad: { mapping, deadzone, getGamepads }, false disables)
+    this.gamepad = options.gamepad === false ? null : new GamepadInput(this, options.gamepad);
+
+    // Markers, segments and choice overlays (branching playback)
+    this.story = new StoryGraph(this);
+
+    // Session state read by `when` conditions and changed by `effects`
+    this.state = new GameState(this, options.state);
+    this.internalEvents.on('state:changed', () => {
+      // Conditions may have changed; playback redraws on the next frame anyway
+      if (!this.isPlaying) this.render();
+    });
+
+    // Points, combos and lives (options.scoring is the base for every project's `scoring`)
+    this.scoring = new ScoringSystem(this, options.scoring);
+    this.scoring.reset();
+
+    // Minigame modules by name (options.minigames), run by `minigame` overlays
+    this.minigames = new MinigameRunner(this, options.minigames);
+
+    // Audio cues, ducking and minigame soundtracks (options.audio: { duckTime, duckVideo, ... }, false disables)
+    this.audio = options.audio === false ? null : new AudioMixer(this, options.audio);
+
     // Bind methods
     this.renderLoop = this.renderLoop.bind(this);
     this.handleKeyPress = this.handleKeyPress.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+  }
+
+  /**
+   * Emit an event to the subsystems, then to engine.on() listeners
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload = {}) {
+    this.internalEvents.emit(event, payload);
+    super.emit(event, payload);
   }
 
   /**
@@ -82,6 +193,15 @@ export class GIVEEngine {
       this.video.playsInline = true;
       this.video.preload = 'auto';
 
+      // Follow presented frames with the best available sync strategy
+      if (this.sync) this.sync.stop();
+      this.sync = createFrameSync(
+        this.video,
+        (time) => this.timeToFrame(time),
+        this.renderLoop,
+        this.config.syncStrategy
+      );
+
       // Handle File objects
       if (source instanceof File) {
         this.video.src = URL.createObjectURL(source);
@@ -89,17 +209,37 @@ export class GIVEEngine {
         this.video.src = source;
       }
 
-      this.video.addEventListener('loadedmetadata', () => {
+      this.video.addEventListener('loadedmetadata', async () => {
         this.videoWidth = this.video.videoWidth;
         this.videoHeight = this.video.videoHeight;
-        this.totalFrames = Math.floor(this.video.duration * this.config.fps);
+        this.totalFrames = this.timebase.timeToFrame(this.video.duration);
+
+        this.setupCanvas();
+
+        if (this.config.detectFps && !this.fpsPinned) {
+          try {
+            await this.detectFrameRate();
+          } catch (error) {
+            console.warn('[GIVE] Frame rate detection failed:', error);
+          }
+        }
 
         if (this.config.debug) {
-          console.log(`[GIVE] Video loaded: ${this.videoWidth}x${this.videoHeight}, ${this.totalFrames} frames @ ${this.config.fps}fps`);
+          console.log(`[GIVE] Video loaded: ${this.videoWidth}x${this.videoHeight}, ${this.totalFrames} frames @ ${this.timebase}fps (${this.sync.name} sync)`);
         }
 
-        this.setupCanvas();
-        resolve({ width: this.videoWidth, height: this.videoHeight, frames: this.totalFrames });
+        resolve({
+          width: this.videoWidth,
+          height: this.videoHeight,
+          frames: this.totalFrames,
+          fps: this.timebase.toJSON(),
+          detectedFps: this.detectedFrameRate
+        });
+      }, { once: true });
+
+      this.video.addEventListener('ended', () => {
+        this.pause();
+        this.emit('ended', { frame: this.currentFrame });
       });
 
       this.video.addEventListener('error', (e) => {
@@ -134,6 +274,14 @@ export class GIVEEngine {
     // Add canvas to container
     this.container.appendChild(this.canvas);
 
+    // Clicks and touches on overlays (QTEs, hotspots)
+    if (this.config.pointerInput) {
+      this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+      this.canvas.addEventListener('pointerup', this.handlePointerUp);
+      this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+      this.canvas.addEventListener('pointermove', this.handlePointerMove);
+    }
+
     // Setup responsive scaling while maintaining pixel precision
     this.updateLayout();
     window.addEventListener('resize', () => this.updateLayout());
@@ -183,13 +331,56 @@ export class GIVEEngine {
     return { x, y };
   }
 
+  /**
+   * Set the frame rate
+   * @param {number|string} fps - 24, 29.97, "30000/1001", ...
+   * @param {Object} options - Timebase options (e.g. dropFrame), plus pin: true to stop
+   *   frame rate detection from replacing it
+   */
+  setFrameRate(fps, options = {}) {
+    this.timebase = Timebase.parse(fps, options);
+    this.config.fps = this.timebase.fps;
+
+    if (options.pin) {
+      this.fpsPinned = true;
+    }
+
+    if (this.video && this.video.duration) {
+      this.totalFrames = this.timebase.timeToFrame(this.video.duration);
+    }
+  }
+
+  /**
+   * Probe the loaded video's frame rate
+   * Adopts the detected rate unless one is pinned or the probe isn't confident enough.
+   * @param {Object} options - Probe options
+   * @returns {Promise<Object>} Probe result (fps, measuredFps, confidence, method, samples, adopted)
+   */
+  async detectFrameRate(options = {}) {
+    const result = await probeFrameRate(this.video, options);
+    result.adopted = false;
+
+    if (result.fps && !this.fpsPinned && result.confidence >= this.config.fpsConfidence) {
+      this.setFrameRate(result.fps);
+      result.adopted = true;
+    }
+
+    this.detectedFrameRate = result;
+
+    if (this.config.debug) {
+      console.log(`[GIVE] Detected ${result.fps}fps (measured ${result.measuredFps}, confidence ${result.confidence.toFixed(2)}, ${result.method})${result.adopted ? '' : ' - not adopted'}`);
+    }
+
+    return result;
+  }
+
   /**
    * Convert time to frame number
    * @param {number} time - Time in seconds
    * @returns {number} Frame number
    */
   timeToFrame(time) {
-    return Math.floor(time * this.config.fps);
+    return this.timebase.timeToFrame(time);
   }
 
   /**
@@ -198,7 +389,16 @@ export class GIVEEngine {
    * @returns {number} Time in seconds
    */
   frameToTime(frame) {
-    return frame / this.config.fps;
+    return this.timebase.frameToTime(frame);
+  }
+
+  /**
+   * Convert a duration in seconds to a whole number of frames
+   * @param {number} seconds - Duration in seconds
+   * @returns {number} Frame count
+   */
+  secondsToFrames(seconds) {
+    return this.timebase.secondsToFrames(seconds);
   }
 
   /**
@@ -207,13 +407,17 @@ export class GIVEEngine {
    */
   seekToFrame(frame) {
     frame = Math.max(0, Math.min(frame, this.totalFrames - 1));
-    this.video.currentTime = this.frameToTime(frame);
+    const previousFrame = this.currentFrame;
+    // Seeking away from a frozen QTE lets playback continue, and abandons a running minigame
+    if (this.hold) this.releaseHold();
+    this.minigames.cancel();
+    // Seek to the middle of the frame so rounded container timestamps can't show its neighbour
+    this.video.currentTime = this.frameToTime(frame + 0.5);
     this.currentFrame = frame;
     this.render();
 
-    if (this.onFrameChange) {
-      this.onFrameChange(frame);
-    }
+    this.emit('seek', { frame, previousFrame });
+    this.emitFrameChange(previousFrame, 'seek');
   }
 
   /**
@@ -230,20 +434,21 @@ export class GIVEEngine {
   play() {
     if (this.isPlaying) return;
     this.isPlaying = true;
-    this.video.play();
-    this.animationId = requestAnimationFrame(this.renderLoop);
+    // A frozen QTE or minigame keeps the video stopped until it's done
+    if (!this.hold) this.video.play();
+    this.sync.start();
+    this.emit('play', { frame: this.currentFrame });
   }
 
   /**
    * Pause playback
    */
   pause() {
+    const wasPlaying = this.isPlaying;
     this.isPlaying = false;
-    this.video.pause();
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
+    if (this.video) this.video.pause();
+    if (this.sync) this.sync.stop();
+    if (wasPlaying) this.emit('pause', { frame: this.currentFrame });
   }
 
   /**
@@ -259,22 +464,151 @@ export class GIVEEngine {
 
   /**
    * Main render loop - syncs overlays to video frames
+   * Called by the sync strategy with the frame currently being presented.
+   * @param {number} newFrame - Presented frame number
    */
-  renderLoop() {
+  renderLoop(newFrame) {
     if (!this.isPlaying) return;
 
-    const newFrame = this.timeToFrame(this.video.currentTime);
+    if (this.hold) return; // Frozen on a QTE or minigame
 
-    if (newFrame !== this.currentFrame) {
-      this.currentFrame = newFrame;
+    const { frame, source } = this.constrainPlayback(this.currentFrame, newFrame);
+    if (frame !== this.currentFrame) {
+      const previousFrame = this.currentFrame;
+      this.currentFrame = frame;
       this.render();
+      this.emitFrameChange(previousFrame, source);
+    }
+  }
+
+  /**
+   * Apply freeze and loop QTE playback modes, and start minigames, on the next presented frame
+   * @param {number} previousFrame - Frame shown before
+   * @param {number} frame - Frame the video reached
+   * @returns {{frame: number, source: string}} Frame to show, and 'playback' or 'loop'
+   */
+  constrainPlayback(previousFrame, frame) {
+    if (frame <= previousFrame) return { frame, source: 'playback' };
+
+    for (const overlay of this.getOverlaysInRange(previousFrame, frame)) {
+      if (overlay.type === 'minigame') {
+        const constrained = this.constrainMinigame(overlay, previousFrame, frame);
+        if (constrained) return constrained;
+        continue;
+      }
 
-      if (this.onFrameChange) {
-        this.onFrameChange(this.currentFrame);
+      if (overlay.type !== 'qte' || !this.qte.isOpen(overlay)) continue;
+      const playback = qtePlayback(overlay);
+
+      if (playback.mode === 'freeze' && playback.at > previousFrame && playback.at <= frame) {
+        return this.freezeAt(overlay, playback.at);
       }
+
+      if (playback.mode === 'loop' && playback.to >= previousFrame && playback.to < frame) {
+        return this.loopTo(playback.from);
+      }
+    }
+
+    return { frame, source: 'playback' };
+  }
+
+  /**
+   * Start a minigame when playback reaches it, and keep the video paused or looping while it runs
+   * @returns {{frame: number, source: string}|null} Frame to show, or null to play on
+   */
+  constrainMinigame(overlay, previousFrame, frame) {
+    const mode = this.minigames.videoMode(overlay);
+
+    if (this.minigames.isRunning(overlay)) {
+      if (mode === 'loop' && overlay.frameEnd >= previousFrame && overlay.frameEnd < frame) {
+        return this.loopTo(overlay.frameStart);
+      }
+      return null;
+    }
+
+    if (!this.config.playMinigames || overlay.frameStart <= previousFrame || overlay.frameStart > frame) return null;
+    if (!this.checkCondition(overlay) || !this.minigames.start(overlay)) return null;
+
+    // The game may have ended itself in start()
+    if (mode === 'pause' && this.minigames.isRunning(overlay)) return this.freezeAt(overlay, overlay.frameStart);
+    return null;
+  }
+
+  /**
+   * Stop the video on a frame until the overlay holding it is done
+   * @returns {{frame: number, source: string}}
+   */
+  freezeAt(overlay, frame) {
+    this.hold = { overlay, frame };
+    this.video.pause();
+    this.video.currentTime = this.frameToTime(frame + 0.5);
+    return { frame, source: 'playback' };
+  }
+
+  /**
+   * Jump playback back to the start of a loop
+   * @returns {{frame: number, source: string}}
+   */
+  loopTo(frame) {
+    this.video.currentTime = this.frameToTime(frame + 0.5);
+    return { frame, source: 'loop' };
+  }
+
+  /**
+   * End a QTE or minigame freeze and resume the video if playback is on
+   */
+  releaseHold() {
+    this.hold = null;
+    if (this.isPlaying && this.video) this.video.play();
+  }
+
+  /**
+   * Slow the video while a `slow` QTE is waiting for an answer, and restore the rate after
+   */
+  updatePlaybackRate() {
+    if (!this.video) return;
+
+    const rates = this.activeOverlays
+      .filter(overlay => overlay.type === 'qte' && this.qte.isOpen(overlay))
+      .map(qtePlayback)
+      .filter(playback => playback.mode === 'slow')
+      .map(playback => playback.rate);
+
+    if (rates.length > 0) {
+      if (this.normalPlaybackRate === null) this.normalPlaybackRate = this.video.playbackRate;
+      this.video.playbackRate = Math.min(...rates);
+    } else if (this.normalPlaybackRate !== null) {
+      this.video.playbackRate = this.normalPlaybackRate;
+      this.normalPlaybackRate = null;
     }
+  }
+
+  /**
+   * Notify listeners that the current frame changed
+   * @param {number} previousFrame - Frame before the change
+   * @param {string} source - 'playback', 'loop' (a looping QTE jumped back) or 'seek'
+   */
+  emitFrameChange(previousFrame, source) {
+    this.emit('frame', { frame: this.currentFrame, previousFrame, source });
 
-    this.animationId = requestAnimationFrame(this.renderLoop);
+    if (this.onFrameChange) {
+      this.onFrameChange(this.currentFrame);
+    }
+  }
+
+  /**
+   * Get frame sync statistics for the loaded video
+   * @returns {Object|null} Strategy name, drift (in frames), skipped and dropped frame counts
+   */
+  getSyncStats() {
+    return this.sync ? this.sync.getStats() : null;
+  }
+
+  /**
+   * Reset frame sync statistics
+   */
+  resetSyncStats() {
+    if (this.sync) this.sync.resetStats();
   }
 
   /**
@@ -287,10 +621,8 @@ export class GIVEEngine {
     this.ctx.clearRect(0, 0, this.videoWidth, this.videoHeight);
 
     // Find active overlays for current frame
-    this.activeOverlays = this.overlays.filter(overlay =>
-      this.currentFrame >= overlay.frameStart &&
-      this.currentFrame <= overlay.frameEnd
-    );
+    this.activeOverlays = this.overlayIndex.queryPoint(this.currentFrame)
+      .filter(overlay => this.checkCondition(overlay));
 
     // Render each overlay
     for (const overlay of this.activeOverlays) {
@@ -299,6 +631,45 @@ export class GIVEEngine {
 
     // Update collision areas
     this.updateCollisionAreas();
+
+    this.updateActiveSet();
+    this.updatePlaybackRate();
+  }
+
+  /**
+   * Whether an overlay's `when` condition holds (overlays without one always show)
+   * @param {Object} overlay - Overlay definition
+   * @returns {boolean}
+   */
+  checkCondition(overlay) {
+    return !overlay.when || !this.config.conditions || this.state.test(overlay.when);
+  }
+
+  /**
+   * Emit enter/exit events for overlays that became (in)active since the last render
+   * Each activation fires one enter and one exit, however often the frame is redrawn.
+   */
+  updateActiveSet() {
+    const previous = this.activeSet;
+    const current = new Set(this.activeOverlays);
+    this.activeSet = current;
+
+    const frame = this.currentFrame;
+    for (const overlay of previous) {
+      if (!current.has(overlay)) {
+        this.emit('overlay:exit', { overlay, frame });
+      }
+    }
+    for (const overlay of current) {
+      if (!previous.has(overlay)) {
+        this.emit('overlay:enter', { overlay, frame });
+
+        // Legacy trigger callback for interactive overlays
+        if (overlay.interactive && this.onOverlayTrigger) {
+          this.onOverlayTrigger(overlay);
+        }
+      }
+    }
   }
 
   /**
@@ -309,109 +680,319 @@ export class GIVEEngine {
     const ctx = this.ctx;
     ctx.save();
 
-    // Apply overlay-specific transforms if any
-    if (overlay.transform) {
-      ctx.translate(overlay.x + overlay.width / 2, overlay.y + overlay.height / 2);
-      if (overlay.transform.rotate) ctx.rotate(overlay.transform.rotate * Math.PI / 180);
-      if (overlay.transform.scale) ctx.scale(overlay.transform.scale, overlay.transform.scale);
-      ctx.translate(-(overlay.x + overlay.width / 2), -(overlay.y + overlay.height / 2));
+    // Apply static transform, keyframe animation and enter/exit transition
+    const { dx, dy, centerX, centerY, rotation, scale, opacity, reveal } = this.getOverlayTransform(overlay);
+
+    ctx.globalAlpha = Math.max(0, Math.min(1, opacity));
+    ctx.translate(dx, dy);
+
+    if (rotation || scale !== 1) {
+      // Rotate and scale around the overlay's center
+      ctx.translate(centerX, centerY);
+      if (rotation) ctx.rotate(rotation * Math.PI / 180);
+      if (scale !== 1) ctx.scale(scale, scale);
+      ctx.translate(-centerX, -centerY);
     }
 
-    switch (overlay.type) {
-      case 'text':
-        this.renderText(overlay);
-        break;
-      case 'caption':
-        this.renderCaption(overlay);
-        break;
-      case 'shape':
-        this.renderShape(overlay);
-        break;
-      case 'ascii':
-        this.renderAscii(overlay);
-        break;
-      case 'outline':
-        this.renderOutline(overlay);
-        break;
-      case 'qte':
-        this.renderQTE(overlay);
-        break;
-      case 'popup':
-        this.renderPopup(overlay);
-        break;
-      case 'image':
-        this.renderImage(overlay);
-        break;
-      default:
-        if (this.config.debug) {
-          console.warn(`[GIVE] Unknown overlay type: ${overlay.type}`);
-        }
+    const definition = this.overlayTypes.get(overlay.type);
+    if (definition) {
+      definition.render(ctx, overlay, this, { frame: this.currentFrame, reveal });
+    } else if (this.config.debug) {
+      console.warn(`[GIVE] Unknown overlay type: ${overlay.type}`);
     }
 
     ctx.restore();
+  }
+
+  /**
+   * How an overlay is drawn at the current frame: keyframe animation plus enter/exit
+   * transition, as an offset from its own x/y and a rotation and scale around its center
+   * @param {Object} overlay - Overlay definition
+   * @returns {{dx: number, dy: number, centerX: number, centerY: number, rotation: number,
+   *   scale: number, opacity: number, reveal: number|null}}
+   */
+  getOverlayTransform(overlay) {
+    const state = this.getAnimatedState(overlay);
+    const transition = getTransitionState(overlay, this.currentFrame, {
+      width: this.videoWidth,
+      height: this.videoHeight
+    });
+    const baseX = overlay.x || 0;
+    const baseY = overlay.y || 0;
+
+    return {
+      dx: state.x - baseX + (transition ? transition.offsetX : 0),
+      dy: state.y - baseY + (transition ? transition.offsetY : 0),
+      centerX: baseX + (overlay.width || 0) / 2,
+      centerY: baseY + (overlay.height || 0) / 2,
+      rotation: state.rotation,
+      scale: state.scale * (transition ? transition.scale : 1),
+      opacity: state.opacity * (transition ? transition.opacity : 1),
+      reveal: transition ? transition.reveal : null
+    };
+  }
+
+  /**
+   * Map a point on screen into an overlay's own coordinates (undoing its animation and transition)
+   * @param {{x: number, y: number}} point - Point in video pixels
+   * @param {Object} overlay - Overlay definition
+   * @param {Object} transform - Its getOverlayTransform (computed if not given)
+   * @returns {{x: number, y: number}|null} Point, or null while the overlay is scaled to nothing
+   */
+  toOverlayPoint(point, overlay, transform = this.getOverlayTransform(overlay)) {
+    const { dx, dy, centerX, centerY, rotation, scale } = transform;
+    if (scale === 0) return null;
+
+    const angle = -rotation * Math.PI / 180;
+    const x = point.x - dx - centerX;
+    const y = point.y - dy - centerY;
+    return {
+      x: centerX + (x * Math.cos(angle) - y * Math.sin(angle)) / scale,
+      y: centerY + (x * Math.sin(angle) + y * Math.cos(angle)) / scale
+    };
+  }
+
+  /**
+   * Register an overlay type (or replace an existing one)
+   * Overlays of the type that were loaded before it was registered get its defaults now.
+   * @param {string} type - Type name used in overlay.type
+   * @param {Object} definition - { render, hitTest, bounds, defaults } (see GIVEOverlayTypes.js)
+   */
+  registerOverlayType(type, definition) {
+    validateOverlayType(type, definition);
+    this.overlayTypes.set(type, definition);
+    for (const overlay of this.overlays) {
+      if (overlay.type === type) this.applyOverlayDefaults(overlay);
+    }
+
+    if (this.ctx) this.render();
+  }
 
-    // Fire trigger callback for interactive overlays
-    if (overlay.interactive && this.onOverlayTrigger) {
-      this.onOverlayTrigger(overlay);
+  /**
+   * Register a minigame module for `minigame` overlays
+   * @param {string} name - Name used by overlays' `game`
+   * @param {Object} definition - Module with start(game), update(game, dt), render(ctx, game)
+   *   and optional end(game, result); see GIVEMinigames.js
+   */
+  registerMinigame(name, definition) {
+    this.minigames.register(name, definition);
+  }
+
+  /**
+   * Get a registered overlay type definition
+   * @param {string} type - Type name
+   * @returns {Object|undefined}
+   */
+  getOverlayType(type) {
+    return this.overlayTypes.get(type);
+  }
+
+  /**
+   * Get an overlay's bounding box at the current frame, in video pixels
+   * Includes keyframe animation and transitions, so it matches what is drawn.
+   * @param {Object} overlay - Overlay definition
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getOverlayBounds(overlay) {
+    const bounds = this.getLocalBounds(overlay);
+    const { dx, dy, centerX, centerY, rotation, scale } = this.getOverlayTransform(overlay);
+    if (!dx && !dy && !rotation && scale === 1) return bounds;
+
+    const angle = rotation * Math.PI / 180;
+    const corners = [[bounds.x, bounds.y], [bounds.x + bounds.width, bounds.y],
+      [bounds.x, bounds.y + bounds.height], [bounds.x + bounds.width, bounds.y + bounds.height]]
+      .map(([x, y]) => {
+        const rx = (x - centerX) * scale;
+        const ry = (y - centerY) * scale;
+        return {
+          x: centerX + dx + rx * Math.cos(angle) - ry * Math.sin(angle),
+          y: centerY + dy + rx * Math.sin(angle) + ry * Math.cos(angle)
+        };
+      });
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    return {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys)
+    };
+  }
+
+  /**
+   * Get an overlay's bounding box in its own coordinates (before animation and transitions)
+   * @param {Object} overlay - Overlay definition
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getLocalBounds(overlay) {
+    const definition = this.overlayTypes.get(overlay.type);
+    if (definition && definition.bounds) {
+      return definition.bounds(overlay, this);
+    }
+    return defaultBounds(overlay);
+  }
+
+  /**
+   * Check whether a point (video pixels) is on an overlay where it is drawn
+   * The point is mapped back through the overlay's animation and transition, so type
+   * hit tests work in the overlay's own coordinates.
+   * @param {{x: number, y: number}} point - Point in video pixels
+   * @param {Object} overlay - Overlay definition
+   * @param {number} margin - Extra pixels around the overlay that still count as a hit
+   * @returns {boolean}
+   */
+  hitTest(point, overlay, margin = 0) {
+    const transform = this.getOverlayTransform(overlay);
+    const local = this.toOverlayPoint(point, overlay, transform);
+    if (!local) return false;
+    const localMargin = margin / transform.scale;
+
+    const definition = this.overlayTypes.get(overlay.type);
+    if (definition && definition.hitTest) {
+      return definition.hitTest(local, overlay, this, localMargin);
+    }
+
+    const bounds = this.getLocalBounds(overlay);
+    return local.x >= bounds.x - localMargin &&
+           local.x <= bounds.x + bounds.width + localMargin &&
+           local.y >= bounds.y - localMargin &&
+           local.y <= bounds.y + bounds.height + localMargin;
+  }
+
+  /**
+   * Fill in an overlay's type defaults
+   * @param {Object} overlay - Overlay definition (modified)
+   * @returns {Object} The overlay
+   */
+  applyOverlayDefaults(overlay) {
+    const definition = this.overlayTypes.get(overlay.type);
+    if (!definition) {
+      if (this.config.debug) {
+        console.warn(`[GIVE] Unknown overlay type: ${overlay.type}`);
+      }
+      return overlay;
+    }
+    return applyDefaults(overlay, definition.defaults);
+  }
+
+  /**
+   * Resolve an overlay's animated properties at a frame
+   * Combines the static transform with any keyframes. For auto-positioned
+   * captions (no x/y), x/y keyframes act as offsets.
+   * @param {Object} overlay - Overlay definition
+   * @param {number} frame - Frame number (defaults to current frame)
+   * @returns {{x: number, y: number, scale: number, rotation: number, opacity: number}}
+   */
+  getAnimatedState(overlay, frame = this.currentFrame) {
+    const transform = overlay.transform || {};
+    const state = {
+      x: overlay.x || 0,
+      y: overlay.y || 0,
+      scale: transform.scale !== undefined ? transform.scale : 1,
+      rotation: transform.rotate || 0,
+      opacity: overlay.opacity !== undefined ? overlay.opacity : 1
+    };
+
+    if (overlay.keyframes && overlay.keyframes.length > 0) {
+      Object.assign(state, interpolateKeyframes(overlay.keyframes, frame));
     }
+
+    return state;
   }
 
   /**
    * Render text overlay with pixel-precise positioning
+   * `\n` starts a new line, 1.2 × fontSize below the last.
+   * @param {Object} overlay - Overlay definition
+   * @param {number|null} reveal - Number of visible characters (typewriter), null for all
    */
-  renderText(overlay) {
+  renderText(overlay, reveal = null) {
     const ctx = this.ctx;
     const style = overlay.style || {};
+    const content = reveal === null ? overlay.content : overlay.content.slice(0, reveal);
 
     // Set font with exact pixel size
     const fontSize = style.fontSize || 24;
     const fontFamily = style.fontFamily || 'monospace';
-    ctx.font = `${style.fontWeight || 'normal'} ${fontSize}px ${fontFamily}`;
+    ctx.font = `${style.fontStyle || 'normal'} ${style.fontWeight || 'normal'} ${fontSize}px ${fontFamily}`;
 
     // Pixel-precise positioning using textBaseline
     ctx.textBaseline = 'top';
     ctx.textAlign = style.textAlign || 'left';
 
-    // Draw text shadow/stroke for visibility
-    if (style.strokeColor) {
-      ctx.strokeStyle = style.strokeColor;
-      ctx.lineWidth = style.strokeWidth || 2;
-      ctx.strokeText(overlay.content, overlay.x, overlay.y);
-    }
+    String(content).split('\n').forEach((line, index) => {
+      const y = overlay.y + index * fontSize * 1.2;
 
-    // Fill text
-    ctx.fillStyle = style.color || '#ffffff';
-    ctx.fillText(overlay.content, overlay.x, overlay.y);
+      // Draw text shadow/stroke for visibility
+      if (style.strokeColor) {
+        ctx.strokeStyle = style.strokeColor;
+        ctx.lineWidth = style.strokeWidth || 2;
+        ctx.strokeText(line, overlay.x, y);
+      }
+
+      // Fill text
+      ctx.fillStyle = style.color || '#ffffff';
+      ctx.fillText(line, overlay.x, y);
+    });
   }
 
   /**
    * Render caption (subtitle-style) with background
+   * Layout uses the full text so typewriter reveals don't shift the caption.
+   * @param {Object} overlay - Overlay definition
+   * @param {number|null} reveal - Number of visible characters (typewriter), null for all
+   */
+  renderCaption(overlay, reveal = null) {
+    const ctx = this.ctx;
+    const style = overlay.style || {};
+    const { x, y, width, height, padding, align, lineHeight } = this.getCaptionLayout(overlay);
+
+    // Draw background
+    ctx.fillStyle = style.backgroundColor || 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, y, width, height);
+
+    // Draw text, one row per line
+    const content = reveal === null ? overlay.content : overlay.content.slice(0, reveal);
+    const textX = align === 'left' ? x + padding : align === 'right' ? x + width - padding : x + width / 2;
+    ctx.fillStyle = style.color || '#ffffff';
+    ctx.textAlign = align;
+    content.split('\n').forEach((line, index) => {
+      ctx.fillText(line, textX, y + padding + index * lineHeight);
+    });
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Measure and position a caption box (centered at bottom by default)
+   * Sets the caption font on the context. `align` anchors the box at `x` by its left
+   * edge (the default when `x` is set), center or right edge, and aligns the lines
+   * inside it the same way.
+   * @param {Object} overlay - Caption overlay
+   * @returns {{x: number, y: number, width: number, height: number, padding: number,
+   *   align: string, lineHeight: number}}
    */
-  renderCaption(overlay) {
+  getCaptionLayout(overlay) {
     const ctx = this.ctx;
     const style = overlay.style || {};
     const padding = style.padding || 8;
     const fontSize = style.fontSize || 28;
+    const lineHeight = fontSize * 1.2;
 
-    ctx.font = `bold ${fontSize}px ${style.fontFamily || 'sans-serif'}`;
+    ctx.font = `${style.fontStyle || 'normal'} bold ${fontSize}px ${style.fontFamily || 'sans-serif'}`;
     ctx.textBaseline = 'top';
 
-    // Measure text for background
-    const metrics = ctx.measureText(overlay.content);
-    const textWidth = metrics.width;
-    const textHeight = fontSize * 1.2;
+    // Measure the full text so the box doesn't grow during a typewriter reveal
+    const lines = String(overlay.content).split('\n');
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+    const width = textWidth + padding * 2;
+    const height = lineHeight * lines.length + padding * 2;
 
-    // Calculate position (centered at bottom by default)
-    let x = overlay.x !== undefined ? overlay.x : (this.videoWidth - textWidth) / 2 - padding;
-    let y = overlay.y !== undefined ? overlay.y : this.videoHeight - textHeight - padding * 2 - 40;
+    const align = overlay.align || (overlay.x !== undefined ? 'left' : 'center');
+    const anchorX = overlay.x !== undefined ? overlay.x : this.videoWidth / 2;
+    const x = align === 'left' ? anchorX : align === 'right' ? anchorX - width : anchorX - width / 2;
+    const y = overlay.y !== undefined ? overlay.y : this.videoHeight - height - 40;
 
-    // Draw background
-    ctx.fillStyle = style.backgroundColor || 'rgba(0, 0, 0, 0.75)';
-    ctx.fillRect(x, y, textWidth + padding * 2, textHeight + padding * 2);
-
-    // Draw text
-    ctx.fillStyle = style.color || '#ffffff';
-    ctx.fillText(overlay.content, x + padding, y + padding);
+    return { x, y, width, height, padding, align, lineHeight };
   }
 
   /**
@@ -495,14 +1076,15 @@ export class GIVEEngine {
   renderOutline(overlay) {
     const ctx = this.ctx;
     const style = overlay.style || {};
+    const points = this.getOutlinePoints(overlay);
 
-    if (!overlay.points || overlay.points.length < 2) return;
+    if (points.length < 2) return;
 
     ctx.beginPath();
-    ctx.moveTo(overlay.points[0].x, overlay.points[0].y);
+    ctx.moveTo(points[0].x, points[0].y);
 
-    for (let i = 1; i < overlay.points.length; i++) {
-      ctx.lineTo(overlay.points[i].x, overlay.points[i].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
     }
 
     if (overlay.closed !== false) {
@@ -521,54 +1103,105 @@ export class GIVEEngine {
     }
   }
 
+  /**
+   * Get an outline's points at a frame, morphing between point sets if keyed
+   * @param {Object} overlay - Outline overlay
+   * @param {number} frame - Frame number (defaults to current frame)
+   * @returns {Array<{x: number, y: number}>} Points
+   */
+  getOutlinePoints(overlay, frame = this.currentFrame) {
+    if (overlay.pointKeyframes && overlay.pointKeyframes.length > 0) {
+      return interpolatePoints(overlay.pointKeyframes, frame, overlay.closed !== false);
+    }
+    return overlay.points || [];
+  }
+
   /**
    * Render QTE (Quick Time Event) prompt
+   * Mash prompts get a fill meter, hold prompts a progress ring and sequences
+   * a row of key glyphs that light up as they're entered.
    */
   renderQTE(overlay) {
     const ctx = this.ctx;
     const style = overlay.style || {};
-    const size = style.size || 60;
+    const { size, totalWidth, buttons } = qteLayout(overlay);
+    const progress = this.qte.getProgress(overlay);
+    const progressColor = style.progressColor || '#00ff88';
+    const centerX = overlay.x + totalWidth / 2;
+    const centerY = overlay.y + size / 2;
+    // Show controller buttons while the player is using a pad
+    const glyph = this.gamepad && this.gamepad.isActive() ? key => this.gamepad.glyphFor(key) : keyGlyph;
 
     // Draw attention-grabbing background
     const pulseScale = 1 + Math.sin(Date.now() / 100) * 0.05;
 
     ctx.save();
-    ctx.translate(overlay.x + size / 2, overlay.y + size / 2);
+    ctx.translate(centerX, centerY);
     ctx.scale(pulseScale, pulseScale);
-    ctx.translate(-(overlay.x + size / 2), -(overlay.y + size / 2));
+    ctx.translate(-centerX, -centerY);
 
-    // Outer glow
-    ctx.beginPath();
-    ctx.arc(overlay.x + size / 2, overlay.y + size / 2, size / 2 + 5, 0, Math.PI * 2);
-    ctx.fillStyle = style.glowColor || 'rgba(255, 255, 0, 0.5)';
-    ctx.fill();
+    const entered = overlay.mode === 'sequence' ? Math.round(progress * buttons.length) : 0;
+    for (let i = 0; i < buttons.length; i++) {
+      const cx = buttons[i].cx;
+      const done = i < entered;
 
-    // Main circle
-    ctx.beginPath();
-    ctx.arc(overlay.x + size / 2, overlay.y + size / 2, size / 2, 0, Math.PI * 2);
-    ctx.fillStyle = style.backgroundColor || '#333333';
-    ctx.fill();
-    ctx.strokeStyle = style.borderColor || '#ffffff';
-    ctx.lineWidth = 3;
-    ctx.stroke();
+      // Outer glow
+      ctx.beginPath();
+      ctx.arc(cx, centerY, size / 2 + 5, 0, Math.PI * 2);
+      ctx.fillStyle = style.glowColor || 'rgba(255, 255, 0, 0.5)';
+      ctx.fill();
 
-    // Key text
-    ctx.font = `bold ${size * 0.5}px sans-serif`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillStyle = style.textColor || '#ffffff';
-    ctx.fillText(overlay.key || 'X', overlay.x + size / 2, overlay.y + size / 2);
+      // Main circle
+      ctx.beginPath();
+      ctx.arc(cx, centerY, size / 2, 0, Math.PI * 2);
+      ctx.fillStyle = done ? progressColor : (style.backgroundColor || '#333333');
+      ctx.fill();
+      ctx.strokeStyle = style.borderColor || '#ffffff';
+      ctx.lineWidth = 3;
+      ctx.stroke();
+
+      // Key text
+      ctx.font = `bold ${size * 0.5}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = style.textColor || '#ffffff';
+      ctx.fillText(glyph(buttons[i].key), cx, centerY, size * 0.8);
+    }
+
+    if (overlay.mode === 'hold' && progress > 0) {
+      // Progress ring filling clockwise from the top
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, size / 2 + 5, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * progress);
+      ctx.strokeStyle = progressColor;
+      ctx.lineWidth = 6;
+      ctx.stroke();
+    }
 
     ctx.restore();
 
+    if (overlay.mode === 'mash') {
+      // Fill meter under the button
+      const meterWidth = size * 1.6;
+      const meterX = centerX - meterWidth / 2;
+      const meterY = overlay.y + size + 12;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(meterX, meterY, meterWidth, 10);
+      ctx.fillStyle = progressColor;
+      ctx.fillRect(meterX, meterY, meterWidth * progress, 10);
+      ctx.strokeStyle = style.borderColor || '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(meterX, meterY, meterWidth, 10);
+    }
+
     // Track this QTE for input handling
     if (overlay.interactive !== false) {
       this.registerCollisionArea({
         id: overlay.id,
         type: 'qte',
+        overlay,
         x: overlay.x,
         y: overlay.y,
-        width: size,
+        width: totalWidth,
         height: size,
         key: overlay.key,
         action: overlay.action
@@ -578,8 +1211,10 @@ export class GIVEEngine {
 
   /**
    * Render pop-up overlay (VH1 Pop-Up Video style)
+   * @param {Object} overlay - Overlay definition
+   * @param {number|null} reveal - Number of visible characters (typewriter), null for all
    */
-  renderPopup(overlay) {
+  renderPopup(overlay, reveal = null) {
     const ctx = this.ctx;
     const style = overlay.style || {};
     const padding = style.padding || 12;
@@ -642,35 +1277,162 @@ export class GIVEEngine {
     ctx.lineWidth = 2;
     ctx.stroke();
 
-    // Draw text
+    // Draw text (lines are wrapped from the full text, the reveal budget is spent line by line)
     ctx.fillStyle = style.color || '#000000';
     ctx.textBaseline = 'top';
-    for (let i = 0; i < lines.length; i++) {
-      ctx.fillText(lines[i], x + padding, y + padding + i * lineHeight);
+    let remaining = reveal === null ? Infinity : reveal;
+    for (let i = 0; i < lines.length && remaining > 0; i++) {
+      ctx.fillText(lines[i].slice(0, remaining), x + padding, y + padding + i * lineHeight);
+      remaining -= lines[i].length + 1; // +1 for the space consumed by wrapping
     }
   }
 
   /**
-   * Render image overlay
+   * Render clickable hotspot (invisible unless styled, outlined in debug mode)
    */
-  renderImage(overlay) {
-    if (!overlay.imageElement) {
-      // Load image if not cached
-      const img = new Image();
-      img.src = overlay.src;
-      overlay.imageElement = img;
-      img.onload = () => this.render();
+  renderHotspot(overlay) {
+    const ctx = this.ctx;
+    const style = overlay.style || {};
+    const showDebug = this.config.debug && !style.fillColor && !style.strokeColor;
+
+    if (style.fillColor || style.strokeColor || showDebug) {
+      ctx.beginPath();
+      traceHotspot(ctx, overlay, this);
+
+      if (style.fillColor) {
+        ctx.fillStyle = style.fillColor;
+        ctx.fill();
+      }
+      if (style.strokeColor || showDebug) {
+        ctx.strokeStyle = style.strokeColor || 'rgba(0, 255, 255, 0.8)';
+        ctx.lineWidth = style.strokeWidth || 2;
+        ctx.setLineDash(showDebug ? [6, 4] : (style.lineDash || []));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+
+    if (overlay.interactive !== false) {
+      const bounds = this.getOverlayBounds(overlay);
+      this.registerCollisionArea({
+        id: overlay.id,
+        type: 'hotspot',
+        overlay,
+        ...bounds,
+        action: overlay.action
+      });
+    }
+  }
+
+  /**
+   * Render a minigame: the running game, or (where games don't run, e.g. the editor) its area
+   */
+  renderMinigame(overlay) {
+    if (this.minigames.isRunning(overlay)) {
+      this.minigames.render(this.ctx, overlay);
       return;
     }
+    if (this.config.playMinigames) return;
+
+    const ctx = this.ctx;
+    const x = overlay.x || 0;
+    const y = overlay.y || 0;
+    const width = overlay.width || this.videoWidth;
+    const height = overlay.height || this.videoHeight;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 6]);
+    ctx.strokeRect(x + 1, y + 1, width - 2, height - 2);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#ffcc00';
+    ctx.font = 'bold 32px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`MINIGAME: ${overlay.game}`, x + width / 2, y + height / 2);
+  }
+
+  /**
+   * Render choice panel: prompt, numbered options and a countdown bar
+   */
+  renderChoice(overlay) {
+    const ctx = this.ctx;
+    const style = overlay.style || {};
+    const layout = choiceLayout(overlay);
+    const selection = this.story.getSelection(overlay.id);
+    const highlighted = selection ? selection.index : this.story.getFocus(overlay);
+    const accentColor = style.accentColor || '#ffcc00';
+
+    ctx.fillStyle = style.backgroundColor || 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(layout.x, layout.y, layout.width, layout.height);
+
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${layout.fontSize}px ${style.fontFamily || 'sans-serif'}`;
+
+    if (overlay.prompt) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = style.color || '#ffffff';
+      ctx.fillText(overlay.prompt, layout.x + layout.width / 2,
+        layout.promptY + layout.fontSize * 0.7, layout.width - layout.padding * 2);
+    }
+
+    ctx.textAlign = 'left';
+    (overlay.options || []).forEach((option, index) => {
+      const box = layout.options[index];
+      const active = index === highlighted;
+      const centerY = box.y + box.height / 2;
+
+      ctx.fillStyle = active ? accentColor : (style.optionColor || 'rgba(255, 255, 255, 0.12)');
+      ctx.fillRect(box.x, box.y, box.width, box.height);
+
+      // Key hint, then the label
+      ctx.fillStyle = active ? (style.activeTextColor || '#000000') : (style.color || '#ffffff');
+      const hint = this.gamepad && this.gamepad.isActive() ? '' : `${optionKey(option, index)}  `;
+      ctx.fillText(`${hint}${option.label}`, box.x + 14, centerY, box.width - 28);
+    });
+
+    // Remaining time until the default branch is taken
+    if (!selection) {
+      const duration = Math.max(1, overlay.frameEnd - overlay.frameStart);
+      const remaining = Math.max(0, Math.min(1, (overlay.frameEnd - this.currentFrame) / duration));
+      const barWidth = layout.width - layout.padding * 2;
+      ctx.fillStyle = style.timerColor || accentColor;
+      ctx.fillRect(layout.x + layout.padding, layout.timerY, barWidth * remaining, 6);
+    }
+
+    if (overlay.interactive !== false) {
+      this.registerCollisionArea({
+        id: overlay.id,
+        type: 'choice',
+        overlay,
+        x: layout.x,
+        y: layout.y,
+        width: layout.width,
+        height: layout.height
+      });
+    }
+  }
 
-    if (!overlay.imageElement.complete) return;
+  /**
+   * Render image overlay: a still, a sprite sheet cell or a frame-list file
+   */
+  renderImage(overlay) {
+    const frame = this.images.frameFor(overlay, this.currentFrame - overlay.frameStart);
+    if (!frame) return; // Still loading
 
     this.ctx.drawImage(
-      overlay.imageElement,
+      frame.image,
+      frame.sx,
+      frame.sy,
+      frame.sw,
+      frame.sh,
       overlay.x,
       overlay.y,
-      overlay.width || overlay.imageElement.naturalWidth,
-      overlay.height || overlay.imageElement.naturalHeight
+      overlay.width || frame.sw,
+      overlay.height || frame.sh
     );
   }
 
@@ -694,46 +1456,163 @@ export class GIVEEngine {
 
   /**
    * Check if a point collides with any registered area
+   * Areas drawn last (on top) win. Areas backed by an overlay use the overlay type's
+   * hit test, so circles and polygons only hit inside their shape.
+   * @param {number} x - X in video pixels
+   * @param {number} y - Y in video pixels
+   * @returns {Object|null} Collision area
    */
   checkCollision(x, y) {
-    for (const area of this.collisionAreas) {
-      if (x >= area.x && x <= area.x + area.width &&
-          y >= area.y && y <= area.y + area.height) {
-        return area;
-      }
+    for (let i = this.collisionAreas.length - 1; i >= 0; i--) {
+      const area = this.collisionAreas[i];
+      const hit = area.overlay
+        ? this.hitTest({ x, y }, area.overlay, area.margin || 0)
+        : x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height;
+      if (hit) return area;
     }
     return null;
   }
 
+  /**
+   * Handle a click or touch on the overlay canvas
+   */
+  handlePointerDown(event) {
+    if (!this.canvas) return;
+
+    const point = this.displayToPixel(event.clientX, event.clientY);
+    const frame = this.currentFrame;
+    if (this.gamepad) this.gamepad.active = false;
+
+    // Keep receiving this pointer's events (hold QTEs, games) even if it slides off the canvas
+    if (this.canvas.setPointerCapture && event.pointerId !== undefined) {
+      this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    // A running minigame takes every click
+    if (this.minigames.handlePointer('down', point)) {
+      event.preventDefault();
+      return;
+    }
+
+    const area = this.checkCollision(point.x, point.y);
+
+    if (area) {
+      const overlay = area.overlay || this.getOverlay(area.id);
+      this.emit('pointer:hit', { x: point.x, y: point.y, overlay, area, frame });
+      if (overlay && overlay.type === 'qte' && this.qte.handlePointerDown(overlay, point)) {
+        event.preventDefault();
+        this.render();
+      } else if (overlay && overlay.type === 'choice' && this.config.choiceInput && this.story.handlePointerDown(overlay, point)) {
+        event.preventDefault();
+      }
+    } else {
+      this.emit('pointer:miss', { x: point.x, y: point.y, frame });
+      if (this.qte.handlePointerMiss(point)) {
+        this.render();
+      }
+    }
+  }
+
+  /**
+   * Handle the end of a click or touch
+   */
+  handlePointerUp(event) {
+    if (this.canvas && this.minigames.isRunning()) {
+      this.minigames.handlePointer('up', this.displayToPixel(event.clientX, event.clientY));
+      return;
+    }
+    if (this.qte.handlePointerUp()) {
+      this.render();
+    }
+  }
+
+  /**
+   * Handle pointer movement (only minigames track it)
+   */
+  handlePointerMove(event) {
+    if (this.canvas && this.minigames.isRunning()) {
+      this.minigames.handlePointer('move', this.displayToPixel(event.clientX, event.clientY));
+    }
+  }
+
   /**
    * Setup keyboard event listeners
    */
   setupEventListeners() {
     document.addEventListener('keydown', this.handleKeyPress);
+    document.addEventListener('keyup', this.handleKeyUp);
+    if (this.gamepad) this.gamepad.start();
   }
 
   /**
-   * Handle keyboard input for QTEs and controls
+   * Handle keyboard (and gamepad) input for QTEs and controls
    */
   handleKeyPress(event) {
-    // Check for QTE matches
-    for (const area of this.collisionAreas) {
-      if (area.type === 'qte' && area.key.toLowerCase() === event.key.toLowerCase()) {
-        if (this.onQTEPrompt) {
-          this.onQTEPrompt({
-            success: true,
-            overlay: this.overlays.find(o => o.id === area.id),
-            action: area.action
-          });
-        }
-        event.preventDefault();
-        return;
+    // Typing into a form field or editable text, or working a focused control, isn't game input
+    const target = event.target;
+    if (target && (FORM_TAGS.includes(target.tagName) || target.isContentEditable)) return;
+
+    // Switch prompts back to keyboard glyphs once the keyboard is used
+    if (this.gamepad && !event.gamepad) this.gamepad.active = false;
+
+    // A running minigame takes every key (it redraws itself)
+    if (this.minigames.handleKey(event)) {
+      event.preventDefault();
+      return;
+    }
+
+    if ((this.config.choiceInput && this.story.handleKey(event)) || this.qte.handleKey(event)) {
+      event.preventDefault();
+      this.render(); // Show mash/sequence progress even while paused
+    }
+  }
+
+  /**
+   * Handle key releases (hold QTEs, minigames)
+   */
+  handleKeyUp(event) {
+    if (this.minigames.handleKeyUp(event)) {
+      event.preventDefault();
+      return;
+    }
+    if (this.qte.handleKeyUp(event)) {
+      event.preventDefault();
+      this.render();
+    }
+  }
+
+  /**
+   * Forget QTE results so every QTE can be answered again (e.g. on replay)
+   */
+  resetQTEs() {
+    this.qte.reset();
+  }
+
+  /**
+   * Make many overlay changes at once
+   * Inside a batch, adding, updating and removing overlays skips the frame index,
+   * anchor resolution and redraw; they run once when the outermost batch ends, so
+   * building a project overlay by overlay stays linear.
+   * @param {function(): *} changes - Makes the changes
+   * @returns {*} Whatever `changes` returns
+   */
+  batch(changes) {
+    this.batchDepth++;
+    try {
+      return changes();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        this.overlayIndex.build(this.overlays);
+        this.moveAnchoredOverlays();
+        this.render();
       }
     }
   }
 
   /**
    * Add an overlay
+   * An overlay with an `anchor` is moved to its anchored start first.
    * @param {Object} overlay - Overlay definition
    */
   addOverlay(overlay) {
@@ -745,11 +1624,25 @@ export class GIVEEngine {
       overlay.frameStart = this.currentFrame;
     }
     if (overlay.frameEnd === undefined) {
-      overlay.frameEnd = overlay.frameStart + this.config.fps; // Default 1 second
+      overlay.frameEnd = overlay.frameStart + this.secondsToFrames(1); // Default 1 second
     }
+    if (overlay.anchor && this.batchDepth === 0) {
+      const frame = this.anchorFrame(overlay.anchor);
+      if (frame !== null) shiftOverlay(overlay, frame - overlay.frameStart);
+    }
+    this.applyOverlayDefaults(overlay);
+    this.images.preload(overlay);
 
     this.overlays.push(overlay);
+    if (this.batchDepth > 0) {
+      this.emit('overlay:added', { overlay });
+      return overlay.id;
+    }
+
+    this.overlayIndex.insert(overlay);
     this.render();
+    this.emit('overlay:added', { overlay });
+    this.resolveAnchors(); // Overlays waiting for this ID
     return overlay.id;
   }
 
@@ -758,12 +1651,24 @@ export class GIVEEngine {
    * @param {string} id - Overlay ID
    */
   removeOverlay(id) {
+    const removed = this.overlays.filter(o => o.id === id);
+    if (this.batchDepth === 0) {
+      for (const overlay of removed) {
+        this.overlayIndex.remove(overlay);
+      }
+    }
     this.overlays = this.overlays.filter(o => o.id !== id);
-    this.render();
+    if (this.batchDepth === 0) this.render();
+
+    for (const overlay of removed) {
+      this.emit('overlay:removed', { overlay });
+    }
   }
 
   /**
    * Update an overlay
+   * Moving an anchored overlay's frameStart keeps the anchor and changes its gap/offset;
+   * overlays anchored to this one follow it.
    * @param {string} id - Overlay ID
    * @param {Object} updates - Properties to update
    */
@@ -771,10 +1676,97 @@ export class GIVEEngine {
     const overlay = this.overlays.find(o => o.id === id);
     if (overlay) {
       Object.assign(overlay, updates);
+      if (overlay.anchor && 'frameStart' in updates && !('anchor' in updates)) {
+        this.rebaseAnchor(overlay);
+      }
+      const timingChanged = 'frameStart' in updates || 'frameEnd' in updates || 'anchor' in updates;
+      this.images.preload(overlay);
+      if (this.batchDepth > 0) {
+        this.emit('overlay:updated', { overlay, updates });
+        return;
+      }
+
+      if (timingChanged) {
+        this.overlayIndex.update(overlay);
+      }
       this.render();
+      this.emit('overlay:updated', { overlay, updates });
+      if (timingChanged) this.resolveAnchors();
+    }
+  }
+
+  /**
+   * Frame an anchor currently resolves to
+   * @param {Object} anchor - Anchor ({ after, gap } | { with, offset } | { at, offset })
+   * @returns {number|null} Frame, or null if what it refers to doesn't exist
+   */
+  anchorFrame(anchor) {
+    return anchorFrame(anchor, {
+      getOverlay: id => this.getOverlay(id),
+      resolveTarget: target => this.story.resolveTarget(target)
+    });
+  }
+
+  /**
+   * Keep an anchored overlay where it was put by changing its anchor's gap/offset
+   * @param {Object} overlay - Anchored overlay (modified)
+   */
+  rebaseAnchor(overlay) {
+    const kind = anchorKind(overlay.anchor);
+    if (!kind) return;
+    const field = anchorShiftField(kind);
+    const base = this.anchorFrame({ ...overlay.anchor, [field]: 0 });
+    if (base !== null) {
+      overlay.anchor = { ...overlay.anchor, [field]: overlay.frameStart - base };
     }
   }
 
+  /**
+   * Move anchored overlays to follow what they're anchored to
+   * Runs after overlays, markers or segments change (see GIVESequencing.js).
+   * @returns {Array<Object>} Overlays that moved
+   */
+  resolveAnchors() {
+    if (this.batchDepth > 0) return []; // Once, when the batch ends
+
+    const moved = this.moveAnchoredOverlays();
+    if (moved.length > 0) this.render();
+    return moved;
+  }
+
+  /**
+   * resolveAnchors without the redraw
+   * @returns {Array<Object>} Overlays that moved
+   */
+  moveAnchoredOverlays() {
+    const { moved, problems } = resolveAnchors(this.overlays, target => this.story.resolveTarget(target));
+    for (const overlay of moved) {
+      this.overlayIndex.update(overlay);
+      this.emit('overlay:updated', { overlay, updates: { frameStart: overlay.frameStart, frameEnd: overlay.frameEnd } });
+    }
+    if (this.config.debug) {
+      for (const problem of problems) console.warn(`[GIVE] ${problem}`);
+    }
+    return moved;
+  }
+
+  /**
+   * Replace all overlays (e.g. when restoring editor history)
+   * @param {Array} overlays - Overlay definitions, in draw order
+   */
+  setOverlays(overlays) {
+    for (const overlay of overlays) {
+      this.applyOverlayDefaults(overlay);
+      this.images.preload(overlay);
+    }
+    this.overlays = overlays;
+    if (this.batchDepth > 0) return; // Indexed and resolved when the batch ends
+
+    this.overlayIndex.build(overlays);
+    this.moveAnchoredOverlays();
+    this.render();
+  }
+
   /**
    * Get overlay by ID
    */
@@ -789,8 +1781,28 @@ export class GIVEEngine {
     return [...this.overlays];
   }
 
+  /**
+   * Get overlays active at a frame
+   * @param {number} frame - Frame number
+   * @returns {Array} Overlays in draw order
+   */
+  getOverlaysAtFrame(frame) {
+    return this.overlayIndex.queryPoint(frame);
+  }
+
+  /**
+   * Get overlays intersecting a frame range
+   * @param {number} frameStart - First frame (inclusive)
+   * @param {number} frameEnd - Last frame (inclusive)
+   * @returns {Array} Overlays in draw order
+   */
+  getOverlaysInRange(frameStart, frameEnd) {
+    return this.overlayIndex.query(frameStart, frameEnd);
+  }
+
   /**
    * Load overlay project from JSON
+   * Older project versions are upgraded first (see GIVEMigrations.js).
    * @param {Object|string} project - Project data or JSON string
    */
   loadProject(project) {
@@ -798,34 +1810,99 @@ export class GIVEEngine {
       project = JSON.parse(project);
     }
 
+    // Upgrade older files to the current format
+    const migration = migrateProject(project);
+    project = migration.project;
+    if (compareVersions(migration.from, PROJECT_VERSION) > 0) {
+      console.warn(`[GIVE] Project version ${migration.from} is newer than this engine's ${PROJECT_VERSION}; loading it as is`);
+    }
+    this.projectExtras = {};
+    for (const [key, value] of Object.entries(project)) {
+      if (!PROJECT_FIELDS.includes(key)) this.projectExtras[key] = value;
+    }
+
     if (project.fps) {
-      this.config.fps = project.fps;
+      this.setFrameRate(project.fps, { dropFrame: project.dropFrame, pin: true });
     }
 
-    this.overlays = project.overlays || [];
-    this.render();
+    if (this.hold) this.releaseHold();
+    this.minigames.cancel();
+    this.story.load(project);
+    this.scoring.load(project.scoring);
+    this.state.load(project.state); // Also starts a new scoring run
+    this.setOverlays(project.overlays || []);
+    this.emit('project:loaded', { project, overlays: this.overlays });
 
     if (this.config.debug) {
       console.log(`[GIVE] Loaded project with ${this.overlays.length} overlays`);
+      for (const step of migration.applied) {
+        console.log(`[GIVE] Migrated project ${step}`);
+      }
+      const { errors, warnings } = this.validateProject(project);
+      for (const problem of [...formatProblems(errors), ...formatProblems(warnings), ...this.story.validate()]) {
+        console.warn(`[GIVE] ${problem}`);
+      }
+    }
+  }
+
+  /**
+   * Check a project against the file format before loading it
+   * Knows this engine's registered overlay types and minigames, and falls back to the
+   * loaded video's size and length when the project doesn't give them.
+   * @param {Object|string} project - Project data or JSON string
+   * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+   */
+  validateProject(project) {
+    // Check what will actually load: the project upgraded to the current version
+    let upgradeError = null;
+    let newerVersion = null;
+    try {
+      const data = typeof project === 'string' ? JSON.parse(project) : project;
+      if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+        const migration = migrateProject(data);
+        project = migration.project;
+        if (compareVersions(migration.from, PROJECT_VERSION) > 0) newerVersion = migration.from;
+      }
+    } catch (error) {
+      // Unreadable JSON is reported by the validator itself
+      if (!(error instanceof SyntaxError)) upgradeError = error.message.replace('GIVE Migrations: ', '');
+    }
+
+    const result = validateProject(project, {
+      types: Array.from(this.overlayTypes.keys()),
+      minigames: Array.from(this.minigames.games.keys()),
+      videoWidth: this.videoWidth,
+      videoHeight: this.videoHeight,
+      totalFrames: this.totalFrames
+    });
+    if (upgradeError) {
+      result.errors.unshift({ path: 'version', message: upgradeError });
+      result.valid = false;
+    }
+    if (newerVersion) {
+      result.warnings.unshift({ path: 'version', message: `${newerVersion} is newer than this engine's ${PROJECT_VERSION}` });
     }
+    return result;
   }
 
   /**
    * Export project to JSON
+   * Written in the current format version, keeping the loaded project's other fields.
    * @returns {Object} Project data
    */
   exportProject() {
     return {
-      version: '1.0',
-      fps: this.config.fps,
+      version: PROJECT_VERSION,
+      ...this.projectExtras,
+      fps: this.timebase.toJSON(),
+      dropFrame: this.timebase.supportsDropFrame ? this.timebase.dropFrame : undefined,
       videoWidth: this.videoWidth,
       videoHeight: this.videoHeight,
       totalFrames: this.totalFrames,
-      overlays: this.overlays.map(o => {
-        // Remove runtime properties
-        const { imageElement, ...clean } = o;
-        return clean;
-      })
+      state: Object.keys(this.state.initial).length > 0 ? this.state.initial : undefined,
+      scoring: this.scoring.toJSON(),
+      ...this.story.toJSON(),
+      overlays: this.overlays.map(o => ({ ...o }))
     };
   }
 
@@ -834,7 +1911,11 @@ export class GIVEEngine {
    */
   destroy() {
     this.pause();
+    this.minigames.cancel();
+    if (this.audio) this.audio.destroy();
     document.removeEventListener('keydown', this.handleKeyPress);
+    document.removeEventListener('keyup', this.handleKeyUp);
+    if (this.gamepad) this.gamepad.stop();
     window.removeEventListener('resize', this.updateLayout);
 
     if (this.video && this.video.src.startsWith('blob:')) {
@@ -846,7 +1927,11 @@ export class GIVEEngine {
     }
 
     this.overlays = [];
+    this.overlayIndex.clear();
+    this.activeSet.clear();
     this.collisionAreas = [];
+    this.internalEvents.removeAllListeners();
+    this.removeAllListeners();
   }
 }
 
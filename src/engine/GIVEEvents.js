@@ -0,0 +1,171 @@
+/**
+ * GIVE Events
+ *
+ * Minimal event emitter used by the engine. Listeners receive a single payload
+ * object; a listener that throws is logged and doesn't stop the others (or the
+ * render loop that emitted the event).
+ *
+ * engine.on('overlay:enter', ({ overlay, frame }) => { ... });
+ * const off = engine.on('frame', ({ frame }) => { ... });
+ * off();
+ */
+
+/**
+ * Events emitted by GIVEEngine and their payloads
+ *
+ * @typedef {Object} GIVEEngineEvents
+ * @property {{frame: number, previousFrame: number, source: string}} frame - Current frame changed ('playback', 'loop' or 'seek')
+ * @property {{frame: number, previousFrame: number}} seek - Seeked to a frame
+ * @property {{frame: number}} play - Playback started
+ * @property {{frame: number}} pause - Playback paused
+ * @property {{overlay: Object, frame: number}} overlay:enter - Overlay became active
+ * @property {{overlay: Object, frame: number}} overlay:exit - Overlay stopped being active
+ * @property {{overlay: Object}} overlay:added - Overlay added
+ * @property {{overlay: Object}} overlay:removed - Overlay removed
+ * @property {{overlay: Object, updates: Object}} overlay:updated - Overlay properties changed
+ * @property {{project: Object, overlays: Array}} project:loaded - Project loaded
+ * @property {{success: boolean, grade: string, timing: number|null, reason: string|null, overlay: Object,
+ *   action: string, mode: string, key: string|null, point: Object|null, frame: number, progress: number}} qte:result
+ *   - QTE hit, missed or failed
+ * @property {{x: number, y: number, overlay: Object, area: Object, frame: number}} pointer:hit - Click/tap on a target
+ * @property {{x: number, y: number, frame: number}} pointer:miss - Click/tap that hit no target
+ * @property {{overlay: Object, option: Object|null, index: number|null, target: *, timedOut: boolean,
+ *   frame: number}} choice - Choice option picked (or the window closed; `option` is the default branch)
+ * @property {{segment: Object, previousSegment: Object|null, frame: number}} segment:enter - Entered a story segment
+ * @property {{segment: Object, frame: number}} story:end - Playback reached the end of an `end` segment
+ * @property {{path: string|null, value: *, previous: *}} state:changed - A state value changed (path null = reset)
+ * @property {{score: number, points: number, combo: number, multiplier: number, lives: number|null,
+ *   feedback: string|null, result: Object}} score - A QTE or minigame result was scored
+ * @property {{overlay: Object, game: string}} minigame:start - A minigame took over the overlay
+ * @property {{overlay: Object, game: string, success: boolean, time: number, timedOut: boolean,
+ *   points: number|undefined, details: Object}} minigame:result - A minigame was won or lost
+ * @property {{results: Object, feedback: string|null}} game:over - The last life was lost
+ * @property {{results: Object}} run:end - The run finished (game over, story end or end of video)
+ * @property {{frame: number}} ended - The video played to its end
+ */
+export const ENGINE_EVENTS = [
+  'frame',
+  'seek',
+  'play',
+  'pause',
+  'overlay:enter',
+  'overlay:exit',
+  'overlay:added',
+  'overlay:removed',
+  'overlay:updated',
+  'project:loaded',
+  'qte:result',
+  'pointer:hit',
+  'pointer:miss',
+  'choice',
+  'segment:enter',
+  'story:end',
+  'state:changed',
+  'minigame:start',
+  'minigame:result',
+  'score',
+  'game:over',
+  'run:end',
+  'ended'
+];
+
+export class GIVEEventEmitter {
+  /**
+   * @param {Array<string>|null} eventNames - Allowed event names (null = any)
+   */
+  constructor(eventNames = null) {
+    this.eventNames = eventNames ? new Set(eventNames) : null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {function(Object): void} listener - Called with the event payload
+   * @returns {function(): void} Unsubscribe function
+   */
+  on(event, listener) {
+    this.checkEventName(event);
+    if (typeof listener !== 'function') {
+      throw new Error(`GIVE Events: Listener for "${event}" must be a function`);
+    }
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} event - Event name
+   * @param {function(Object): void} listener - Called with the event payload
+   * @returns {function(): void} Unsubscribe function
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {function} listener - Listener passed to on() or once()
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    const index = listeners.findIndex(l => l === listener || l.listener === listener);
+    if (index !== -1) listeners.splice(index, 1);
+    if (listeners.length === 0) this.listeners.delete(event);
+  }
+
+  /**
+   * Remove all listeners for an event, or for every event
+   * @param {string} event - Event name (optional)
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else {
+      this.listeners.delete(event);
+    }
+  }
+
+  /**
+   * Emit an event
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload = {}) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while being called
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[GIVE] Error in "${event}" listener:`, error);
+      }
+    }
+  }
+
+  /**
+   * Reject unknown event names so typos don't fail silently
+   */
+  checkEventName(event) {
+    if (this.eventNames && !this.eventNames.has(event)) {
+      throw new Error(`GIVE Events: Unknown event "${event}"`);
+    }
+  }
+}
+
+export default GIVEEventEmitter;
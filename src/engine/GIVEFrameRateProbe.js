@@ -0,0 +1,286 @@
+/**
+ * GIVE Frame Rate Probe
+ *
+ * Detects a video's frame rate from frame presentation times.
+ *
+ * - With requestVideoFrameCallback the video is played muted for a moment and the
+ *   media time of each presented frame is recorded.
+ * - Otherwise frames are compared pixel-wise while seeking in small steps, and the
+ *   times where the picture changes are taken as frame boundaries.
+ *
+ * Measured intervals are snapped to the nearest standard rate. NTSC and integer
+ * variants (23.976 vs 24) differ by only 0.1%, so they are told apart by checking
+ * which rate's frame grid the absolute timestamps sit on; probing away from the
+ * start of the video makes that check decisive.
+ */
+
+import { Timebase } from './GIVETimebase.js';
+
+export const STANDARD_FRAME_RATES = [
+  '24000/1001', 24, 25, '30000/1001', 30, 48, 50, '60000/1001', 60
+];
+
+const DEFAULT_OPTIONS = {
+  samples: 40,            // Frame times to collect
+  timeout: 3000,          // ms before giving up on a method
+  probeTime: null,        // Where to probe (seconds), default: 60s in or mid-video
+  seekStep: 0.01,         // Seek-and-compare coarse step (seconds)
+  seekWindow: 0.5,        // Seek-and-compare window (seconds)
+  changeThreshold: 2,     // Mean per-channel difference that counts as a new frame
+};
+
+async function withTimeout(promise, ms) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Frame rate probe timed out')), ms);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Seek a video and wait until the new frame is available
+ * Rejects when no `seeked` event arrives in time (stalled or unseekable video).
+ * @param {HTMLVideoElement} video - Video element
+ * @param {number} time - Target time in seconds
+ * @param {number} timeout - ms to wait for the seek
+ * @returns {Promise}
+ */
+async function seekTo(video, time, timeout) {
+  let done;
+  try {
+    await withTimeout(new Promise((resolve) => {
+      done = resolve;
+      video.addEventListener('seeked', done);
+      video.currentTime = time;
+    }), timeout);
+  } finally {
+    video.removeEventListener('seeked', done);
+  }
+}
+
+/**
+ * Collect presented frame media times with requestVideoFrameCallback
+ * @param {HTMLVideoElement} video - Video element (playback state is restored by the caller)
+ * @param {Object} options - Probe options
+ * @returns {Promise<Array<number>>} Media times
+ */
+async function sampleWithFrameCallbacks(video, options) {
+  const times = [];
+
+  await new Promise((resolve, reject) => {
+    const onFrame = (now, metadata) => {
+      times.push(metadata.mediaTime);
+      if (times.length >= options.samples) {
+        resolve();
+      } else {
+        video.requestVideoFrameCallback(onFrame);
+      }
+    };
+    video.requestVideoFrameCallback(onFrame);
+    video.play().catch(reject);
+  });
+
+  return times;
+}
+
+/**
+ * Find frame boundary times by seeking and comparing downscaled frames
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options - Probe options
+ * @returns {Promise<Array<number>>} Boundary times (start times of new frames)
+ */
+async function sampleWithSeekCompare(video, options) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 16;
+  canvas.height = 16;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const deadline = Date.now() + options.timeout * 3;
+
+  // Throws on cross-origin video without CORS, which the caller reports as low confidence
+  const capture = async (time) => {
+    if (Date.now() > deadline) {
+      throw new Error('Frame rate probe timed out');
+    }
+    await seekTo(video, time, options.timeout);
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+  };
+
+  const differs = (a, b) => {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 4) {
+      total += Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]);
+    }
+    return total / (a.length / 4 * 3) > options.changeThreshold;
+  };
+
+  // Coarse pass: find steps where the picture changes
+  const start = options.probeTime;
+  const coarse = [];
+  let previous = await capture(start);
+  for (let t = start + options.seekStep; t <= start + options.seekWindow; t += options.seekStep) {
+    const current = await capture(t);
+    if (differs(previous, current)) {
+      coarse.push([t - options.seekStep, t, previous]);
+    }
+    previous = current;
+  }
+
+  // Fine pass: bisect each change to ~0.5ms
+  const boundaries = [];
+  for (let [lo, hi, before] of coarse) {
+    while (hi - lo > 0.0005) {
+      const mid = (lo + hi) / 2;
+      if (differs(before, await capture(mid))) {
+        hi = mid;
+      } else {
+        lo = mid;
+      }
+    }
+    boundaries.push(hi);
+  }
+
+  return boundaries;
+}
+
+/**
+ * Average distance (in frames) of timestamps from a rate's frame grid
+ */
+function gridError(times, fps) {
+  let total = 0;
+  for (const t of times) {
+    const position = t * fps;
+    total += Math.abs(position - Math.round(position));
+  }
+  return total / times.length;
+}
+
+/**
+ * Estimate the frame rate from frame start times
+ * @param {Array<number>} times - Frame start times in seconds
+ * @returns {{fps: number|string, measuredFps: number, confidence: number}|null}
+ */
+export function estimateFrameRate(times) {
+  const sorted = [...new Set(times)].sort((a, b) => a - b);
+  if (sorted.length < 3) return null;
+
+  const diffs = [];
+  for (let i = 1; i < sorted.length; i++) {
+    diffs.push(sorted[i] - sorted[i - 1]);
+  }
+
+  // Shortest typical interval is one frame; longer gaps are skipped or repeated frames
+  const ordered = [...diffs].sort((a, b) => a - b);
+  const unit = ordered[Math.floor(ordered.length * 0.1)];
+  if (!(unit > 0)) return null;
+
+  let frames = 0;
+  let consistent = 0;
+  for (const d of diffs) {
+    const steps = d / unit;
+    frames += Math.max(1, Math.round(steps));
+    if (Math.abs(steps - Math.round(steps)) < 0.15) consistent++;
+  }
+
+  const measuredFps = frames / (sorted[sorted.length - 1] - sorted[0]);
+  const consistency = consistent / diffs.length;
+
+  // Standard rates within 1% of the measurement (e.g. 23.976 and 24)
+  const candidates = STANDARD_FRAME_RATES
+    .map(rate => ({ rate, fps: Timebase.parse(rate).fps }))
+    .map(c => ({ ...c, error: Math.abs(c.fps - measuredFps) / c.fps, grid: gridError(sorted, c.fps) }))
+    .sort((a, b) => a.error - b.error);
+
+  const family = candidates.filter(c => c.error < 0.01);
+  if (family.length === 0) {
+    return { fps: Math.round(measuredFps * 1000) / 1000, measuredFps, confidence: consistency * 0.3 };
+  }
+
+  family.sort((a, b) => a.grid - b.grid);
+  const best = family[0];
+  let confidence = consistency * (1 - best.error / 0.01);
+
+  // Timestamps that don't sit on either grid (offset start, short probe) leave NTSC vs integer undecided
+  if (family.length > 1) {
+    const decisive = best.grid < 0.1 && family[1].grid - best.grid > 0.1;
+    if (!decisive) confidence *= 0.6;
+  }
+
+  return { fps: best.rate, measuredFps, confidence: Math.max(0, Math.min(1, confidence)) };
+}
+
+/**
+ * Probe a loaded video's frame rate
+ * The video's time, mute and play state are restored afterwards.
+ * @param {HTMLVideoElement} video - Video element (metadata must be loaded)
+ * @param {Object} options - Probe options (see DEFAULT_OPTIONS)
+ * @returns {Promise<{fps: number|string|null, measuredFps: number|null, confidence: number, method: string, samples: number}>}
+ */
+export async function probeFrameRate(video, options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+
+  if (options.probeTime === null) {
+    const duration = video.duration || 0;
+    options.probeTime = Math.max(0, Math.min(60, duration / 2, duration - 2));
+  }
+
+  const saved = {
+    time: video.currentTime,
+    muted: video.muted,
+    paused: video.paused
+  };
+
+  let times = [];
+  let method = 'none';
+
+  try {
+    video.muted = true;
+
+    if (typeof video.requestVideoFrameCallback === 'function') {
+      try {
+        await seekTo(video, options.probeTime, options.timeout);
+        times = await withTimeout(sampleWithFrameCallbacks(video, options), options.timeout);
+        method = 'video-frame-callback';
+      } catch (e) {
+        // Autoplay blocked or no frames presented in time - fall through to seeking
+        video.pause();
+        times = [];
+      }
+    }
+
+    if (times.length < 3) {
+      try {
+        times = await sampleWithSeekCompare(video, options);
+        method = 'seek-compare';
+      } catch (e) {
+        times = [];
+      }
+    }
+  } finally {
+    video.pause();
+    video.muted = saved.muted;
+    try {
+      await seekTo(video, saved.time, options.timeout);
+    } catch (e) {
+      // Video stopped seeking - leave it where it is
+    }
+    if (!saved.paused) {
+      video.play().catch(() => {}); // Autoplay blocked or source error - stay paused
+    }
+  }
+
+  const estimate = estimateFrameRate(times);
+  if (!estimate) {
+    return { fps: null, measuredFps: null, confidence: 0, method, samples: times.length };
+  }
+
+  return { ...estimate, method, samples: times.length };
+}
+
+export default probeFrameRate;
@@ -0,0 +1,238 @@
+/**
+ * GIVE Gamepad
+ *
+ * Polls the Gamepad API and turns controller input into the same key vocabulary
+ * QTEs use, so every QTE mode works on a pad. Buttons and stick directions are
+ * named after the standard gamepad layout (A, B, X, Y, LB, RB, LT, RT, SELECT,
+ * START, LS, RS, DPAD_*, LSTICK_*) and mapped to keys:
+ *
+ * new GIVEEngine({ gamepad: { mapping: { A: 'SPACE', B: 'X' } } });
+ *
+ * Pressing a control sends a key press to the engine, releasing it a key release
+ * (so hold prompts work). While the pad is the player's latest input, QTE prompts
+ * show controller glyphs. Polling only runs while a pad is connected; tests can
+ * pass `getGamepads` and call poll() directly.
+ */
+
+import { normalizeKey, keyGlyph } from './GIVEQTE.js';
+
+// Standard mapping button indices (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD_BUTTONS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'LS', 'RS',
+  'DPAD_UP', 'DPAD_DOWN', 'DPAD_LEFT', 'DPAD_RIGHT', 'HOME'
+];
+
+export const DEFAULT_GAMEPAD_MAPPING = {
+  A: 'SPACE',
+  B: 'X',
+  X: 'Z',
+  Y: 'C',
+  LB: 'Q',
+  RB: 'E',
+  LT: 'SHIFT',
+  RT: 'F',
+  SELECT: 'ESC',
+  START: 'ENTER',
+  DPAD_UP: 'UP',
+  DPAD_DOWN: 'DOWN',
+  DPAD_LEFT: 'LEFT',
+  DPAD_RIGHT: 'RIGHT',
+  LSTICK_UP: 'UP',
+  LSTICK_DOWN: 'DOWN',
+  LSTICK_LEFT: 'LEFT',
+  LSTICK_RIGHT: 'RIGHT'
+};
+
+// Labels drawn on QTE prompts while a pad is in use
+export const GAMEPAD_GLYPHS = {
+  A: 'Ⓐ',
+  B: 'Ⓑ',
+  X: 'Ⓧ',
+  Y: 'Ⓨ',
+  LB: 'LB',
+  RB: 'RB',
+  LT: 'LT',
+  RT: 'RT',
+  SELECT: '⧉',
+  START: '☰',
+  LS: 'L3',
+  RS: 'R3',
+  HOME: '⌂',
+  DPAD_UP: '↑',
+  DPAD_DOWN: '↓',
+  DPAD_LEFT: '←',
+  DPAD_RIGHT: '→',
+  LSTICK_UP: '↑',
+  LSTICK_DOWN: '↓',
+  LSTICK_LEFT: '←',
+  LSTICK_RIGHT: '→'
+};
+
+const DEFAULT_DEADZONE = 0.5;
+const BUTTON_THRESHOLD = 0.5; // Analog triggers count as pressed past half travel
+
+export class GamepadInput {
+  /**
+   * @param {GIVEEngine} engine - Engine receiving key presses
+   * @param {Object} options - Options
+   * @param {Object} options.mapping - Control name -> key (merged over DEFAULT_GAMEPAD_MAPPING, null disables)
+   * @param {number} options.deadzone - Stick deflection that counts as a direction (0-1)
+   * @param {function(): Array} options.getGamepads - Gamepad source (default: navigator.getGamepads)
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.mapping = { ...DEFAULT_GAMEPAD_MAPPING, ...options.mapping };
+    this.deadzone = options.deadzone || DEFAULT_DEADZONE;
+    this.getGamepads = options.getGamepads ||
+      (() => (typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : []));
+
+    this.pressed = new Set(); // Control names held at the last poll
+    this.active = false; // Pad used more recently than keyboard/pointer (prompts show pad glyphs)
+    this.animationId = null;
+
+    this.poll = this.poll.bind(this);
+    this.tick = this.tick.bind(this);
+    this.handleConnected = this.handleConnected.bind(this);
+  }
+
+  /**
+   * Start listening for controllers
+   */
+  start() {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('gamepadconnected', this.handleConnected);
+    }
+    // A pad may already be connected (e.g. after a page reload)
+    if (this.getConnectedPads().length > 0) this.handleConnected();
+  }
+
+  /**
+   * Stop polling and listening
+   */
+  stop() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('gamepadconnected', this.handleConnected);
+    }
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  handleConnected() {
+    this.active = true;
+    if (!this.animationId && typeof requestAnimationFrame === 'function') {
+      this.animationId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  /**
+   * Poll every animation frame while a pad is connected
+   */
+  tick() {
+    this.poll();
+    this.animationId = this.getConnectedPads().length > 0 ? requestAnimationFrame(this.tick) : null;
+  }
+
+  /**
+   * Connected gamepads
+   * @returns {Array<Gamepad>}
+   */
+  getConnectedPads() {
+    return Array.from(this.getGamepads() || []).filter(pad => pad && pad.connected !== false);
+  }
+
+  /**
+   * Whether any controller is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.getConnectedPads().length > 0;
+  }
+
+  /**
+   * Whether prompts should show controller glyphs
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active && this.isConnected();
+  }
+
+  /**
+   * Controls currently held on a pad
+   * @param {Gamepad} pad - Gamepad
+   * @returns {Array<string>} Control names
+   */
+  readControls(pad) {
+    const controls = [];
+
+    (pad.buttons || []).forEach((button, index) => {
+      const value = typeof button === 'object' ? (button.pressed ? 1 : button.value || 0) : button;
+      if (GAMEPAD_BUTTONS[index] && value >= BUTTON_THRESHOLD) {
+        controls.push(GAMEPAD_BUTTONS[index]);
+      }
+    });
+
+    const [x = 0, y = 0] = pad.axes || [];
+    if (x <= -this.deadzone) controls.push('LSTICK_LEFT');
+    if (x >= this.deadzone) controls.push('LSTICK_RIGHT');
+    if (y <= -this.deadzone) controls.push('LSTICK_UP');
+    if (y >= this.deadzone) controls.push('LSTICK_DOWN');
+
+    return controls;
+  }
+
+  /**
+   * Read all pads and send key presses/releases for controls that changed
+   */
+  poll() {
+    const current = new Set();
+    for (const pad of this.getConnectedPads()) {
+      for (const control of this.readControls(pad)) current.add(control);
+    }
+
+    for (const control of current) {
+      if (!this.pressed.has(control) && this.mapping[control]) {
+        this.active = true;
+        this.engine.handleKeyPress(this.createKeyEvent(control));
+      }
+    }
+    for (const control of this.pressed) {
+      if (!current.has(control) && this.mapping[control]) {
+        this.engine.handleKeyUp(this.createKeyEvent(control));
+      }
+    }
+
+    this.pressed = current;
+  }
+
+  /**
+   * Build the key event the engine receives for a control
+   */
+  createKeyEvent(control) {
+    return {
+      key: this.mapping[control],
+      repeat: false,
+      gamepad: true,
+      control,
+      preventDefault() {}
+    };
+  }
+
+  /**
+   * Label for a key on the controller (falls back to the keyboard label)
+   * @param {string} key - Key name from a QTE
+   * @returns {string}
+   */
+  glyphFor(key) {
+    const normalized = normalizeKey(key);
+    for (const [control, mapped] of Object.entries(this.mapping)) {
+      if (mapped && normalizeKey(mapped) === normalized && GAMEPAD_GLYPHS[control]) {
+        return GAMEPAD_GLYPHS[control];
+      }
+    }
+    return keyGlyph(key);
+  }
+}
+
+export default GamepadInput;
@@ -0,0 +1,192 @@
+/**
+ * GIVE Interval Index
+ *
+ * Finds the overlays active at a frame (or intersecting a frame range) without
+ * scanning every overlay. Entries are kept sorted by frameStart, with a max-frameEnd
+ * segment tree over them: a query only descends into subtrees whose overlays can
+ * still be running, so lookups are O(log n + k).
+ *
+ * Results come back in insertion order, which is the engine's draw order.
+ */
+
+export class IntervalIndex {
+  constructor() {
+    this.entries = [];       // {item, start, end, order} sorted by start
+    this.lookup = new Map(); // item -> entry
+    this.tree = [];          // max end per node, rebuilt lazily
+    this.treeSize = 0;
+    this.dirty = false;
+    this.nextOrder = 0;
+  }
+
+  /**
+   * Number of indexed items
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Replace the index contents
+   * @param {Array<Object>} items - Items with frameStart/frameEnd, in draw order
+   */
+  build(items) {
+    this.lookup.clear();
+    this.entries = items.map((item, order) => this.createEntry(item, order));
+    this.entries.sort((a, b) => a.start - b.start || a.order - b.order);
+    for (const entry of this.entries) {
+      this.lookup.set(entry.item, entry);
+    }
+    this.nextOrder = items.length;
+    this.dirty = true;
+  }
+
+  /**
+   * Remove everything
+   */
+  clear() {
+    this.build([]);
+  }
+
+  /**
+   * Add an item (drawn after existing items)
+   * @param {Object} item - Item with frameStart/frameEnd
+   */
+  insert(item) {
+    if (this.lookup.has(item)) {
+      this.update(item);
+      return;
+    }
+    this.insertEntry(this.createEntry(item, this.nextOrder++));
+  }
+
+  /**
+   * Remove an item
+   * @param {Object} item - Previously inserted item
+   */
+  remove(item) {
+    const entry = this.lookup.get(item);
+    if (!entry) return;
+
+    this.entries.splice(this.entries.indexOf(entry, this.lowerBound(entry.start)), 1);
+    this.lookup.delete(item);
+    this.dirty = true;
+  }
+
+  /**
+   * Re-index an item after its frameStart/frameEnd changed (keeps its draw order)
+   * @param {Object} item - Previously inserted item
+   */
+  update(item) {
+    const entry = this.lookup.get(item);
+    if (!entry) {
+      this.insert(item);
+      return;
+    }
+
+    this.remove(item);
+    this.insertEntry(this.createEntry(item, entry.order));
+  }
+
+  /**
+   * Get items active at a frame
+   * @param {number} frame - Frame number
+   * @returns {Array<Object>} Items with frameStart <= frame <= frameEnd, in draw order
+   */
+  queryPoint(frame) {
+    return this.query(frame, frame);
+  }
+
+  /**
+   * Get items intersecting a frame range
+   * @param {number} start - First frame (inclusive)
+   * @param {number} end - Last frame (inclusive)
+   * @returns {Array<Object>} Items overlapping [start, end], in draw order
+   */
+  query(start, end) {
+    if (this.dirty) this.rebuildTree();
+
+    // Only entries starting at or before the range end can intersect it
+    const limit = this.upperBound(end);
+    const found = [];
+    if (limit > 0) {
+      this.collect(1, 0, this.treeSize, limit, start, found);
+    }
+
+    return found.sort((a, b) => a.order - b.order).map(entry => entry.item);
+  }
+
+  createEntry(item, order) {
+    return { item, start: item.frameStart, end: item.frameEnd, order };
+  }
+
+  insertEntry(entry) {
+    this.entries.splice(this.upperBound(entry.start), 0, entry);
+    this.lookup.set(entry.item, entry);
+    this.dirty = true;
+  }
+
+  /**
+   * First index with start >= value
+   */
+  lowerBound(value) {
+    let lo = 0;
+    let hi = this.entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.entries[mid].start < value) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * First index with start > value
+   */
+  upperBound(value) {
+    let lo = 0;
+    let hi = this.entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.entries[mid].start <= value) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Rebuild the max-end segment tree over the sorted entries
+   */
+  rebuildTree() {
+    let size = 1;
+    while (size < this.entries.length) size *= 2;
+
+    this.treeSize = size;
+    this.tree = new Array(size * 2).fill(-Infinity);
+
+    for (let i = 0; i < this.entries.length; i++) {
+      this.tree[size + i] = this.entries[i].end;
+    }
+    for (let node = size - 1; node > 0; node--) {
+      this.tree[node] = Math.max(this.tree[node * 2], this.tree[node * 2 + 1]);
+    }
+
+    this.dirty = false;
+  }
+
+  /**
+   * Collect entries in [nodeLo, nodeHi) with index < limit and end >= minEnd
+   */
+  collect(node, nodeLo, nodeHi, limit, minEnd, found) {
+    if (nodeLo >= limit || this.tree[node] < minEnd) return;
+
+    if (nodeHi - nodeLo === 1) {
+      found.push(this.entries[nodeLo]);
+      return;
+    }
+
+    const mid = (nodeLo + nodeHi) >> 1;
+    this.collect(node * 2, nodeLo, mid, limit, minEnd, found);
+    this.collect(node * 2 + 1, mid, nodeHi, limit, minEnd, found);
+  }
+}
+
+export default IntervalIndex;
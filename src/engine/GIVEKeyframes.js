@@ -0,0 +1,295 @@
+/**
+ * GIVE Keyframes
+ *
+ * Per-frame interpolation of overlay properties.
+ * Keyframes use absolute frame numbers so they line up with frameStart/frameEnd:
+ *
+ * keyframes: [
+ *   { frame: 100, x: 50, y: 200, easing: 'ease-out' },
+ *   { frame: 148, x: 400, scale: 1.5, easing: 'hold' },
+ *   { frame: 172, opacity: 0 }
+ * ]
+ *
+ * Each property is interpolated on its own track, so a keyframe only needs
+ * the properties that change at that frame. A keyframe's easing applies to
+ * the segment that starts at it.
+ *
+ * Outline overlays can also morph between point sets with `pointKeyframes`,
+ * using the same frame/easing rules:
+ *
+ * pointKeyframes: [
+ *   { frame: 100, points: [{x: 10, y: 10}, {x: 90, y: 10}, {x: 50, y: 80}] },
+ *   { frame: 148, points: [{x: 30, y: 20}, {x: 120, y: 15}, {x: 130, y: 90}, {x: 40, y: 100}] }
+ * ]
+ */
+
+// Properties the engine knows how to animate
+export const ANIMATABLE_PROPERTIES = ['x', 'y', 'scale', 'rotation', 'opacity'];
+
+/**
+ * Create a CSS-style cubic-bezier easing function
+ * @param {number} x1 - First control point X (0-1)
+ * @param {number} y1 - First control point Y
+ * @param {number} x2 - Second control point X (0-1)
+ * @param {number} y2 - Second control point Y
+ * @returns {function(number): number} Easing function mapping 0-1 progress
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = t => ((ax * t + bx) * t + cx) * t;
+  const sampleY = t => ((ay * t + by) * t + cy) * t;
+  const sampleDerivX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+  // Solve x(t) = x for t, Newton-Raphson first with bisection as fallback
+  const solveT = (x) => {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) return t;
+      const deriv = sampleDerivX(t);
+      if (Math.abs(deriv) < 1e-6) break;
+      t -= error / deriv;
+    }
+
+    let lo = 0;
+    let hi = 1;
+    t = x;
+    while (lo < hi) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < 1e-6) return t;
+      if (x > value) lo = t; else hi = t;
+      if (hi - lo < 1e-7) break;
+      t = (lo + hi) / 2;
+    }
+    return t;
+  };
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return sampleY(solveT(progress));
+  };
+}
+
+// Named easings
+export const EASINGS = {
+  linear: t => t,
+  hold: () => 0,
+  'ease': cubicBezier(0.25, 0.1, 0.25, 1),
+  'ease-in': cubicBezier(0.42, 0, 1, 1),
+  'ease-out': cubicBezier(0, 0, 0.58, 1),
+  'ease-in-out': cubicBezier(0.42, 0, 0.58, 1),
+};
+
+// Cache for easings parsed from strings/arrays so render() doesn't rebuild them every frame
+const easingCache = new Map();
+
+/**
+ * Resolve an easing definition to a function
+ * @param {string|Array<number>|function} easing - Name, 'cubic-bezier(a, b, c, d)', [a, b, c, d] or function
+ * @returns {function(number): number} Easing function
+ */
+export function resolveEasing(easing) {
+  if (!easing) return EASINGS.linear;
+  if (typeof easing === 'function') return easing;
+
+  if (typeof easing === 'string' && EASINGS[easing]) {
+    return EASINGS[easing];
+  }
+
+  const cacheKey = Array.isArray(easing) ? easing.join(',') : easing;
+  if (easingCache.has(cacheKey)) {
+    return easingCache.get(cacheKey);
+  }
+
+  let controlPoints = null;
+  if (Array.isArray(easing) && easing.length === 4) {
+    controlPoints = easing.map(Number);
+  } else if (typeof easing === 'string') {
+    const match = easing.match(/^cubic-bezier\(([^)]+)\)$/);
+    if (match) {
+      controlPoints = match[1].split(',').map(Number);
+    }
+  }
+
+  const fn = controlPoints && controlPoints.length === 4 && controlPoints.every(Number.isFinite)
+    ? cubicBezier(...controlPoints)
+    : EASINGS.linear;
+
+  easingCache.set(cacheKey, fn);
+  return fn;
+}
+
+/**
+ * Return keyframes sorted by frame (no copy if already sorted)
+ * @param {Array<Object>} keyframes - Keyframe list
+ * @returns {Array<Object>} Sorted keyframes
+ */
+export function sortKeyframes(keyframes) {
+  for (let i = 1; i < keyframes.length; i++) {
+    if (keyframes[i].frame < keyframes[i - 1].frame) {
+      return [...keyframes].sort((a, b) => a.frame - b.frame);
+    }
+  }
+  return keyframes;
+}
+
+/**
+ * Get the eased progress between two keyframes
+ * @param {Object} from - Keyframe at the start of the segment
+ * @param {Object} to - Keyframe at the end of the segment
+ * @param {number} frame - Current frame
+ * @returns {number} Eased progress (0-1, may overshoot for bezier easings)
+ */
+export function segmentProgress(from, to, frame) {
+  const span = to.frame - from.frame;
+  const t = span > 0 ? (frame - from.frame) / span : 1;
+  return resolveEasing(from.easing)(Math.max(0, Math.min(1, t)));
+}
+
+/**
+ * Interpolate keyframed properties at a frame
+ * @param {Array<Object>} keyframes - Keyframe list ({frame, ...properties, easing})
+ * @param {number} frame - Frame number
+ * @param {Array<string>} properties - Properties to interpolate
+ * @returns {Object} Interpolated values for properties that have at least one keyframe
+ */
+export function interpolateKeyframes(keyframes, frame, properties = ANIMATABLE_PROPERTIES) {
+  const result = {};
+  if (!keyframes || keyframes.length === 0) return result;
+
+  const sorted = sortKeyframes(keyframes);
+
+  for (const prop of properties) {
+    const track = sorted.filter(k => k[prop] !== undefined);
+    if (track.length === 0) continue;
+
+    const first = track[0];
+    const last = track[track.length - 1];
+
+    if (frame <= first.frame) {
+      result[prop] = first[prop];
+      continue;
+    }
+    if (frame >= last.frame) {
+      result[prop] = last[prop];
+      continue;
+    }
+
+    for (let i = 0; i < track.length - 1; i++) {
+      const from = track[i];
+      const to = track[i + 1];
+      if (frame >= from.frame && frame < to.frame) {
+        const eased = segmentProgress(from, to, frame);
+        result[prop] = from[prop] + (to[prop] - from[prop]) * eased;
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resample a point list to a higher vertex count
+ * Subdivides the longest edges so the original vertices (and the shape) are kept.
+ * @param {Array<{x: number, y: number}>} points - Source points
+ * @param {number} count - Target vertex count
+ * @param {boolean} closed - Whether the last point connects back to the first
+ * @returns {Array<{x: number, y: number}>} New point list with `count` points
+ */
+export function resamplePoints(points, count, closed = true) {
+  const result = points.map(p => ({ x: p.x, y: p.y }));
+  if (result.length === 0) return result;
+
+  while (result.length < count) {
+    if (result.length === 1) {
+      result.push({ ...result[0] });
+      continue;
+    }
+
+    // Find the longest edge
+    const edgeCount = closed ? result.length : result.length - 1;
+    let longest = 0;
+    let longestLength = -1;
+    for (let i = 0; i < edgeCount; i++) {
+      const a = result[i];
+      const b = result[(i + 1) % result.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      if (length > longestLength) {
+        longest = i;
+        longestLength = length;
+      }
+    }
+
+    const a = result[longest];
+    const b = result[(longest + 1) % result.length];
+    result.splice(longest + 1, 0, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  }
+
+  return result;
+}
+
+/**
+ * Interpolate between point sets keyed by frame
+ * Point sets with differing vertex counts are resampled to the larger count.
+ * @param {Array<{frame: number, points: Array, easing?: string}>} pointKeyframes - Point sets by frame
+ * @param {number} frame - Frame number
+ * @param {boolean} closed - Whether the outline is closed (affects resampling)
+ * @returns {Array<{x: number, y: number}>} Points at the frame
+ */
+export function interpolatePoints(pointKeyframes, frame, closed = true) {
+  if (!pointKeyframes || pointKeyframes.length === 0) return [];
+
+  const sorted = sortKeyframes(pointKeyframes);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+
+  if (frame <= first.frame) return first.points;
+  if (frame >= last.frame) return last.points;
+
+  let from = first;
+  let to = last;
+  for (let i = 0; i < sorted.length - 1; i++) {
+    if (frame >= sorted[i].frame && frame < sorted[i + 1].frame) {
+      from = sorted[i];
+      to = sorted[i + 1];
+      break;
+    }
+  }
+
+  const count = Math.max(from.points.length, to.points.length);
+  const fromPoints = resamplePoints(from.points, count, closed);
+  const toPoints = resamplePoints(to.points, count, closed);
+  const eased = segmentProgress(from, to, frame);
+
+  return fromPoints.map((p, i) => ({
+    x: p.x + (toPoints[i].x - p.x) * eased,
+    y: p.y + (toPoints[i].y - p.y) * eased
+  }));
+}
+
+/**
+ * Insert or merge a keyframe into a keyframe list
+ * @param {Array<Object>} keyframes - Existing keyframes (not modified)
+ * @param {number} frame - Frame number
+ * @param {Object} props - Properties (and optional easing) at that frame
+ * @returns {Array<Object>} New sorted keyframe list
+ */
+export function setKeyframe(keyframes, frame, props) {
+  const list = (keyframes || []).map(k => (k.frame === frame ? { ...k, ...props, frame } : k));
+
+  if (!list.some(k => k.frame === frame)) {
+    list.push({ frame, ...props });
+  }
+
+  return list.sort((a, b) => a.frame - b.frame);
+}
+
+export default interpolateKeyframes;
@@ -0,0 +1,111 @@
+/**
+ * GIVE Migrations
+ *
+ * Upgrades older project files to the current format one version at a time, so
+ * every project ever shipped keeps loading as the format grows:
+ *
+ * const { project, from, applied } = migrateProject(json);
+ * // from: '1.0', project.version: '1.1', applied: ['1.0 -> 1.1: ...']
+ *
+ * A project without `version` is treated as 1.0. Each step receives a copy of the
+ * project and only touches the fields it knows about; unknown fields (title,
+ * videoSource, custom overlay properties...) pass through untouched. Projects
+ * from a newer engine are returned as they are; callers decide whether to warn.
+ *
+ * To change the format: bump PROJECT_VERSION and append a step to MIGRATIONS
+ * whose `from` is the previous version.
+ */
+
+import { Timebase } from './GIVETimebase.js';
+
+export const PROJECT_VERSION = '1.1';
+
+// Version assumed for files written before `version` existed
+const INITIAL_VERSION = '1.0';
+
+export const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'keep non-drop-frame timecode for NTSC rates and store them as exact rationals',
+    // 1.0 engines only counted non-drop timecode and stored 29.97-style rates as decimals
+    migrate(project) {
+      if (project.fps === undefined) return project;
+
+      let timebase;
+      try {
+        timebase = Timebase.parse(project.fps);
+      } catch (error) {
+        return project; // Left for validation to report
+      }
+      if (timebase.denominator === 1001) {
+        project.fps = `${timebase.numerator}/1001`;
+        if (timebase.supportsDropFrame && project.dropFrame === undefined) {
+          project.dropFrame = false;
+        }
+      }
+      return project;
+    }
+  }
+];
+
+/**
+ * Compare dotted version strings numerically ('1.10' > '1.9')
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Version a project was written in
+ * @param {Object} project - Project data
+ * @returns {string}
+ */
+export function projectVersion(project) {
+  return project.version !== undefined ? String(project.version) : INITIAL_VERSION;
+}
+
+/**
+ * Upgrade a project to the current format
+ * @param {Object} project - Project data (not modified)
+ * @returns {{project: Object, from: string, applied: Array<string>}} The upgraded copy, the
+ *   version it was written in and a description of each step applied
+ */
+export function migrateProject(project) {
+  if (project === null || typeof project !== 'object' || Array.isArray(project)) {
+    throw new Error('GIVE Migrations: Project must be an object');
+  }
+
+  const from = projectVersion(project);
+  let migrated = JSON.parse(JSON.stringify(project));
+  let version = from;
+  const applied = [];
+
+  if (compareVersions(version, PROJECT_VERSION) > 0) {
+    return { project: migrated, from, applied };
+  }
+
+  while (compareVersions(version, PROJECT_VERSION) < 0) {
+    const step = MIGRATIONS.find(migration => compareVersions(migration.from, version) === 0);
+    if (!step) {
+      throw new Error(`GIVE Migrations: Unknown project version "${version}" (no upgrade path to ${PROJECT_VERSION})`);
+    }
+    migrated = step.migrate(migrated) || migrated;
+    applied.push(`${step.from} -> ${step.to}: ${step.description}`);
+    version = step.to;
+  }
+
+  migrated.version = PROJECT_VERSION;
+  return { project: migrated, from, applied };
+}
+
+export default migrateProject;
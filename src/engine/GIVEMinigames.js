@@ -0,0 +1,351 @@
+/**
+ * GIVE Minigames
+ *
+ * WarioWare-style micro-games mounted over the video. A game is a module with a
+ * start/update/render/end lifecycle, registered by name:
+ *
+ * engine.registerMinigame('bat-swat', {
+ *   start(game) { ... },               // Set up game.state
+ *   update(game, dt) { ... },          // Fixed timestep (dt seconds, default 1/60)
+ *   render(ctx, game) { ... },         // Draw; (0, 0) is the top-left of the game area
+ *   end(game, result) { ... },         // Optional clean-up
+ *   params: { ... },                   // Optional defaults for the overlay's params
+ *   tickRate: 60,                      // Optional updates per second
+ *   timeLimit: 5,                      // Optional default seconds
+ *   timeout: 'lose'                    // Optional default result when time runs out
+ * });
+ *
+ * A `minigame` overlay starts its game when playback reaches frameStart. While the
+ * game runs it owns keyboard, gamepad and pointer input, and the video pauses on
+ * frameStart (`video: 'pause'`), loops the overlay's range (`'loop'`) or keeps
+ * playing (`'play'`). The game finishes by calling game.win() or game.lose(), or
+ * when `timeLimit` runs out; the result is emitted as `minigame:result` and can
+ * jump (`onWin` / `onLose` targets), apply effects and score points.
+ */
+
+import { normalizeKey } from './GIVEQTE.js';
+
+export const MINIGAME_VIDEO_MODES = ['pause', 'loop', 'play'];
+
+const DEFAULT_TICK_RATE = 60;
+const DEFAULT_TIME_LIMIT = 5; // seconds
+const MAX_FRAME_TIME = 0.25;  // Longest gap simulated at once (e.g. after a background tab)
+
+/**
+ * Validate a minigame module
+ * @param {string} name - Game name
+ * @param {Object} definition - Game module
+ */
+export function validateMinigame(name, definition) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('GIVE: Minigame name must be a non-empty string');
+  }
+  for (const hook of ['start', 'update', 'render']) {
+    if (!definition || typeof definition[hook] !== 'function') {
+      throw new Error(`GIVE: Minigame "${name}" needs a ${hook} function`);
+    }
+  }
+  if (definition.end !== undefined && typeof definition.end !== 'function') {
+    throw new Error(`GIVE: Minigame "${name}" end must be a function`);
+  }
+}
+
+export class MinigameRunner {
+  /**
+   * @param {GIVEEngine} engine - Engine hosting the games
+   * @param {Object} games - Game modules by name
+   */
+  constructor(engine, games = {}) {
+    this.engine = engine;
+    this.games = new Map();
+    this.active = null; // { overlay, definition, game, accumulator, step }
+    this.animationId = null;
+    this.lastTime = null;
+
+    this.tick = this.tick.bind(this);
+
+    for (const [name, definition] of Object.entries(games)) {
+      this.register(name, definition);
+    }
+  }
+
+  /**
+   * Register a game module
+   * @param {string} name - Name used by minigame overlays' `game`
+   * @param {Object} definition - Game module
+   */
+  register(name, definition) {
+    validateMinigame(name, definition);
+    this.games.set(name, definition);
+  }
+
+  /**
+   * Get a registered game module
+   * @param {string} name - Game name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.games.get(name) || null;
+  }
+
+  /**
+   * Whether a game is running (optionally a specific overlay's)
+   * @param {Object} overlay - Minigame overlay (optional)
+   * @returns {boolean}
+   */
+  isRunning(overlay) {
+    return this.active !== null && (overlay === undefined || this.active.overlay === overlay);
+  }
+
+  /**
+   * What the video does while an overlay's game runs
+   * @param {Object} overlay - Minigame overlay
+   * @returns {string} 'pause', 'loop' or 'play'
+   */
+  videoMode(overlay) {
+    return MINIGAME_VIDEO_MODES.includes(overlay.video) ? overlay.video : 'pause';
+  }
+
+  /**
+   * Start an overlay's game
+   * @param {Object} overlay - Minigame overlay
+   * @returns {boolean} True if the game started
+   */
+  start(overlay) {
+    const definition = this.get(overlay.game);
+    if (!definition) {
+      console.warn(`[GIVE] Unknown minigame "${overlay.game}"`);
+      return false;
+    }
+    if (this.active) this.cancel();
+
+    const engine = this.engine;
+    const bounds = {
+      x: overlay.x || 0,
+      y: overlay.y || 0,
+      width: overlay.width || engine.videoWidth,
+      height: overlay.height || engine.videoHeight
+    };
+    const keys = new Set();
+    const pressed = new Set();
+
+    const game = {
+      name: overlay.game,
+      overlay,
+      engine,
+      params: { ...(definition.params || {}), ...(overlay.params || {}) },
+      width: bounds.width,
+      height: bounds.height,
+      bounds,
+      state: {},
+      time: 0,
+      ticks: 0,
+      timeLimit: overlay.timeLimit || definition.timeLimit || DEFAULT_TIME_LIMIT,
+      input: {
+        keys,
+        pressed,
+        pointer: { x: 0, y: 0, down: false, pressed: false },
+        isDown: key => keys.has(normalizeKey(key)),
+        wasPressed: key => pressed.has(normalizeKey(key))
+      },
+      win: details => this.finish(true, details),
+      lose: details => this.finish(false, details)
+    };
+    game.timeLeft = game.timeLimit;
+
+    const rate = definition.tickRate || DEFAULT_TICK_RATE;
+    this.active = { overlay, definition, game, accumulator: 0, step: 1 / rate };
+
+    definition.start(game);
+    engine.emit('minigame:start', { overlay, game: overlay.game });
+
+    if (this.active && this.active.game === game && typeof requestAnimationFrame === 'function') {
+      this.lastTime = null;
+      this.animationId = requestAnimationFrame(this.tick);
+    }
+    return true;
+  }
+
+  /**
+   * Animation frame: run fixed updates for the elapsed time and redraw
+   */
+  tick(timestamp) {
+    this.animationId = null;
+    if (!this.active) return;
+
+    const elapsed = this.lastTime === null ? 0 : Math.min(MAX_FRAME_TIME, (timestamp - this.lastTime) / 1000);
+    this.lastTime = timestamp;
+
+    // Pausing the player pauses the game
+    if (this.engine.isPlaying) this.advance(elapsed);
+
+    // A game over playing video is over when its overlay is
+    const active = this.active;
+    if (active && this.videoMode(active.overlay) === 'play' && !this.engine.activeSet.has(active.overlay)) {
+      this.timeOut();
+    }
+
+    if (this.active) {
+      this.engine.render();
+      this.animationId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  /**
+   * Run fixed-timestep updates for a stretch of time
+   * @param {number} seconds - Elapsed time
+   */
+  advance(seconds) {
+    const active = this.active;
+    if (!active) return;
+
+    active.accumulator += seconds;
+    while (this.active === active && active.accumulator >= active.step) {
+      const game = active.game;
+      active.definition.update(game, active.step);
+      active.accumulator -= active.step;
+
+      game.time += active.step;
+      game.ticks++;
+      game.timeLeft = Math.max(0, game.timeLimit - game.time);
+      game.input.pressed.clear();
+      game.input.pointer.pressed = false;
+
+      if (this.active === active && game.timeLeft <= 0) this.timeOut();
+    }
+  }
+
+  /**
+   * End the running game as its `timeout` result ('lose' unless the overlay or game says 'win')
+   */
+  timeOut() {
+    const { overlay, definition } = this.active;
+    const outcome = overlay.timeout || definition.timeout || 'lose';
+    this.finish(outcome === 'win', { timedOut: true });
+  }
+
+  /**
+   * Draw the running game (called by the minigame overlay type)
+   * @param {CanvasRenderingContext2D} ctx - Overlay canvas context
+   * @param {Object} overlay - Minigame overlay being drawn
+   */
+  render(ctx, overlay) {
+    if (!this.isRunning(overlay)) return;
+
+    const { definition, game } = this.active;
+    const { x, y, width, height } = game.bounds;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    ctx.translate(x, y);
+    definition.render(ctx, game);
+    ctx.restore();
+  }
+
+  /**
+   * End the running game with a result
+   * @param {boolean} success - Won?
+   * @param {Object} details - Extra result data from the game (e.g. { points: 250 })
+   */
+  finish(success, details = {}) {
+    const active = this.active;
+    if (!active) return;
+
+    this.stop();
+    const { overlay, definition, game } = active;
+    const result = {
+      overlay,
+      game: overlay.game,
+      success,
+      time: game.time,
+      timedOut: Boolean(details.timedOut),
+      points: details.points,
+      details
+    };
+
+    if (definition.end) definition.end(game, result);
+    this.engine.emit('minigame:result', result);
+
+    // Branch and apply effects
+    const outcome = success ? overlay.onWin : overlay.onLose;
+    if (outcome && outcome.effects) this.engine.state.apply(outcome.effects);
+
+    if (this.engine.hold && this.engine.hold.overlay === overlay) this.engine.releaseHold();
+    if (outcome && outcome.target !== undefined && outcome.target !== null) {
+      this.engine.story.goTo(outcome.target);
+    } else {
+      this.engine.render();
+    }
+  }
+
+  /**
+   * Stop the running game without a result (e.g. the player seeked away)
+   */
+  cancel() {
+    const active = this.active;
+    if (!active) return;
+
+    this.stop();
+    if (active.definition.end) active.definition.end(active.game, null);
+  }
+
+  /**
+   * Stop ticking and drop the running game
+   */
+  stop() {
+    if (this.animationId !== null) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.active = null;
+  }
+
+  /**
+   * Key press for the running game
+   * @returns {boolean} True if a game took the key
+   */
+  handleKey(event) {
+    if (!this.active) return false;
+    if (!event.repeat) {
+      const key = normalizeKey(event.key);
+      this.active.game.input.keys.add(key);
+      this.active.game.input.pressed.add(key);
+    }
+    return true;
+  }
+
+  /**
+   * Key release for the running game
+   * @returns {boolean} True if a game took the key
+   */
+  handleKeyUp(event) {
+    if (!this.active) return false;
+    this.active.game.input.keys.delete(normalizeKey(event.key));
+    return true;
+  }
+
+  /**
+   * Pointer input for the running game
+   * @param {string} type - 'down', 'move' or 'up'
+   * @param {{x: number, y: number}} point - Point in video pixels
+   * @returns {boolean} True if a game took the pointer
+   */
+  handlePointer(type, point) {
+    if (!this.active) return false;
+
+    const { bounds, input } = this.active.game;
+    input.pointer.x = point.x - bounds.x;
+    input.pointer.y = point.y - bounds.y;
+    if (type === 'down') {
+      input.pointer.down = true;
+      input.pointer.pressed = true;
+    } else if (type === 'up') {
+      input.pointer.down = false;
+    }
+    return true;
+  }
+}
+
+export default MinigameRunner;
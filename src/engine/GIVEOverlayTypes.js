@@ -0,0 +1,269 @@
+/**
+ * GIVE Overlay Types
+ *
+ * Registry of overlay kinds. Each type is described by a definition:
+ *
+ * {
+ *   render(ctx, overlay, engine, context),  // Draw at the current frame (required)
+ *   hitTest(point, overlay, engine, margin), // Is a point on the overlay? (optional)
+ *   bounds(overlay, engine),                 // {x, y, width, height} at the current frame (optional)
+ *   defaults: { ... }                        // Filled into new and loaded overlays (optional)
+ * }
+ *
+ * `render` runs inside the engine's transform, so keyframes and transitions apply
+ * to custom types for free. Likewise `hitTest` gets the point, and `bounds` reports
+ * the box, in the overlay's own coordinates (as if it weren't animated); the engine
+ * maps them to where the overlay is drawn. `context` carries the frame and the typewriter `reveal`
+ * count (null = show everything).
+ */
+
+import { qteLayout, qteButtonAt } from './GIVEQTE.js';
+import { choiceLayout, choiceOptionAt } from './GIVEStoryGraph.js';
+
+// Size assumed for overlays that don't declare one (matches the editor's selection box)
+const FALLBACK_WIDTH = 100;
+const FALLBACK_HEIGHT = 50;
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = value =>
+  value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+
+/**
+ * Default bounds: the overlay's x/y/width/height
+ * @param {Object} overlay - Overlay definition
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function defaultBounds(overlay) {
+  return {
+    x: overlay.x || 0,
+    y: overlay.y || 0,
+    width: overlay.width || FALLBACK_WIDTH,
+    height: overlay.height || FALLBACK_HEIGHT
+  };
+}
+
+/**
+ * Bounding box of a point list
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function pointsBounds(points) {
+  if (points.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Even-odd point-in-polygon test
+ * @param {{x: number, y: number}} point - Point
+ * @param {Array<{x: number, y: number}>} points - Polygon vertices
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Polygon of a hotspot: its own points, or the current points of the outline it follows
+ * @param {Object} overlay - Hotspot overlay
+ * @param {GIVEEngine} engine - Engine
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function hotspotPolygon(overlay, engine) {
+  if (overlay.outline) {
+    const outline = engine.getOverlay(overlay.outline);
+    return outline ? engine.getOutlinePoints(outline) : [];
+  }
+  return engine.getOutlinePoints(overlay);
+}
+
+/**
+ * Add a hotspot's shape to the current canvas path
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {Object} overlay - Hotspot overlay
+ * @param {GIVEEngine} engine - Engine
+ */
+export function traceHotspot(ctx, overlay, engine) {
+  const shape = overlay.shape || 'rect';
+
+  if (shape === 'circle') {
+    ctx.ellipse(overlay.x + overlay.width / 2, overlay.y + overlay.height / 2,
+      overlay.width / 2, overlay.height / 2, 0, 0, Math.PI * 2);
+  } else if (shape === 'polygon') {
+    const points = hotspotPolygon(overlay, engine);
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+  } else {
+    ctx.rect(overlay.x, overlay.y, overlay.width, overlay.height);
+  }
+}
+
+/**
+ * Fill missing overlay properties from a type's defaults
+ * Plain-object defaults (e.g. style) are merged one level deep.
+ * @param {Object} overlay - Overlay definition (modified)
+ * @param {Object} defaults - Default properties
+ * @returns {Object} The overlay
+ */
+export function applyDefaults(overlay, defaults) {
+  if (!defaults) return overlay;
+
+  for (const [key, value] of Object.entries(defaults)) {
+    if (overlay[key] === undefined) {
+      overlay[key] = clone(value);
+    } else if (isPlainObject(value) && isPlainObject(overlay[key])) {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        if (overlay[key][childKey] === undefined) {
+          overlay[key][childKey] = clone(childValue);
+        }
+      }
+    }
+  }
+
+  return overlay;
+}
+
+/**
+ * Validate an overlay type definition
+ * @param {string} type - Type name
+ * @param {Object} definition - Type definition
+ */
+export function validateOverlayType(type, definition) {
+  if (typeof type !== 'string' || type.length === 0) {
+    throw new Error('GIVE: Overlay type name must be a non-empty string');
+  }
+  if (!definition || typeof definition.render !== 'function') {
+    throw new Error(`GIVE: Overlay type "${type}" needs a render(ctx, overlay, engine, context) function`);
+  }
+  for (const hook of ['hitTest', 'bounds']) {
+    if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+      throw new Error(`GIVE: Overlay type "${type}" ${hook} must be a function`);
+    }
+  }
+  if (definition.defaults !== undefined && !isPlainObject(definition.defaults)) {
+    throw new Error(`GIVE: Overlay type "${type}" defaults must be an object`);
+  }
+}
+
+/**
+ * Built-in overlay types, drawn by the engine's render methods
+ */
+export const BUILT_IN_OVERLAY_TYPES = {
+  text: {
+    render: (ctx, overlay, engine, context) => engine.renderText(overlay, context.reveal)
+  },
+  caption: {
+    render: (ctx, overlay, engine, context) => engine.renderCaption(overlay, context.reveal),
+    bounds: (overlay, engine) => {
+      if (!engine.ctx) return defaultBounds(overlay);
+      engine.ctx.save();
+      const { x, y, width, height } = engine.getCaptionLayout(overlay);
+      engine.ctx.restore();
+      return { x, y, width, height };
+    }
+  },
+  shape: {
+    render: (ctx, overlay, engine) => engine.renderShape(overlay)
+  },
+  ascii: {
+    render: (ctx, overlay, engine) => engine.renderAscii(overlay)
+  },
+  outline: {
+    render: (ctx, overlay, engine) => engine.renderOutline(overlay),
+    bounds: (overlay, engine) => pointsBounds(engine.getOutlinePoints(overlay))
+  },
+  qte: {
+    render: (ctx, overlay, engine) => engine.renderQTE(overlay),
+    bounds: (overlay) => {
+      const { size, totalWidth } = qteLayout(overlay);
+      return { x: overlay.x, y: overlay.y, width: totalWidth, height: size };
+    },
+    hitTest: (point, overlay, engine, margin) => qteButtonAt(overlay, point, margin) !== null
+  },
+  hotspot: {
+    defaults: { shape: 'rect', interactive: true },
+    render: (ctx, overlay, engine) => engine.renderHotspot(overlay),
+    bounds: (overlay, engine) => {
+      if (overlay.shape === 'polygon') return pointsBounds(hotspotPolygon(overlay, engine));
+      return defaultBounds(overlay);
+    },
+    hitTest: (point, overlay, engine, margin) => {
+      const shape = overlay.shape || 'rect';
+
+      if (shape === 'circle') {
+        const rx = overlay.width / 2 + margin;
+        const ry = overlay.height / 2 + margin;
+        const dx = point.x - (overlay.x + overlay.width / 2);
+        const dy = point.y - (overlay.y + overlay.height / 2);
+        return (dx * dx) / (rx * rx) + (dy * dy) / (ry * ry) <= 1;
+      }
+
+      if (shape === 'polygon') {
+        return pointInPolygon(point, hotspotPolygon(overlay, engine));
+      }
+
+      return point.x >= overlay.x - margin && point.x <= overlay.x + overlay.width + margin &&
+             point.y >= overlay.y - margin && point.y <= overlay.y + overlay.height + margin;
+    }
+  },
+  choice: {
+    defaults: { options: [], width: 640, interactive: true },
+    render: (ctx, overlay, engine) => engine.renderChoice(overlay),
+    bounds: (overlay) => {
+      const { x, y, width, height } = choiceLayout(overlay);
+      return { x, y, width, height };
+    },
+    hitTest: (point, overlay, engine, margin) => choiceOptionAt(overlay, point, margin) !== null
+  },
+  minigame: {
+    defaults: { video: 'pause', params: {} },
+    render: (ctx, overlay, engine) => engine.renderMinigame(overlay),
+    // Game area; the whole frame unless sized
+    bounds: (overlay, engine) => ({
+      x: overlay.x || 0,
+      y: overlay.y || 0,
+      width: overlay.width || engine.videoWidth,
+      height: overlay.height || engine.videoHeight
+    })
+  },
+  audio: {
+    // Heard, not seen: the engine's audio mixer plays it
+    defaults: { gain: 1, duck: 1, loop: false },
+    render: () => {},
+    bounds: () => ({ x: 0, y: 0, width: 0, height: 0 }),
+    hitTest: () => false
+  },
+  popup: {
+    render: (ctx, overlay, engine, context) => engine.renderPopup(overlay, context.reveal)
+  },
+  image: {
+    render: (ctx, overlay, engine) => engine.renderImage(overlay),
+    // Sized by the current image frame unless width/height are set
+    bounds: (overlay, engine) => {
+      const frame = engine.images.frameFor(overlay, engine.currentFrame - overlay.frameStart);
+      return {
+        x: overlay.x || 0,
+        y: overlay.y || 0,
+        width: overlay.width || (frame ? frame.sw : FALLBACK_WIDTH),
+        height: overlay.height || (frame ? frame.sh : FALLBACK_HEIGHT)
+      };
+    }
+  }
+};
+
+export default BUILT_IN_OVERLAY_TYPES;
@@ -0,0 +1,543 @@
+/**
+ * GIVE QTE
+ *
+ * Quick Time Event input handling and grading.
+ *
+ * Modes (overlay.mode):
+ * - tap (default)  press `key` once
+ * - mash           press `key` `count` times
+ * - hold           hold `key` down for `holdFrames` frames (releasing early starts over).
+ *                  Timed by the clock rather than by played frames, so holds finish
+ *                  while playback is frozen or looping back
+ * - sequence       press `keys` in order, e.g. ['UP', 'UP', 'DOWN', 'DOWN']
+ * - direction      press the arrow (or WASD) key for `direction` ('up', 'down', 'left', 'right')
+ * - click          click or tap the prompt
+ *
+ * On touch screens, tapping a prompt's button counts as pressing its key (holding
+ * the finger down holds it), so every mode is playable without a keyboard.
+ *
+ * - A completed QTE is a hit, graded by where in frameStart..frameEnd it was
+ *   completed: perfect (early), good, or late.
+ * - A key press that no open QTE accepts fails the open tap, sequence and direction
+ *   QTEs (wrong key). Mash and hold prompts just ignore other keys.
+ * - A click or tap that misses every target fails the open click QTEs (wrong target).
+ * - A QTE whose window closes unanswered during playback fails (missed).
+ *   Seeking past a QTE doesn't count as missing it.
+ *
+ * Each QTE is answered once; resetQTEs() (or loading a project) re-arms them.
+ * Results are emitted as `qte:result` events.
+ *
+ * Playback while a QTE is unanswered (overlay.playback, applied by the engine's
+ * render loop; seeking releases it):
+ * - normal (default)  the video keeps rolling
+ * - freeze            stop on frame `at` (default frameStart) until answered
+ * - loop              jump back from `to` to `from` (default the QTE window) until answered
+ * - slow              play at `rate` (default 0.5) while the QTE is on screen
+ */
+
+// Fraction of the window (from frameStart) that still grades as perfect / good
+export const DEFAULT_GRADING = {
+  perfect: 0.35,
+  good: 0.7
+};
+
+export const QTE_MODES = ['tap', 'mash', 'hold', 'sequence', 'direction', 'click'];
+
+export const QTE_PLAYBACK_MODES = ['normal', 'freeze', 'loop', 'slow'];
+
+const DEFAULT_SLOW_RATE = 0.5;
+
+// Modes where a non-matching key is a wrong answer
+const STRICT_MODES = ['tap', 'sequence', 'direction'];
+
+// Keys accepted for each direction prompt
+export const DIRECTION_KEYS = {
+  up: ['arrowup', 'w'],
+  down: ['arrowdown', 's'],
+  left: ['arrowleft', 'a'],
+  right: ['arrowright', 'd']
+};
+
+// Glyphs drawn for keys that don't read well as text
+const KEY_GLYPHS = {
+  arrowup: '\u2191',
+  arrowdown: '\u2193',
+  arrowleft: '\u2190',
+  arrowright: '\u2192',
+  space: 'SPACE',
+  enter: '\u21B5',
+  escape: 'ESC',
+  click: '\u25CE'
+};
+
+// Keys that never count as a wrong answer
+const IGNORED_KEYS = ['shift', 'control', 'alt', 'meta', 'capslock', 'tab', 'dead', 'unidentified'];
+
+// Alternative names accepted in overlay.key
+const KEY_ALIASES = {
+  ' ': 'space',
+  spacebar: 'space',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+  esc: 'escape',
+  return: 'enter'
+};
+
+/**
+ * Normalize a key name for comparison ("SPACE", " " and "Spacebar" are all "space")
+ * @param {string} key - KeyboardEvent.key or overlay key
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+  if (typeof key !== 'string') return '';
+  const lower = key === ' ' ? ' ' : key.trim().toLowerCase();
+  return KEY_ALIASES[lower] || lower;
+}
+
+/**
+ * Get the label drawn for a key
+ * @param {string} key - Overlay key name
+ * @returns {string}
+ */
+export function keyGlyph(key) {
+  const normalized = normalizeKey(key);
+  return KEY_GLYPHS[normalized] || (key || 'X').toUpperCase();
+}
+
+/**
+ * Keys a QTE prompt shows, in order (one for most modes, several for sequences)
+ * @param {Object} overlay - QTE overlay
+ * @returns {Array<string>}
+ */
+export function promptKeys(overlay) {
+  switch (overlay.mode) {
+    case 'sequence':
+      return overlay.keys || [];
+    case 'direction':
+      return [`arrow${overlay.direction || 'up'}`];
+    case 'click':
+      return ['click'];
+    default:
+      return [overlay.key || 'X'];
+  }
+}
+
+/**
+ * Button layout of a QTE prompt (sequences draw one button per key, side by side)
+ * @param {Object} overlay - QTE overlay
+ * @returns {{size: number, totalWidth: number, buttons: Array<{key: string, cx: number, cy: number}>}}
+ */
+export function qteLayout(overlay) {
+  const size = (overlay.style && overlay.style.size) || 60;
+  const keys = promptKeys(overlay);
+  const count = overlay.mode === 'sequence' ? Math.max(1, keys.length) : 1;
+  const gap = size * 0.2;
+
+  const buttons = [];
+  for (let i = 0; i < count; i++) {
+    buttons.push({ key: keys[i], cx: overlay.x + i * (size + gap) + size / 2, cy: overlay.y + size / 2 });
+  }
+
+  return { size, totalWidth: count * size + (count - 1) * gap, buttons };
+}
+
+/**
+ * Find the QTE button under a point
+ * @param {Object} overlay - QTE overlay
+ * @param {{x: number, y: number}} point - Point in the overlay's own coordinates (engine.toOverlayPoint)
+ * @param {number} margin - Extra radius that still counts
+ * @returns {Object|null} Button from qteLayout
+ */
+export function qteButtonAt(overlay, point, margin = 0) {
+  const { size, buttons } = qteLayout(overlay);
+  const radius = size / 2 + margin;
+  return buttons.find(b => (point.x - b.cx) ** 2 + (point.y - b.cy) ** 2 <= radius * radius) || null;
+}
+
+/**
+ * Grade a hit by its position in the QTE window
+ * @param {Object} overlay - QTE overlay
+ * @param {number} frame - Frame the key was pressed on
+ * @param {Object} grading - { perfect, good } window fractions
+ * @returns {{grade: string, timing: number}} timing is 0 at frameStart, 1 at frameEnd
+ */
+export function gradeHit(overlay, frame, grading = DEFAULT_GRADING) {
+  const length = overlay.frameEnd - overlay.frameStart;
+  const timing = length > 0 ? Math.max(0, Math.min(1, (frame - overlay.frameStart) / length)) : 0;
+
+  let grade = 'late';
+  if (timing <= grading.perfect) {
+    grade = 'perfect';
+  } else if (timing <= grading.good) {
+    grade = 'good';
+  }
+
+  return { grade, timing };
+}
+
+/**
+ * Playback settings of a QTE
+ * `playback` may be a mode name ("freeze") or an object ({mode: 'loop', from, to}).
+ * @param {Object} overlay - QTE overlay
+ * @returns {{mode: string, at: number, from: number, to: number, rate: number}}
+ */
+export function qtePlayback(overlay) {
+  const config = typeof overlay.playback === 'string' ? { mode: overlay.playback } : (overlay.playback || {});
+  const at = config.at !== undefined ? config.at : overlay.frameStart;
+  // Loops end inside the window, or the QTE would be missed before looping back
+  const to = Math.min(overlay.frameEnd, config.to !== undefined ? config.to : overlay.frameEnd);
+
+  return {
+    mode: QTE_PLAYBACK_MODES.includes(config.mode) ? config.mode : 'normal',
+    at: Math.max(overlay.frameStart, Math.min(overlay.frameEnd, at)),
+    from: Math.min(to, config.from !== undefined ? config.from : overlay.frameStart),
+    to,
+    rate: config.rate || DEFAULT_SLOW_RATE
+  };
+}
+
+export class QTEController {
+  /**
+   * @param {GIVEEngine} engine - Engine to follow
+   * @param {Object} options - Options
+   * @param {Object} options.grading - Default { perfect, good } window fractions (overlay.grading overrides)
+   * @param {boolean} options.wrongKeyFails - Fail open QTEs on a non-matching key or a missed click (default: true)
+   * @param {Array<string>} options.ignoreKeys - Extra keys that never count as wrong (e.g. player controls)
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.grading = { ...DEFAULT_GRADING, ...options.grading };
+    this.wrongKeyFails = options.wrongKeyFails !== false;
+    this.ignoreKeys = new Set([...IGNORED_KEYS, ...(options.ignoreKeys || []).map(normalizeKey)]);
+    this.results = new Map();  // overlay id -> result
+    this.progress = new Map(); // overlay id -> { presses, index, holdKey, holdSince (ms) }
+    this.pointerKey = null;    // Key "held" by a finger on a QTE button
+    this.holdTimer = null;     // Checks holds while no frames arrive (freeze, loop)
+
+    engine.internalEvents.on('frame', ({ frame, previousFrame, source }) => {
+      this.checkHolds();
+      if (source === 'playback') this.checkMissed(previousFrame, frame);
+    });
+    engine.internalEvents.on('project:loaded', () => this.reset());
+  }
+
+  /**
+   * QTEs that are on screen and still waiting for an answer
+   * @returns {Array<Object>}
+   */
+  getOpenQTEs() {
+    return this.engine.activeOverlays.filter(overlay => this.isOpen(overlay));
+  }
+
+  /**
+   * Whether an overlay is an unanswered, interactive QTE
+   */
+  isOpen(overlay) {
+    return overlay.type === 'qte' && overlay.interactive !== false && !this.results.has(overlay.id) &&
+      this.engine.checkCondition(overlay);
+  }
+
+  /**
+   * Get (creating if needed) the input state of a QTE
+   */
+  getState(overlay) {
+    if (!this.progress.has(overlay.id)) {
+      this.progress.set(overlay.id, { presses: 0, index: 0, holdKey: null, holdSince: null });
+    }
+    return this.progress.get(overlay.id);
+  }
+
+  /**
+   * Completion of a QTE, for progress feedback
+   * @param {Object} overlay - QTE overlay
+   * @returns {number} 0 to 1
+   */
+  getProgress(overlay) {
+    const result = this.results.get(overlay.id);
+    if (result) return result.progress;
+
+    const state = this.progress.get(overlay.id);
+    if (!state) return 0;
+
+    switch (overlay.mode) {
+      case 'mash':
+        return Math.min(1, state.presses / Math.max(1, overlay.count || 1));
+      case 'hold':
+        if (state.holdSince === null) return 0;
+        return Math.min(1, this.heldFrames(state) / Math.max(1, overlay.holdFrames || 1));
+      case 'sequence':
+        return state.index / Math.max(1, (overlay.keys || []).length);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * How long a hold has lasted, in frames at the project rate
+   * @param {Object} state - Input state with holdSince set
+   * @returns {number} Frames (fractional)
+   */
+  heldFrames(state) {
+    return (Date.now() - state.holdSince) / 1000 * this.engine.timebase.fps;
+  }
+
+  /**
+   * Whether a QTE takes a key as its next input
+   */
+  accepts(overlay, key) {
+    switch (overlay.mode) {
+      case 'sequence': {
+        const keys = overlay.keys || [];
+        return normalizeKey(keys[this.getState(overlay).index]) === key;
+      }
+      case 'direction':
+        return (DIRECTION_KEYS[overlay.direction] || []).includes(key);
+      case 'click':
+        return false;
+      default:
+        return normalizeKey(overlay.key) === key;
+    }
+  }
+
+  /**
+   * Handle a key press
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} True if the key was used by a QTE
+   */
+  handleKey(event) {
+    const key = normalizeKey(event.key);
+    if (event.repeat) return false;
+
+    const open = this.getOpenQTEs();
+    if (open.length === 0) return false;
+
+    const frame = this.engine.currentFrame;
+    const target = open.find(overlay => this.accepts(overlay, key));
+
+    if (target) {
+      this.advance(target, event.key, frame);
+      return true;
+    }
+
+    // Ignored keys can still answer a QTE asking for them, they just never fail one
+    const strict = open.filter(overlay => STRICT_MODES.includes(overlay.mode || 'tap'));
+    if (this.wrongKeyFails && strict.length > 0 && !this.ignoreKeys.has(key)) {
+      for (const overlay of strict) {
+        this.fail(overlay, 'wrong-key', event.key, frame);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a key release (ends hold prompts)
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} True if the release interrupted a hold
+   */
+  handleKeyUp(event) {
+    const key = normalizeKey(event.key);
+    let used = false;
+
+    for (const overlay of this.getOpenQTEs()) {
+      const state = this.progress.get(overlay.id);
+      if (overlay.mode === 'hold' && state && state.holdKey === key) {
+        // Released too early: start over
+        state.holdKey = null;
+        state.holdSince = null;
+        used = true;
+      }
+    }
+
+    if (used) this.updateHoldTimer();
+    return used;
+  }
+
+  /**
+   * Handle a click or tap on a QTE (a pointer:hit on a qte overlay)
+   * @param {Object} overlay - QTE under the pointer
+   * @param {{x: number, y: number}} point - Point in video pixels
+   * @returns {boolean} True if the pointer was used
+   */
+  handlePointerDown(overlay, point) {
+    if (!this.isOpen(overlay)) return false;
+    const frame = this.engine.currentFrame;
+
+    if (overlay.mode === 'click') {
+      this.hit(overlay, null, frame, point);
+      return true;
+    }
+
+    // Tapping a button presses its key (buttons are laid out before animation)
+    const local = this.engine.toOverlayPoint(point, overlay);
+    const button = local && qteButtonAt(overlay, local, 10);
+    if (!button) return false;
+
+    this.pointerKey = button.key;
+    return this.handleKey({ key: button.key, repeat: false });
+  }
+
+  /**
+   * Handle a pointer release (ends holds started by a tap)
+   * @returns {boolean} True if the release interrupted a hold
+   */
+  handlePointerUp() {
+    if (this.pointerKey === null) return false;
+
+    const key = this.pointerKey;
+    this.pointerKey = null;
+    return this.handleKeyUp({ key });
+  }
+
+  /**
+   * Handle a click or tap that hit no target
+   * @param {{x: number, y: number}} point - Point in video pixels
+   * @returns {boolean} True if it failed a click QTE
+   */
+  handlePointerMiss(point) {
+    if (!this.wrongKeyFails) return false;
+
+    const open = this.getOpenQTEs().filter(overlay => overlay.mode === 'click');
+    for (const overlay of open) {
+      this.fail(overlay, 'wrong-target', null, this.engine.currentFrame, point);
+    }
+    return open.length > 0;
+  }
+
+  /**
+   * Apply an accepted key press to a QTE
+   */
+  advance(overlay, key, frame) {
+    const state = this.getState(overlay);
+
+    switch (overlay.mode) {
+      case 'mash':
+        state.presses++;
+        if (state.presses >= (overlay.count || 1)) this.hit(overlay, key, frame);
+        break;
+      case 'hold':
+        state.holdKey = normalizeKey(key);
+        state.holdSince = Date.now();
+        this.checkHolds();
+        this.updateHoldTimer();
+        break;
+      case 'sequence':
+        state.index++;
+        if (state.index >= (overlay.keys || []).length) this.hit(overlay, key, frame);
+        break;
+      default:
+        this.hit(overlay, key, frame);
+    }
+  }
+
+  /**
+   * Complete hold prompts that have been held long enough
+   */
+  checkHolds() {
+    for (const overlay of this.getHeldQTEs()) {
+      const state = this.progress.get(overlay.id);
+      if (this.heldFrames(state) >= (overlay.holdFrames || 1)) {
+        this.hit(overlay, state.holdKey, this.engine.currentFrame);
+      }
+    }
+  }
+
+  /**
+   * Open hold prompts whose key is down
+   * @returns {Array<Object>}
+   */
+  getHeldQTEs() {
+    return this.getOpenQTEs().filter(overlay => {
+      const state = this.progress.get(overlay.id);
+      return overlay.mode === 'hold' && state !== undefined && state.holdSince !== null;
+    });
+  }
+
+  /**
+   * Run the hold timer while a hold is in progress, so it completes even when
+   * playback is frozen or looping and no frames arrive
+   */
+  updateHoldTimer() {
+    const holding = this.getHeldQTEs().length > 0;
+    if (holding && this.holdTimer === null) {
+      this.holdTimer = setInterval(() => {
+        this.checkHolds();
+        this.updateHoldTimer();
+      }, 1000 / this.engine.timebase.fps);
+    } else if (!holding && this.holdTimer !== null) {
+      clearInterval(this.holdTimer);
+      this.holdTimer = null;
+    }
+  }
+
+  /**
+   * Fail QTEs whose window closed between two played frames
+   * Uses the frame range rather than the previous active set, so a QTE shorter than
+   * a dropped-frame gap is still caught.
+   * @param {number} previousFrame - Frame before the change
+   * @param {number} frame - Frame after the change
+   */
+  checkMissed(previousFrame, frame) {
+    if (frame <= previousFrame) return;
+
+    for (const overlay of this.engine.getOverlaysInRange(previousFrame, frame - 1)) {
+      if (overlay.frameEnd < frame && this.isOpen(overlay)) {
+        this.fail(overlay, 'missed', null, frame);
+      }
+    }
+  }
+
+  /**
+   * Resolve a completed QTE
+   */
+  hit(overlay, key, frame, point = null) {
+    const grading = { ...this.grading, ...overlay.grading };
+    this.resolve(overlay, { success: true, ...gradeHit(overlay, frame, grading), reason: null, key, point, frame, progress: 1 });
+  }
+
+  /**
+   * Resolve a failed QTE
+   */
+  fail(overlay, reason, key, frame, point = null) {
+    const progress = this.getProgress(overlay);
+    this.resolve(overlay, { success: false, grade: 'fail', timing: null, reason, key, point, frame, progress });
+  }
+
+  /**
+   * Record and announce a result
+   */
+  resolve(overlay, outcome) {
+    const result = { ...outcome, overlay, action: overlay.action, mode: overlay.mode || 'tap' };
+    this.results.set(overlay.id, result);
+    this.progress.delete(overlay.id);
+
+    this.engine.emit('qte:result', result);
+    if (this.engine.onQTEPrompt) {
+      this.engine.onQTEPrompt(result);
+    }
+  }
+
+  /**
+   * Get the result for a QTE
+   * @param {string} id - Overlay ID
+   * @returns {Object|undefined}
+   */
+  getResult(id) {
+    return this.results.get(id);
+  }
+
+  /**
+   * Forget all results and partial input so every QTE can be answered again
+   */
+  reset() {
+    this.results.clear();
+    this.progress.clear();
+    this.pointerKey = null;
+    this.updateHoldTimer();
+  }
+}
+
+export default QTEController;
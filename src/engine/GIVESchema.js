@@ -0,0 +1,606 @@
+/**
+ * GIVE Schema
+ *
+ * The project file format as data, and a validator that reports problems by path
+ * ("overlays[3].frameEnd") instead of letting them surface mid-render:
+ *
+ * const { valid, errors, warnings } = validateProject(project);
+ * // errors:   [{ path: 'overlays[3].frameEnd', message: 'expected an integer, got string "120"' }]
+ * // warnings: [{ path: 'overlays[7].x', message: '2100 is outside the video (0-1920)' }]
+ *
+ * PROJECT_SCHEMA, OVERLAY_SCHEMA and OVERLAY_SCHEMAS (per built-in type) use a
+ * subset of JSON Schema: type, enum, minimum, exclusiveMinimum, maximum,
+ * minLength, pattern, required, properties, additionalProperties (as a schema),
+ * items, minItems and maxItems. Fields the schema doesn't list are allowed, so
+ * custom overlay types and extra project metadata pass untouched.
+ *
+ * Errors are things that break loading or drawing (wrong types, missing required
+ * fields, unknown overlay types, frameEnd before frameStart, duplicate IDs, bad
+ * `when` expressions). Warnings load fine but are probably mistakes (coordinates
+ * off the video, overlays past totalFrames, keyframes outside their overlay,
+ * unknown targets or references, anchor loops).
+ */
+
+import { BUILT_IN_OVERLAY_TYPES } from './GIVEOverlayTypes.js';
+import { TRANSITION_TYPES } from './GIVETransitions.js';
+import { QTE_MODES, QTE_PLAYBACK_MODES, DIRECTION_KEYS } from './GIVEQTE.js';
+import { MIN_CHOICE_OPTIONS, MAX_CHOICE_OPTIONS } from './GIVEStoryGraph.js';
+import { MINIGAME_VIDEO_MODES } from './GIVEMinigames.js';
+import { ANIMATION_MODES } from './GIVESprites.js';
+import { parseExpression } from './GIVEState.js';
+import { ANCHOR_KINDS, anchorKind } from './GIVESequencing.js';
+
+const TIMECODE = /^\d{1,2}:\d{2}:\d{2}[:;]\d{2}$/;
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const FRAME = { type: 'integer', minimum: 0 };
+const TARGET = { type: ['integer', 'string'] }; // Frame, timecode, marker name or segment ID
+const POINT = { type: 'object', required: ['x', 'y'], properties: { x: { type: 'number' }, y: { type: 'number' } } };
+const POINTS = { type: 'array', items: POINT };
+const SIZE = { type: 'number', minimum: 0 };
+
+/**
+ * Fields every overlay can have
+ */
+export const OVERLAY_SCHEMA = {
+  type: 'object',
+  required: ['type', 'frameStart', 'frameEnd'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    frameStart: FRAME,
+    frameEnd: FRAME,
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: SIZE,
+    height: SIZE,
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    style: { type: 'object' },
+    when: { type: 'string' },
+    effects: { type: 'object' },
+    interactive: { type: 'boolean' },
+    anchor: {
+      type: 'object',
+      properties: {
+        after: { type: 'string', minLength: 1 },
+        with: { type: 'string', minLength: 1 },
+        at: TARGET,
+        gap: { type: 'integer' },
+        offset: { type: 'integer' }
+      }
+    },
+    keyframes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['frame'],
+        properties: { frame: FRAME, easing: { type: ['string', 'array'] } }
+      }
+    },
+    transition: {
+      type: 'object',
+      properties: {
+        in: { type: 'string', enum: TRANSITION_TYPES },
+        out: { type: 'string', enum: TRANSITION_TYPES },
+        durationFrames: { type: 'integer', minimum: 1 },
+        inFrames: { type: 'integer', minimum: 1 },
+        outFrames: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
+
+/**
+ * Extra fields of the built-in overlay types
+ */
+export const OVERLAY_SCHEMAS = {
+  text: {
+    required: ['content', 'x', 'y'],
+    properties: { content: { type: 'string' } }
+  },
+  caption: {
+    required: ['content'],
+    properties: { content: { type: 'string' }, align: { type: 'string', enum: ['left', 'center', 'right'] } }
+  },
+  shape: {
+    required: ['shapeType'],
+    properties: { shapeType: { type: 'string', enum: ['rect', 'circle', 'polygon'] }, points: POINTS }
+  },
+  ascii: {
+    required: ['content', 'x', 'y'],
+    properties: { content: { type: 'string' } }
+  },
+  outline: {
+    properties: {
+      points: POINTS,
+      closed: { type: 'boolean' },
+      pointKeyframes: {
+        type: 'array',
+        items: { type: 'object', required: ['frame', 'points'], properties: { frame: FRAME, points: POINTS } }
+      }
+    }
+  },
+  qte: {
+    required: ['x', 'y'],
+    properties: {
+      mode: { type: 'string', enum: QTE_MODES },
+      key: { type: 'string', minLength: 1 },
+      keys: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      direction: { type: 'string', enum: Object.keys(DIRECTION_KEYS) },
+      count: { type: 'integer', minimum: 1 },
+      holdFrames: { type: 'integer', minimum: 1 },
+      action: { type: 'string' },
+      grading: {
+        type: 'object',
+        properties: { perfect: { type: 'number', minimum: 0, maximum: 1 }, good: { type: 'number', minimum: 0, maximum: 1 } }
+      },
+      playback: {
+        type: ['string', 'object'],
+        enum: QTE_PLAYBACK_MODES,
+        properties: {
+          mode: { type: 'string', enum: QTE_PLAYBACK_MODES },
+          at: FRAME,
+          from: FRAME,
+          to: FRAME,
+          rate: { type: 'number', exclusiveMinimum: 0 }
+        }
+      },
+      points: { type: 'number' },
+      failPoints: { type: 'number' }
+    }
+  },
+  hotspot: {
+    properties: {
+      shape: { type: 'string', enum: ['rect', 'circle', 'polygon'] },
+      points: POINTS,
+      outline: { type: 'string' },
+      action: { type: 'string' }
+    }
+  },
+  choice: {
+    required: ['options'],
+    properties: {
+      prompt: { type: 'string' },
+      options: {
+        type: 'array',
+        minItems: MIN_CHOICE_OPTIONS,
+        maxItems: MAX_CHOICE_OPTIONS,
+        items: {
+          type: 'object',
+          required: ['label'],
+          properties: { label: { type: 'string' }, target: TARGET, key: { type: 'string' }, effects: { type: 'object' } }
+        }
+      },
+      default: { type: 'integer', minimum: 0 }
+    }
+  },
+  minigame: {
+    required: ['game'],
+    properties: {
+      game: { type: 'string', minLength: 1 },
+      video: { type: 'string', enum: MINIGAME_VIDEO_MODES },
+      params: { type: 'object' },
+      timeLimit: { type: 'number', exclusiveMinimum: 0 },
+      timeout: { type: 'string', enum: ['win', 'lose'] },
+      points: { type: 'number' },
+      onWin: { type: 'object', properties: { target: TARGET, effects: { type: 'object' } } },
+      onLose: { type: 'object', properties: { target: TARGET, effects: { type: 'object' } } },
+      soundtrack: { type: ['string', 'object'] }
+    }
+  },
+  audio: {
+    required: ['src'],
+    properties: {
+      src: { type: 'string', minLength: 1 },
+      gain: { type: 'number', minimum: 0 },
+      duck: { type: 'number', minimum: 0, maximum: 1 },
+      loop: { type: 'boolean' },
+      on: { type: 'string' },
+      qte: { type: 'string' }
+    }
+  },
+  popup: {
+    required: ['content', 'x', 'y'],
+    properties: { content: { type: 'string' }, pointer: { type: 'object', properties: POINT.properties } }
+  },
+  image: {
+    properties: {
+      src: { type: 'string', minLength: 1 },
+      frames: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      sprite: {
+        type: 'object',
+        properties: {
+          columns: { type: 'integer', minimum: 1 },
+          rows: { type: 'integer', minimum: 1 },
+          frameWidth: { type: 'integer', minimum: 1 },
+          frameHeight: { type: 'integer', minimum: 1 },
+          count: { type: 'integer', minimum: 1 },
+          atlas: { type: ['string', 'object'] }
+        }
+      },
+      animation: {
+        type: 'object',
+        properties: { frameDuration: { type: 'integer', minimum: 1 }, mode: { type: 'string', enum: ANIMATION_MODES } }
+      }
+    }
+  }
+};
+
+/**
+ * Top-level project fields
+ */
+export const PROJECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    title: { type: 'string' },
+    fps: { type: ['number', 'string'], exclusiveMinimum: 0, pattern: '^\\d+(\\.\\d+)?(/\\d+)?$' },
+    dropFrame: { type: 'boolean' },
+    videoWidth: { type: 'integer', minimum: 0 },
+    videoHeight: { type: 'integer', minimum: 0 },
+    totalFrames: { type: 'integer', minimum: 0 },
+    state: { type: 'object' },
+    scoring: { type: 'object' },
+    markers: { type: 'object', additionalProperties: TARGET },
+    segments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'frameStart', 'frameEnd'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          frameStart: TARGET,
+          frameEnd: TARGET,
+          next: { type: ['integer', 'string', 'null'] },
+          end: { type: 'boolean' }
+        }
+      }
+    },
+    overlays: { type: 'array', items: OVERLAY_SCHEMA }
+  }
+};
+
+/**
+ * Does a value have a schema type?
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Short description of a value for messages
+ */
+function describe(value) {
+  if (typeof value === 'string') return `string "${value.length > 40 ? `${value.slice(0, 40)}...` : value}"`;
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+const article = type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+const child = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value (undefined values are skipped; `required` catches them)
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {function(string, string): void} error - Called with (path, message)
+ */
+export function checkSchema(value, schema, path, error) {
+  if (value === undefined) return;
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    error(path, `expected ${types.map(article).join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+
+  if (schema.enum && typeof value !== 'object' && !schema.enum.includes(value)) {
+    error(path, `expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${describe(value)}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) error(path, `must be at least ${schema.minimum}, got ${value}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) error(path, `must be more than ${schema.exclusiveMinimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(path, `must be at most ${schema.maximum}, got ${value}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) error(path, 'must not be empty');
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) error(path, `has an invalid format: ${describe(value)}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) error(path, `needs at least ${schema.minItems} items, got ${value.length}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) error(path, `allows at most ${schema.maxItems} items, got ${value.length}`);
+    if (schema.items) value.forEach((item, index) => checkSchema(item, schema.items, child(path, index), error));
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) error(child(path, key), 'is required');
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      checkSchema(value[key], property, child(path, key), error);
+    }
+    if (schema.additionalProperties) {
+      for (const [key, item] of Object.entries(value)) {
+        if (!schema.properties || !(key in schema.properties)) {
+          checkSchema(item, schema.additionalProperties, child(path, key), error);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate a project
+ * @param {Object|string} project - Project data or JSON string
+ * @param {Object} options - Options
+ * @param {Array<string>} options.types - Known overlay types (default: the built-ins)
+ * @param {Array<string>} options.minigames - Registered game names (unchecked if omitted)
+ * @param {number} options.videoWidth - Video size when the project doesn't say
+ * @param {number} options.videoHeight - Video size when the project doesn't say
+ * @param {number} options.totalFrames - Length when the project doesn't say
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export function validateProject(project, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message) => errors.push({ path, message });
+  const warn = (path, message) => warnings.push({ path, message });
+  const result = () => ({ valid: errors.length === 0, errors, warnings });
+
+  if (typeof project === 'string') {
+    try {
+      project = JSON.parse(project);
+    } catch (parseError) {
+      error('', `invalid JSON: ${parseError.message}`);
+      return result();
+    }
+  }
+  if (!isPlainObject(project)) {
+    error('', `expected a project object, got ${describe(project)}`);
+    return result();
+  }
+
+  checkSchema(project, PROJECT_SCHEMA, '', error);
+
+  const overlays = Array.isArray(project.overlays) ? project.overlays : [];
+  const context = {
+    types: new Set(options.types || Object.keys(BUILT_IN_OVERLAY_TYPES)),
+    minigames: options.minigames ? new Set(options.minigames) : null,
+    width: project.videoWidth || options.videoWidth || 0,
+    height: project.videoHeight || options.videoHeight || 0,
+    totalFrames: project.totalFrames || options.totalFrames || 0,
+    ids: new Set(overlays.filter(isPlainObject).map(overlay => overlay.id).filter(Boolean)),
+    targets: new Set([
+      ...Object.keys(isPlainObject(project.markers) ? project.markers : {}),
+      ...(Array.isArray(project.segments) ? project.segments : []).map(segment => segment && segment.id)
+    ])
+  };
+
+  const seen = new Set();
+  overlays.forEach((overlay, index) => {
+    const path = `overlays[${index}]`;
+    if (!isPlainObject(overlay)) return;
+
+    if (overlay.id !== undefined) {
+      if (seen.has(overlay.id)) error(`${path}.id`, `duplicate overlay ID "${overlay.id}"`);
+      seen.add(overlay.id);
+    }
+    checkOverlay(overlay, path, context, error, warn);
+  });
+  checkAnchorLoops(overlays, warn);
+
+  (Array.isArray(project.segments) ? project.segments : []).forEach((segment, index) => {
+    if (isPlainObject(segment)) checkTarget(segment.next, `segments[${index}].next`, context, warn);
+  });
+
+  return result();
+}
+
+/**
+ * Is a target a frame, timecode, marker or segment?
+ */
+function checkTarget(target, path, context, warn) {
+  if (typeof target === 'string' && !TIMECODE.test(target) && !context.targets.has(target)) {
+    warn(path, `unknown target "${target}" (not a marker, segment or timecode)`);
+  }
+}
+
+/**
+ * Overlays anchored after or with each other in a circle (the engine leaves them where they are)
+ */
+function checkAnchorLoops(overlays, warn) {
+  const indexById = new Map();
+  overlays.forEach((overlay, index) => {
+    if (isPlainObject(overlay) && overlay.id !== undefined && !indexById.has(overlay.id)) indexById.set(overlay.id, index);
+  });
+  const referenceOf = index => {
+    const anchor = overlays[index].anchor;
+    const kind = anchorKind(anchor);
+    return kind && kind !== 'at' ? indexById.get(anchor[kind]) : undefined;
+  };
+
+  const reported = new Set();
+  overlays.forEach((overlay, index) => {
+    if (!isPlainObject(overlay) || reported.has(index)) return;
+    const chain = [];
+    let current = index;
+    while (current !== undefined && !chain.includes(current) && !reported.has(current)) {
+      chain.push(current);
+      current = referenceOf(current);
+    }
+    if (current !== undefined && chain.includes(current)) {
+      const loop = chain.slice(chain.indexOf(current));
+      for (const member of loop) reported.add(member);
+      warn(`overlays[${current}].anchor`, `anchored in a loop (${loop.map(member => `"${overlays[member].id}"`).join(' -> ')})`);
+    }
+  });
+}
+
+/**
+ * Type-specific and cross-field checks for one overlay
+ */
+function checkOverlay(overlay, path, context, error, warn) {
+  const { type } = overlay;
+  if (typeof type === 'string' && type !== '') {
+    if (!context.types.has(type)) {
+      error(`${path}.type`, `unknown overlay type "${type}"`);
+    } else if (OVERLAY_SCHEMAS[type]) {
+      checkSchema(overlay, { type: 'object', ...OVERLAY_SCHEMAS[type] }, path, error);
+    }
+  }
+
+  // Timing
+  const { frameStart, frameEnd } = overlay;
+  const framesValid = Number.isInteger(frameStart) && Number.isInteger(frameEnd);
+  if (framesValid && frameEnd < frameStart) {
+    error(`${path}.frameEnd`, `ends before frameStart (${frameEnd} < ${frameStart})`);
+  }
+  if (framesValid && context.totalFrames > 0) {
+    const last = context.totalFrames - 1;
+    if (frameStart > last) {
+      warn(`${path}.frameStart`, `starts after the last frame (${frameStart} > ${last})`);
+    } else if (frameEnd > last) {
+      warn(`${path}.frameEnd`, `runs past the last frame (${frameEnd} > ${last})`);
+    }
+  }
+  if (framesValid && Array.isArray(overlay.keyframes)) {
+    overlay.keyframes.forEach((keyframe, index) => {
+      if (keyframe && Number.isInteger(keyframe.frame) && (keyframe.frame < frameStart || keyframe.frame > frameEnd)) {
+        warn(`${path}.keyframes[${index}].frame`, `${keyframe.frame} is outside the overlay (${frameStart}-${frameEnd})`);
+      }
+    });
+  }
+
+  if (isPlainObject(overlay.anchor)) {
+    const kind = anchorKind(overlay.anchor);
+    if (!kind) {
+      error(`${path}.anchor`, `needs exactly one of ${ANCHOR_KINDS.join(', ')}`);
+    } else if (kind === 'at') {
+      checkTarget(overlay.anchor.at, `${path}.anchor.at`, context, warn);
+    } else if (typeof overlay.anchor[kind] === 'string' && !context.ids.has(overlay.anchor[kind])) {
+      warn(`${path}.anchor.${kind}`, `unknown overlay "${overlay.anchor[kind]}"`);
+    }
+  }
+
+  if (typeof overlay.when === 'string') {
+    try {
+      parseExpression(overlay.when);
+    } catch (parseError) {
+      error(`${path}.when`, parseError.message.replace('GIVE State: ', ''));
+    }
+  }
+
+  // Position
+  if (type !== 'audio') {
+    checkPosition(overlay, path, context, warn);
+    if (Array.isArray(overlay.points)) {
+      overlay.points.forEach((point, index) => checkPosition(point, `${path}.points[${index}]`, context, warn));
+    }
+  }
+
+  // What each built-in type needs to draw
+  switch (type) {
+    case 'qte': {
+      const mode = overlay.mode || 'tap';
+      if (['tap', 'mash', 'hold'].includes(mode) && overlay.key === undefined) error(`${path}.key`, `is required for ${mode} QTEs`);
+      if (mode === 'sequence' && overlay.keys === undefined) error(`${path}.keys`, 'is required for sequence QTEs');
+      if (mode === 'direction' && overlay.direction === undefined) error(`${path}.direction`, 'is required for direction QTEs');
+      break;
+    }
+    case 'shape':
+      requireShape(overlay, overlay.shapeType, path, error);
+      break;
+    case 'hotspot':
+      if (overlay.shape === 'polygon' && overlay.outline !== undefined) {
+        if (!context.ids.has(overlay.outline)) warn(`${path}.outline`, `unknown overlay "${overlay.outline}"`);
+      } else {
+        requireShape(overlay, overlay.shape || 'rect', path, error);
+      }
+      break;
+    case 'outline':
+      if (overlay.points === undefined && overlay.pointKeyframes === undefined) {
+        error(`${path}.points`, 'is required (or pointKeyframes)');
+      }
+      break;
+    case 'image':
+      if (overlay.src === undefined && overlay.frames === undefined) error(`${path}.src`, 'is required (or frames)');
+      break;
+    case 'minigame':
+      if (context.minigames && typeof overlay.game === 'string' && !context.minigames.has(overlay.game)) {
+        warn(`${path}.game`, `game "${overlay.game}" is not registered`);
+      }
+      for (const key of ['onWin', 'onLose']) {
+        if (isPlainObject(overlay[key])) checkTarget(overlay[key].target, `${path}.${key}.target`, context, warn);
+      }
+      break;
+    case 'choice':
+      (Array.isArray(overlay.options) ? overlay.options : []).forEach((option, index) => {
+        if (isPlainObject(option)) checkTarget(option.target, `${path}.options[${index}].target`, context, warn);
+      });
+      if (Number.isInteger(overlay.default) && Array.isArray(overlay.options) && !overlay.options[overlay.default]) {
+        error(`${path}.default`, `${overlay.default} is not an option`);
+      }
+      break;
+    case 'audio':
+      if (typeof overlay.qte === 'string' && !context.ids.has(overlay.qte)) {
+        warn(`${path}.qte`, `unknown overlay "${overlay.qte}"`);
+      }
+      break;
+  }
+}
+
+/**
+ * Fields a rect, circle or polygon needs
+ */
+function requireShape(overlay, shape, path, error) {
+  const fields = shape === 'polygon' ? ['points'] : ['x', 'y', 'width', 'height'];
+  for (const field of fields) {
+    if (overlay[field] === undefined) error(`${path}.${field}`, `is required for ${shape} shapes`);
+  }
+}
+
+/**
+ * Warn about x/y (and the far edge, when sized) outside the video
+ */
+function checkPosition(item, path, context, warn) {
+  if (!isPlainObject(item)) return;
+  const axes = [['x', 'width', context.width], ['y', 'height', context.height]];
+
+  for (const [axis, size, limit] of axes) {
+    const position = item[axis];
+    if (!limit || typeof position !== 'number') continue;
+    if (position < 0 || position > limit) {
+      warn(`${path}.${axis}`, `${position} is outside the video (0-${limit})`);
+    } else if (typeof item[size] === 'number' && position + item[size] > limit) {
+      warn(`${path}.${size}`, `reaches past the video edge (${axis} ${position} + ${size} ${item[size]} > ${limit})`);
+    }
+  }
+}
+
+/**
+ * One line per problem ("overlays[3].frameEnd: expected an integer, ...")
+ * @param {Array<{path: string, message: string}>} problems - Errors or warnings
+ * @returns {Array<string>}
+ */
+export function formatProblems(problems) {
+  return problems.map(({ path, message }) => (path ? `${path}: ${message}` : message));
+}
+
+export default validateProject;
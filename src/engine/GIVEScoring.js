@@ -0,0 +1,253 @@
+/**
+ * GIVE Scoring
+ *
+ * Points, combos, lives and end-of-run results for QTEs and minigames, configured by the
+ * project's `scoring` block so every player page applies the same rules:
+ *
+ * {
+ *   "scoring": {
+ *     "points": 100,
+ *     "failPoints": -50,
+ *     "grades": { "perfect": 1.5, "good": 1, "late": 0.5 },
+ *     "combo": { "step": 0.1, "max": 2 },
+ *     "lives": 3,
+ *     "gameOver": { "target": "game_over" },
+ *     "feedback": { "perfect": "SURVIVED!", "missed": "BITTEN!" }
+ *   }
+ * }
+ *
+ * A hit scores `points` (or the QTE's own `points`) x grade multiplier x combo
+ * multiplier; the combo multiplier grows by `step` per consecutive hit up to `max`.
+ * A failure scores `failPoints` (or the QTE's `failPoints`), breaks the combo and,
+ * when `lives` is set, costs a life. Losing the last life is game over: playback
+ * jumps to `gameOver.target` if given, otherwise pauses.
+ *
+ * Minigames score the same way: a win counts as a hit (graded `win`, using the
+ * points the game reports, else the overlay's or the default), a loss as a
+ * failure (reason `lose`).
+ *
+ * `score`, `combo` and `lives` live in the engine's game state, so overlays can
+ * use them in `when` conditions ("lives > 0") and effects can change them.
+ */
+
+export const DEFAULT_SCORING = {
+  points: 100,
+  failPoints: -50,
+  minScore: 0,
+  grades: { perfect: 1.5, good: 1, late: 0.5 },
+  combo: { step: 0.1, max: 2 },
+  lives: null, // null = unlimited
+  gameOver: { target: null },
+  feedback: {
+    perfect: 'PERFECT!',
+    good: 'NICE!',
+    late: 'LATE!',
+    missed: 'MISSED!',
+    'wrong-key': 'WRONG KEY!',
+    'wrong-target': 'MISSED!',
+    win: 'YOU WIN!',
+    lose: 'YOU LOSE!',
+    gameOver: 'GAME OVER'
+  }
+};
+
+// Config blocks merged one level deep
+const NESTED_KEYS = ['grades', 'combo', 'gameOver', 'feedback'];
+
+/**
+ * Merge scoring configs over the defaults
+ * @param {...Object} configs - Partial scoring configs (later ones win)
+ * @returns {Object}
+ */
+export function resolveScoring(...configs) {
+  const resolved = { ...DEFAULT_SCORING };
+  for (const key of NESTED_KEYS) resolved[key] = { ...DEFAULT_SCORING[key] };
+
+  for (const config of configs) {
+    if (!config) continue;
+    for (const [key, value] of Object.entries(config)) {
+      resolved[key] = NESTED_KEYS.includes(key) ? { ...resolved[key], ...value } : value;
+    }
+  }
+  return resolved;
+}
+
+export class ScoringSystem {
+  /**
+   * @param {GIVEEngine} engine - Engine emitting QTE results
+   * @param {Object} options - Scoring config used under every project's `scoring`
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.baseConfig = options;
+    this.projectConfig = null;
+    this.config = resolveScoring(options);
+    this.resetStats();
+
+    engine.internalEvents.on('qte:result', (result) => this.handleResult(result));
+    engine.internalEvents.on('minigame:result', ({ overlay, success, points }) => {
+      this.handleResult({ overlay, success, points, grade: success ? 'win' : null, reason: success ? null : 'lose' });
+    });
+    engine.internalEvents.on('choice', () => { this.stats.choices++; });
+    engine.internalEvents.on('story:end', () => this.endRun());
+    engine.internalEvents.on('ended', () => this.endRun());
+    // A state reset (replay, project load) starts a new run
+    engine.internalEvents.on('state:changed', ({ path }) => {
+      if (path === null) this.reset();
+    });
+  }
+
+  /**
+   * Apply a project's scoring block
+   * @param {Object} config - Partial scoring config
+   */
+  load(config) {
+    this.projectConfig = config || null;
+    this.config = resolveScoring(this.baseConfig, config);
+  }
+
+  /**
+   * The project's scoring block, for saving
+   * @returns {Object|undefined}
+   */
+  toJSON() {
+    return this.projectConfig || undefined;
+  }
+
+  /**
+   * Start a new run: clear the statistics and seed score/combo/lives
+   * Values already set by the project's initial `state` are kept.
+   */
+  reset() {
+    this.resetStats();
+
+    const state = this.engine.state;
+    const seed = { score: 0, combo: 0, lives: this.config.lives };
+    for (const [path, value] of Object.entries(seed)) {
+      if (value !== null && state.get(path) === undefined) state.set(path, value);
+    }
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      fails: 0,
+      grades: { perfect: 0, good: 0, late: 0 },
+      reasons: {},
+      maxCombo: 0,
+      choices: 0
+    };
+    this.gameOver = false;
+    this.finished = false;
+  }
+
+  /**
+   * Whether lives are being tracked
+   * @returns {boolean}
+   */
+  hasLives() {
+    return typeof this.engine.state.get('lives') === 'number';
+  }
+
+  /**
+   * Score a QTE or minigame result
+   * @param {Object} result - qte:result payload (`points`, when set, replaces the base points)
+   */
+  handleResult(result) {
+    if (this.gameOver || this.finished) return;
+
+    const state = this.engine.state;
+    const overlay = result.overlay || {};
+    let points;
+    let multiplier = 1;
+    let combo;
+
+    if (result.success) {
+      combo = (Number(state.get('combo')) || 0) + 1;
+      const gradeMultiplier = this.config.grades[result.grade] !== undefined ? this.config.grades[result.grade] : 1;
+      const { step, max } = this.config.combo;
+      multiplier = Math.round(gradeMultiplier * Math.min(max, 1 + step * (combo - 1)) * 100) / 100;
+      const base = result.points !== undefined ? result.points
+        : overlay.points !== undefined ? overlay.points : this.config.points;
+      points = Math.round(base * multiplier);
+
+      this.stats.hits++;
+      this.stats.grades[result.grade] = (this.stats.grades[result.grade] || 0) + 1;
+      this.stats.maxCombo = Math.max(this.stats.maxCombo, combo);
+    } else {
+      combo = 0;
+      points = overlay.failPoints !== undefined ? overlay.failPoints : this.config.failPoints;
+
+      this.stats.fails++;
+      this.stats.reasons[result.reason] = (this.stats.reasons[result.reason] || 0) + 1;
+      if (this.hasLives()) state.add('lives', -1);
+    }
+
+    const score = Math.max(this.config.minScore, (Number(state.get('score')) || 0) + points);
+    state.set('score', score);
+    state.set('combo', combo);
+
+    const lives = this.hasLives() ? state.get('lives') : null;
+    const feedback = this.config.feedback[result.success ? result.grade : result.reason] || null;
+    this.engine.emit('score', { score, points, combo, multiplier, lives, feedback, result });
+
+    if (lives !== null && lives <= 0) {
+      this.triggerGameOver();
+    }
+  }
+
+  /**
+   * Out of lives: jump to the game-over target (or pause) and end the run
+   */
+  triggerGameOver() {
+    this.gameOver = true;
+    const results = this.getResults();
+    this.engine.emit('game:over', { results, feedback: this.config.feedback.gameOver || null });
+
+    const target = this.config.gameOver.target;
+    if (target === null || target === undefined || !this.engine.story.goTo(target)) {
+      this.engine.pause();
+    }
+    this.endRun();
+  }
+
+  /**
+   * Finish the run and emit its results (once per run)
+   * @returns {Object} Results
+   */
+  endRun() {
+    const results = this.getResults();
+    if (!this.finished) {
+      this.finished = true;
+      this.engine.emit('run:end', { results });
+    }
+    return results;
+  }
+
+  /**
+   * Results of the run so far
+   * @returns {{score: number, lives: number|null, hits: number, fails: number, total: number,
+   *   accuracy: number, maxCombo: number, grades: Object, reasons: Object, choices: number,
+   *   gameOver: boolean}}
+   */
+  getResults() {
+    const state = this.engine.state;
+    const total = this.stats.hits + this.stats.fails;
+
+    return {
+      score: Number(state.get('score')) || 0,
+      lives: this.hasLives() ? state.get('lives') : null,
+      hits: this.stats.hits,
+      fails: this.stats.fails,
+      total,
+      accuracy: total > 0 ? this.stats.hits / total : 0,
+      maxCombo: this.stats.maxCombo,
+      grades: { ...this.stats.grades },
+      reasons: { ...this.stats.reasons },
+      choices: this.stats.choices,
+      gameOver: this.gameOver
+    };
+  }
+}
+
+export default ScoringSystem;
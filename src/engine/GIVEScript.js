@@ -12,10 +12,34 @@
  * // Create a QTE prompt
  * GIVE.qte("X", 100, 200, 500, { action: "chop", duration: 2 });
  *
+ * // Mount a registered minigame, pausing the video until it's won or lost
+ * GIVE.minigame("bat-swat", 1200, { timeLimit: 5, onLose: { target: "bitten" } });
+ *
  * // Trace an object outline
  * GIVE.outline([{x: 10, y: 10}, {x: 100, y: 10}, {x: 100, y: 100}, {x: 10, y: 100}], 50, 150);
+ *
+ * // Animate an overlay between keyframes
+ * GIVE.animate(id, 100, { x: 50, opacity: 0 });
+ * GIVE.animate(id, 124, { x: 300, opacity: 1, easing: 'ease-out' });
+ *
+ * // Time overlays relative to each other; retiming one moves the ones after it
+ * const title = GIVE.caption("Chapter 1", GIVE.at("chapter1"), null, { duration: 2 });
+ * GIVE.qte("X", 640, 500, GIVE.after(title, 12));
+ * GIVE.sequence([{ type: 'caption', content: "Ready", duration: 1 }, { type: 'caption', content: "Go!", duration: 1, gap: 6 }], { start: 300 });
  */
 
+import { setKeyframe } from './GIVEKeyframes.js';
+import { MIN_CHOICE_OPTIONS, MAX_CHOICE_OPTIONS } from './GIVEStoryGraph.js';
+import { parseSubtitles, formatSRT, formatVTT, cuePlacement, placementSettings, PLACEMENT_SETTINGS } from './GIVESubtitles.js';
+import { assToOverlays } from './GIVESubStation.js';
+import { validateAnchor, describeAnchor } from './GIVESequencing.js';
+
+// Options copied as-is from helper options onto the created overlay
+const PASSTHROUGH_OPTIONS = ['id', 'keyframes', 'transition', 'when', 'effects', 'anchor'];
+
+// A helper start made by at() / after(): { anchor }
+const isStartReference = value => value !== null && typeof value === 'object' && value.anchor !== undefined;
+
 export class GIVEScript {
   constructor(engine) {
     this.engine = engine;
@@ -26,46 +50,26 @@ export class GIVEScript {
    * Convert seconds to frames
    */
   secondsToFrames(seconds) {
-    return Math.round(seconds * this.engine.config.fps);
+    return this.engine.timebase.secondsToFrames(seconds);
   }
 
   /**
    * Create a timecode string from frame number
    * @param {number} frame - Frame number
-   * @returns {string} Timecode in format HH:MM:SS:FF
+   * @param {Object} options - Options (dropFrame: override the timebase setting)
+   * @returns {string} Timecode in format HH:MM:SS:FF (HH:MM:SS;FF for drop-frame)
    */
-  frameToTimecode(frame) {
-    const fps = this.engine.config.fps;
-    const totalSeconds = frame / fps;
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = Math.floor(totalSeconds % 60);
-    const frames = Math.floor(frame % fps);
-
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`;
+  frameToTimecode(frame, options = {}) {
+    return this.engine.timebase.frameToTimecode(frame, options);
   }
 
   /**
    * Parse timecode string to frame number
-   * @param {string} timecode - Timecode in format HH:MM:SS:FF or HH:MM:SS.mmm
+   * @param {string} timecode - Timecode in format HH:MM:SS:FF, HH:MM:SS;FF (drop-frame) or HH:MM:SS.mmm
    * @returns {number} Frame number
    */
   timecodeToFrame(timecode) {
-    const fps = this.engine.config.fps;
-
-    // Handle frame-based timecode HH:MM:SS:FF
-    if (timecode.split(':').length === 4) {
-      const [hours, minutes, seconds, frames] = timecode.split(':').map(Number);
-      return Math.round((hours * 3600 + minutes * 60 + seconds) * fps + frames);
-    }
-
-    // Handle millisecond timecode HH:MM:SS.mmm
-    const [time, ms] = timecode.split('.');
-    const [hours, minutes, seconds] = time.split(':').map(Number);
-    const milliseconds = parseInt(ms || '0', 10);
-
-    const totalSeconds = hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
-    return Math.round(totalSeconds * fps);
+    return this.engine.timebase.timecodeToFrame(timecode);
   }
 
   /**
@@ -77,11 +81,11 @@ export class GIVEScript {
    * @param {Object} options - Additional options
    */
   text(text, x, y, frameStart, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     const duration = options.duration || this.defaultDuration;
     const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
 
-    return this.engine.addOverlay({
+    return this.addOverlay({
       type: 'text',
       content: text,
       x,
@@ -98,7 +102,7 @@ export class GIVEScript {
         textAlign: options.textAlign || 'left',
         ...options.style
       }
-    });
+    }, options, frameStart);
   }
 
   /**
@@ -109,7 +113,7 @@ export class GIVEScript {
    * @param {Object} options - Additional options
    */
   caption(text, frameStart, frameEnd, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     let endFrameVal;
 
     if (frameEnd !== undefined && frameEnd !== null) {
@@ -123,11 +127,12 @@ export class GIVEScript {
     const x = options.x; // undefined = auto center
     const y = options.y; // undefined = auto bottom
 
-    return this.engine.addOverlay({
+    return this.addOverlay({
       type: 'caption',
       content: text,
       x,
       y,
+      align: options.align, // 'left' | 'center' | 'right' anchor at x
       frameStart: startFrame,
       frameEnd: endFrameVal,
       style: {
@@ -138,7 +143,7 @@ export class GIVEScript {
         padding: options.padding || 10,
         ...options.style
       }
-    });
+    }, options, frameStart);
   }
 
   /**
@@ -164,19 +169,26 @@ export class GIVEScript {
    * @param {Object} options - Additional options
    */
   qte(key, x, y, frameStart, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     const duration = options.duration || 2;
     const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
 
-    return this.engine.addOverlay({
+    return this.addOverlay({
       type: 'qte',
-      key: key.toUpperCase(),
+      key: key ? key.toUpperCase() : undefined,
       action: options.action || 'default',
       x,
       y,
       frameStart: startFrame,
       frameEnd: endFrame,
       interactive: options.interactive !== false,
+      grading: options.grading,
+      mode: options.mode,
+      count: options.count,
+      holdFrames: options.holdFrames,
+      keys: options.keys,
+      direction: options.direction,
+      playback: options.playback,
       style: {
         size: options.size || 60,
         backgroundColor: options.backgroundColor || '#333333',
@@ -185,6 +197,225 @@ export class GIVEScript {
         glowColor: options.glowColor || 'rgba(255, 255, 0, 0.5)',
         ...options.style
       }
+    }, options, frameStart);
+  }
+
+  /**
+   * Add a button-mash QTE (press the key `count` times before the window ends)
+   * @param {string} key - Key to mash
+   * @param {number} count - Presses required
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (see qte)
+   */
+  mash(key, count, x, y, frameStart, options = {}) {
+    return this.qte(key, x, y, frameStart, { ...options, mode: 'mash', count });
+  }
+
+  /**
+   * Add a hold QTE (hold the key down for `holdFrames` frames)
+   * @param {string} key - Key to hold
+   * @param {number|string} hold - Frames to hold, or a duration timecode (e.g. "00:00:01.500")
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (see qte)
+   */
+  hold(key, hold, x, y, frameStart, options = {}) {
+    const holdFrames = typeof hold === 'string' ? this.timecodeToFrame(hold) : hold;
+    return this.qte(key, x, y, frameStart, { ...options, mode: 'hold', holdFrames });
+  }
+
+  /**
+   * Add a key sequence QTE (e.g. ['UP', 'UP', 'DOWN', 'DOWN'])
+   * Also reachable as sequence(keys, ...), which takes an array of key names.
+   * @param {Array<string>} keys - Keys in order
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (see qte)
+   */
+  keySequence(keys, x, y, frameStart, options = {}) {
+    return this.qte(keys[0], x, y, frameStart, {
+      ...options,
+      mode: 'sequence',
+      keys: keys.map(key => key.toUpperCase())
+    });
+  }
+
+  /**
+   * Add a directional QTE (arrow keys or WASD)
+   * @param {string} direction - 'up', 'down', 'left' or 'right'
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (see qte)
+   */
+  direction(direction, x, y, frameStart, options = {}) {
+    return this.qte(direction, x, y, frameStart, { ...options, mode: 'direction', direction: direction.toLowerCase() });
+  }
+
+  /**
+   * Add a click/tap target QTE
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (see qte)
+   */
+  click(x, y, frameStart, options = {}) {
+    return this.qte(null, x, y, frameStart, { ...options, mode: 'click' });
+  }
+
+  /**
+   * Add a clickable hotspot region (invisible unless styled)
+   * Clicks on it emit `pointer:hit` with the overlay.
+   * @param {string} shape - 'rect', 'circle' or 'polygon'
+   * @param {Object|Array|string} area - {x, y, width, height} for rect, {x, y, radius} (center)
+   *   for circle, points for polygon, or the ID of an outline overlay to follow
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (duration, frameEnd, action, style)
+   */
+  hotspot(shape, area, frameStart, options = {}) {
+    const startFrame = this.resolveStart(frameStart);
+    const duration = options.duration || this.defaultDuration;
+    const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
+
+    let geometry;
+    if (shape === 'circle') {
+      geometry = { x: area.x - area.radius, y: area.y - area.radius, width: area.radius * 2, height: area.radius * 2 };
+    } else if (shape === 'polygon') {
+      geometry = typeof area === 'string' ? { outline: area } : { points: area };
+    } else {
+      geometry = { x: area.x, y: area.y, width: area.width, height: area.height };
+    }
+
+    return this.addOverlay({
+      type: 'hotspot',
+      shape,
+      ...geometry,
+      action: options.action || 'default',
+      frameStart: startFrame,
+      frameEnd: endFrame,
+      style: { ...options.style }
+    }, options, frameStart);
+  }
+
+  /**
+   * Add a minigame that takes over the overlay when playback reaches it
+   * @param {string} game - Registered minigame name
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (video: 'pause' | 'loop' | 'play', timeLimit in seconds,
+   *   timeout: 'win' | 'lose', params, onWin / onLose: { target, effects }, points, soundtrack, x, y, width,
+   *   height, duration, frameEnd)
+   */
+  minigame(game, frameStart, options = {}) {
+    const startFrame = this.resolveStart(frameStart);
+    const duration = options.duration || options.timeLimit || 5;
+    const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
+
+    return this.addOverlay({
+      type: 'minigame',
+      game,
+      video: options.video || 'pause',
+      timeLimit: options.timeLimit,
+      timeout: options.timeout,
+      params: { ...options.params },
+      onWin: options.onWin,
+      onLose: options.onLose,
+      points: options.points,
+      soundtrack: options.soundtrack,
+      x: options.x,
+      y: options.y,
+      width: options.width,
+      height: options.height,
+      frameStart: startFrame,
+      frameEnd: endFrame
+    }, options, frameStart);
+  }
+
+  /**
+   * Add an audio cue
+   * @param {string} src - Audio file URL
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (duration, frameEnd, loop, gain, duck,
+   *   on: 'success' | 'fail' | grade | reason to wait for a QTE/minigame result, qte: overlay ID)
+   */
+  audio(src, frameStart, options = {}) {
+    const startFrame = this.resolveStart(frameStart);
+    const duration = options.duration || 5;
+    const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
+
+    return this.addOverlay({
+      type: 'audio',
+      src,
+      loop: Boolean(options.loop),
+      gain: options.gain !== undefined ? options.gain : 1,
+      duck: options.duck !== undefined ? options.duck : 1,
+      on: options.on,
+      qte: options.qte,
+      frameStart: startFrame,
+      frameEnd: endFrame
+    }, options, frameStart);
+  }
+
+  /**
+   * Add a branching choice
+   * @param {string} prompt - Question shown above the options
+   * @param {Array<{label: string, target: number|string, key: string}>} choices - 2-4 options; each
+   *   target is a frame, timecode, marker name or segment ID
+   * @param {number} x - X position in pixels (top-left of the panel)
+   * @param {number} y - Y position in pixels
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} options - Additional options (duration, frameEnd, default, width, style)
+   */
+  choice(prompt, choices, x, y, frameStart, options = {}) {
+    if (!Array.isArray(choices) || choices.length < MIN_CHOICE_OPTIONS || choices.length > MAX_CHOICE_OPTIONS) {
+      throw new Error(`GIVE Script: Choices need ${MIN_CHOICE_OPTIONS}-${MAX_CHOICE_OPTIONS} options`);
+    }
+
+    const startFrame = this.resolveStart(frameStart);
+    const duration = options.duration || 5;
+    const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
+
+    return this.addOverlay({
+      type: 'choice',
+      prompt,
+      options: choices.map(choice => ({ ...choice })),
+      default: options.default,
+      x,
+      y,
+      width: options.width,
+      frameStart: startFrame,
+      frameEnd: endFrame,
+      interactive: options.interactive !== false,
+      style: { ...options.style }
+    }, options, frameStart);
+  }
+
+  /**
+   * Name a frame as a story target
+   * @param {string} name - Marker name
+   * @param {number|string} frame - Frame or timecode
+   */
+  marker(name, frame) {
+    this.engine.story.setMarker(name, frame);
+  }
+
+  /**
+   * Define a story segment
+   * @param {string} id - Segment ID (also usable as a target)
+   * @param {number|string} frameStart - First frame or timecode
+   * @param {number|string} frameEnd - Last frame or timecode
+   * @param {Object} options - { next: target followed at the end, end: pause at the end }
+   */
+  segment(id, frameStart, frameEnd, options = {}) {
+    this.engine.story.setSegment({
+      id,
+      frameStart: typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart,
+      frameEnd: typeof frameEnd === 'string' ? this.timecodeToFrame(frameEnd) : frameEnd,
+      next: options.next,
+      end: options.end || undefined
     });
   }
 
@@ -197,11 +428,11 @@ export class GIVEScript {
    * @param {Object} options - Additional options
    */
   popup(text, x, y, frameStart, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     const duration = options.duration || 4;
     const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
 
-    return this.engine.addOverlay({
+    return this.addOverlay({
       type: 'popup',
       content: text,
       x,
@@ -219,7 +450,7 @@ export class GIVEScript {
         borderRadius: options.borderRadius || 8,
         ...options.style
       }
-    });
+    }, options, frameStart);
   }
 
   /**
@@ -231,11 +462,11 @@ export class GIVEScript {
    * @param {Object} options - Additional options
    */
   ascii(art, x, y, frameStart, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     const duration = options.duration || 3;
     const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
 
-    return this.engine.addOverlay({
+    return this.addOverlay({
       type: 'ascii',
       content: art,
       x,
@@ -250,25 +481,43 @@ export class GIVEScript {
         lineHeight: options.lineHeight || 14,
         ...options.style
       }
-    });
+    }, options, frameStart);
   }
 
   /**
    * Add an object outline
-   * @param {Array<{x: number, y: number}>} points - Array of point coordinates
+   * Pass an array of {frame, points} sets instead of points to morph the outline
+   * between traced shapes; frameStart/frameEnd then default to the first/last set.
+   * @param {Array<{x: number, y: number}>|Array<{frame: number|string, points: Array, easing?: string}>} points - Point coordinates or point sets keyed by frame
    * @param {number|string} frameStart - Start frame or timecode
    * @param {number|string} frameEnd - End frame or timecode
    * @param {Object} options - Additional options
    */
   outline(points, frameStart, frameEnd, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    let pointKeyframes = null;
+
+    if (points.length > 0 && Array.isArray(points[0].points)) {
+      pointKeyframes = points
+        .map(set => ({
+          ...set,
+          frame: typeof set.frame === 'string' ? this.timecodeToFrame(set.frame) : set.frame
+        }))
+        .sort((a, b) => a.frame - b.frame);
+      points = pointKeyframes[0].points;
+
+      if (frameStart === undefined || frameStart === null) frameStart = pointKeyframes[0].frame;
+      if (frameEnd === undefined || frameEnd === null) frameEnd = pointKeyframes[pointKeyframes.length - 1].frame;
+    }
+
+    const startFrame = this.resolveStart(frameStart);
     const endFrameVal = typeof frameEnd === 'string' ? this.timecodeToFrame(frameEnd) : frameEnd;
 
-    // Calculate bounding box
-    const xs = points.map(p => p.x);
-    const ys = points.map(p => p.y);
+    // Calculate bounding box (covering every point set when morphing)
+    const allPoints = pointKeyframes ? pointKeyframes.flatMap(set => set.points) : points;
+    const xs = allPoints.map(p => p.x);
+    const ys = allPoints.map(p => p.y);
 
-    return this.engine.addOverlay({
+    const overlay = {
       type: 'outline',
       points,
       x: Math.min(...xs),
@@ -285,7 +534,13 @@ export class GIVEScript {
         lineDash: options.lineDash,
         ...options.style
       }
-    });
+    };
+
+    if (pointKeyframes) {
+      overlay.pointKeyframes = pointKeyframes;
+    }
+
+    return this.addOverlay(overlay, options, frameStart);
   }
 
   /**
@@ -299,7 +554,7 @@ export class GIVEScript {
    * @param {Object} options - Additional options
    */
   shape(shapeType, x, y, width, height, frameStart, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     const duration = options.duration || 1;
     const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
 
@@ -325,7 +580,7 @@ export class GIVEScript {
       overlay.points = options.points;
     }
 
-    return this.engine.addOverlay(overlay);
+    return this.addOverlay(overlay, options, frameStart);
   }
 
   /**
@@ -346,52 +601,267 @@ export class GIVEScript {
 
   /**
    * Add an image overlay
-   * @param {string} src - Image source URL
+   * @param {string|Array<string>} src - Image source URL, or a list of frame URLs
    * @param {number} x - X position
    * @param {number} y - Y position
    * @param {number|string} frameStart - Start frame or timecode
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (width, height, duration, frameEnd,
+   *   sprite: { columns, rows, frameWidth, frameHeight, count, atlas }, animation: { frameDuration, mode })
    */
   image(src, x, y, frameStart, options = {}) {
-    const startFrame = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const startFrame = this.resolveStart(frameStart);
     const duration = options.duration || 3;
     const endFrame = options.frameEnd || startFrame + this.secondsToFrames(duration);
 
-    return this.engine.addOverlay({
+    return this.addOverlay({
       type: 'image',
-      src,
+      src: Array.isArray(src) ? undefined : src,
+      frames: Array.isArray(src) ? [...src] : options.frames,
+      sprite: options.sprite,
+      animation: options.animation,
       x,
       y,
       width: options.width,
       height: options.height,
       frameStart: startFrame,
       frameEnd: endFrame
-    });
+    }, options, frameStart);
   }
 
   /**
-   * Load overlays from a script definition object
-   * @param {Object} script - Script definition
+   * Add an overlay of any registered type (e.g. one added with engine.registerOverlayType)
+   * @param {string} type - Overlay type
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {Object} props - Type-specific properties (x, y, content, style...)
+   * @param {Object} options - Additional options (duration, frameEnd, keyframes, transition)
    */
-  loadScript(script) {
-    // Clear existing overlays if specified
-    if (script.clear) {
-      this.engine.overlays = [];
+  custom(type, frameStart, props = {}, options = {}) {
+    if (!this.engine.getOverlayType(type)) {
+      throw new Error(`GIVE Script: Unknown overlay type: ${type}`);
+    }
+
+    const startFrame = this.resolveStart(frameStart);
+    let endFrame;
+    if (options.frameEnd !== undefined) {
+      endFrame = typeof options.frameEnd === 'string' ? this.timecodeToFrame(options.frameEnd) : options.frameEnd;
+    } else {
+      endFrame = startFrame + this.secondsToFrames(options.duration || this.defaultDuration);
+    }
+
+    return this.addOverlay({
+      ...props,
+      type,
+      frameStart: startFrame,
+      frameEnd: endFrame
+    }, options, frameStart);
+  }
+
+  /**
+   * Set a keyframe on an existing overlay
+   * Merges into an existing keyframe at the same frame.
+   * @param {string} id - Overlay ID
+   * @param {number|string} frame - Frame number or timecode
+   * @param {Object} props - Animated properties (x, y, scale, rotation, opacity) and optional easing
+   * @returns {Array<Object>} Updated keyframe list
+   */
+  animate(id, frame, props) {
+    const overlay = this.engine.getOverlay(id);
+    if (!overlay) {
+      throw new Error(`GIVE Script: Overlay not found: ${id}`);
     }
 
-    // Set FPS if specified
-    if (script.fps) {
-      this.engine.config.fps = script.fps;
+    const keyframeFrame = typeof frame === 'string' ? this.timecodeToFrame(frame) : frame;
+    const keyframes = setKeyframe(overlay.keyframes, keyframeFrame, props);
+    this.engine.updateOverlay(id, { keyframes });
+    return keyframes;
+  }
+
+  /**
+   * Add an overlay created by one of the helpers
+   * Copies shared options (e.g. keyframes) that the helpers don't handle individually,
+   * and anchors the overlay when the helper was given an at()/after() start.
+   * @param {Object} overlay - Overlay definition
+   * @param {Object} options - Helper options
+   * @param {number|string|Object} frameStart - The start the helper was given
+   * @returns {string} Overlay ID
+   */
+  addOverlay(overlay, options = {}, frameStart) {
+    for (const key of PASSTHROUGH_OPTIONS) {
+      if (options[key] !== undefined) {
+        overlay[key] = options[key];
+      }
+    }
+    if (isStartReference(frameStart)) {
+      overlay.anchor = { ...frameStart.anchor };
     }
+    return this.engine.addOverlay(overlay);
+  }
 
-    // Process each overlay
-    if (script.overlays) {
-      for (const def of script.overlays) {
-        this.createFromDefinition(def);
+  /**
+   * Resolve a helper's start to a frame
+   * @param {number|string|Object} frameStart - Frame, timecode, or an at()/after() reference
+   * @returns {number} Frame
+   */
+  resolveStart(frameStart) {
+    if (isStartReference(frameStart)) {
+      validateAnchor(frameStart.anchor);
+      const frame = this.engine.anchorFrame(frameStart.anchor);
+      if (frame === null) {
+        throw new Error(`GIVE Script: Can't resolve start "${describeAnchor(frameStart.anchor)}"`);
       }
+      return frame;
+    }
+    return typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+  }
+
+  /**
+   * Start at a story target, and follow it if it moves
+   * Use in place of any helper's frameStart: GIVE.caption("Boom", GIVE.at("door", -12), ...)
+   * @param {number|string} target - Frame, timecode, marker name or segment ID
+   * @param {number} offset - Frames after the target (negative for before)
+   * @returns {Object} Start reference
+   */
+  at(target, offset = 0) {
+    const anchor = offset ? { at: target, offset } : { at: target };
+    validateAnchor(anchor);
+    return { anchor };
+  }
+
+  /**
+   * Start after another overlay ends, and follow it if it moves or changes length
+   * @param {string} id - Overlay ID
+   * @param {number} gap - Frames between its last frame and this overlay's first
+   * @returns {Object} Start reference
+   */
+  after(id, gap = 0) {
+    const anchor = gap ? { after: id, gap } : { after: id };
+    validateAnchor(anchor);
+    return { anchor };
+  }
+
+  /**
+   * Add a key sequence QTE, or play overlays one after another
+   * With key names this is keySequence(keys, x, y, frameStart, options). With overlay
+   * definitions (as for batch), each starts after the one before it ends, so retiming
+   * one moves everything after it. An item's `gap` sets the frames before it.
+   * @param {Array<string>|Array<Object>} items - Keys, or overlay definitions timed by
+   *   duration (seconds) or frameStart/frameEnd (only the length is kept)
+   * @param {Object} options - For overlays: { start: frame, timecode or at()/after() for the
+   *   first item (default: its own frameStart), gap: default frames between items }
+   * @returns {string|Array<string>} QTE ID, or overlay IDs
+   */
+  sequence(items, ...args) {
+    if (Array.isArray(items) && items.length > 0 && items.every(item => typeof item === 'string')) {
+      return this.keySequence(items, ...args);
+    }
+
+    this.checkDefinitions(items, 'sequence');
+    const options = args[0] || {};
+    const ids = [];
+    this.engine.batch(() => items.forEach((item, index) => {
+      const { gap = options.gap || 0, ...def } = item;
+      const start = index === 0 ? this.firstStart(def, options) : this.after(ids[index - 1], gap);
+      ids.push(this.place(def, start));
+    }));
+    return ids;
+  }
+
+  /**
+   * Play overlays together
+   * The first item sets the start; the rest are anchored to it, `offset` frames later,
+   * and move with it.
+   * @param {Array<Object>} items - Overlay definitions (as for sequence)
+   * @param {Object} options - { start: frame, timecode or at()/after() for the first item }
+   * @returns {Array<string>} Overlay IDs
+   */
+  together(items, options = {}) {
+    this.checkDefinitions(items, 'together');
+    const ids = [];
+    this.engine.batch(() => items.forEach((item, index) => {
+      const { offset = 0, ...def } = item;
+      const start = index === 0
+        ? this.firstStart(def, options)
+        : { anchor: offset ? { with: ids[0], offset } : { with: ids[0] } };
+      ids.push(this.place(def, start));
+    }));
+    return ids;
+  }
+
+  /**
+   * Check that sequence() or together() was given overlay definitions
+   */
+  checkDefinitions(items, method) {
+    if (!Array.isArray(items) || items.some(item => item === null || typeof item !== 'object' || Array.isArray(item))) {
+      throw new Error(`GIVE Script: ${method}() takes an array of overlay definitions (or, for sequence(), key names)`);
     }
+  }
 
-    this.engine.render();
+  /**
+   * Start of the first item in a sequence() or together()
+   */
+  firstStart(def, options) {
+    const start = options.start !== undefined ? options.start : def.frameStart;
+    if (start === undefined) {
+      throw new Error('GIVE Script: The first overlay needs a start (options.start or its frameStart)');
+    }
+    return start;
+  }
+
+  /**
+   * Create an overlay from a definition at a new start, keeping its length
+   * @param {Object} def - Overlay definition
+   * @param {number|string|Object} start - Frame, timecode or start reference
+   * @returns {string} Overlay ID
+   */
+  place(def, start) {
+    const frameStart = this.resolveStart(start);
+    const placed = { ...def, frameStart };
+    if (def.frameStart !== undefined && def.frameEnd !== undefined) {
+      placed.frameEnd = frameStart + this.resolveStart(def.frameEnd) - this.resolveStart(def.frameStart);
+    } else if (def.frameEnd === undefined && def.duration !== undefined) {
+      // Also covers types without a helper (audio, custom), which don't read duration
+      placed.frameEnd = frameStart + this.secondsToFrames(def.duration);
+    }
+    if (isStartReference(start)) {
+      placed.anchor = { ...start.anchor };
+    }
+    return this.createFromDefinition(placed);
+  }
+
+  /**
+   * Load overlays from a script definition object
+   * @param {Object} script - Script definition
+   */
+  loadScript(script) {
+    // Indexed, anchored and drawn once at the end
+    this.engine.batch(() => {
+      // Clear existing overlays if specified
+      if (script.clear) {
+        this.engine.setOverlays([]);
+      }
+
+      // Set FPS if specified
+      if (script.fps) {
+        this.engine.setFrameRate(script.fps, { dropFrame: script.dropFrame, pin: true });
+      }
+
+      // Initial game state
+      if (script.state) {
+        this.engine.state.load(script.state);
+      }
+
+      // Story markers and segments replace the current ones
+      if (script.markers || script.segments) {
+        this.engine.story.load(script);
+      }
+
+      // Process each overlay
+      if (script.overlays) {
+        for (const def of script.overlays) {
+          this.createFromDefinition(def);
+        }
+      }
+    });
   }
 
   /**
@@ -408,12 +878,14 @@ export class GIVEScript {
         return this.craption(def.content, def.frameStart, def.frameEnd, def);
       case 'qte':
         return this.qte(def.key, def.x, def.y, def.frameStart, def);
+      case 'choice':
+        return this.choice(def.prompt, def.options, def.x, def.y, def.frameStart, def);
       case 'popup':
         return this.popup(def.content, def.x, def.y, def.frameStart, def);
       case 'ascii':
         return this.ascii(def.content, def.x, def.y, def.frameStart, def);
       case 'outline':
-        return this.outline(def.points, def.frameStart, def.frameEnd, def);
+        return this.outline(def.pointKeyframes || def.points, def.frameStart, def.frameEnd, def);
       case 'shape':
         return this.shape(def.shapeType, def.x, def.y, def.width, def.height, def.frameStart, def);
       case 'rect':
@@ -423,45 +895,122 @@ export class GIVEScript {
       case 'image':
         return this.image(def.src, def.x, def.y, def.frameStart, def);
       default:
-        // Raw overlay - pass through
+        // Raw or custom-registered overlay - the engine fills in type defaults
         return this.engine.addOverlay(def);
     }
   }
 
+  /**
+   * Load an SRT or WebVTT file as caption (or craption) overlays
+   * Cue times snap to the nearest frame boundary. VTT `position`, `line` and `align`
+   * settings place the caption (they need the video size).
+   * @param {string} text - File contents
+   * @param {Object} options - Options (format: 'srt' | 'vtt', detected by default; craption: true;
+   *   offset in seconds; any caption options such as style or fontSize)
+   * @returns {{ids: Array<string>, warnings: Array<string>}}
+   */
+  loadSubtitles(text, options = {}) {
+    const { format, craption, offset = 0, ...captionOptions } = options;
+    const { cues, warnings } = parseSubtitles(text, format);
+    const { videoWidth: width, videoHeight: height } = this.engine;
+    const fontSize = captionOptions.fontSize || (craption ? 32 : 28);
+    const ids = [];
+
+    this.engine.batch(() => cues.forEach(cue => {
+      const frameStart = this.secondsToFrames(cue.start + offset);
+      const frameEnd = Math.max(frameStart, this.secondsToFrames(cue.end + offset) - 1);
+
+      let placement = {};
+      if (Object.keys(cue.settings).some(name => PLACEMENT_SETTINGS.includes(name))) {
+        if (width && height) {
+          placement = cuePlacement(cue.settings, { width, height, lineHeight: fontSize * 1.2 });
+        } else {
+          warnings.push(`Cue ${cue.id}: placement ignored until a video is loaded`);
+        }
+      }
+
+      const helper = craption ? this.craption : this.caption;
+      ids.push(helper.call(this, cue.text, frameStart, frameEnd, { ...captionOptions, ...placement }));
+    }));
+
+    return { ids, warnings };
+  }
+
+  /**
+   * Export caption overlays as an SRT or WebVTT file
+   * @param {string} format - 'srt' (default) or 'vtt'
+   * @param {Object} options - Options (overlays: captions to export, default all, in frame order)
+   * @returns {string} File contents
+   */
+  exportSubtitles(format = 'srt', options = {}) {
+    if (format !== 'srt' && format !== 'vtt') {
+      throw new Error(`GIVE Script: Unknown subtitle format "${format}" (use "srt" or "vtt")`);
+    }
+
+    const size = { width: this.engine.videoWidth, height: this.engine.videoHeight };
+    const captions = (options.overlays || this.engine.overlays)
+      .filter(overlay => overlay.type === 'caption')
+      .sort((a, b) => a.frameStart - b.frameStart);
+
+    const cues = captions.map((overlay, index) => ({
+      id: String(index + 1),
+      start: this.engine.frameToTime(overlay.frameStart),
+      end: this.engine.frameToTime(overlay.frameEnd + 1), // frameEnd is the last frame shown
+      text: overlay.content,
+      settings: format === 'vtt' ? placementSettings(overlay, size) : {}
+    }));
+
+    return format === 'vtt' ? formatVTT(cues) : formatSRT(cues);
+  }
+
+  /**
+   * Load an Advanced SubStation Alpha (.ass) script as text and caption overlays
+   * Positions, font sizes and outlines are scaled from the script's PlayResX/PlayResY
+   * to the video. Unsupported tags and style fields are returned as warnings.
+   * @param {string} text - File contents
+   * @param {Object} options - Options (offset in seconds; any overlay fields to add to each line, e.g. layer)
+   * @returns {{ids: Array<string>, warnings: Array<string>}}
+   */
+  loadASS(text, options = {}) {
+    const { offset = 0, ...extra } = options;
+    const { videoWidth, videoHeight } = this.engine;
+    const { overlays, warnings } = assToOverlays(text, {
+      videoWidth,
+      videoHeight,
+      secondsToFrames: seconds => this.secondsToFrames(seconds),
+      offset
+    });
+    if (!videoWidth || !videoHeight) {
+      warnings.push('No video loaded; positions use the script resolution');
+    }
+
+    const ids = this.engine.batch(() => overlays.map(overlay => this.engine.addOverlay({ ...overlay, ...extra })));
+    return { ids, warnings };
+  }
+
   /**
    * Create overlays from a batch array
    * @param {Array} overlays - Array of overlay definitions
    */
   batch(overlays) {
-    const ids = [];
-    for (const def of overlays) {
-      ids.push(this.createFromDefinition(def));
-    }
-    this.engine.render();
-    return ids;
+    return this.engine.batch(() => overlays.map(def => this.createFromDefinition(def)));
   }
 
   /**
    * Get all overlays as a script definition
+   * This is the current project format (version, frame rate and drop-frame setting
+   * included), so it loads back unchanged through loadScript or loadProject.
    * @returns {Object} Script definition
    */
   exportScript() {
-    return {
-      version: '1.0',
-      fps: this.engine.config.fps,
-      videoWidth: this.engine.videoWidth,
-      videoHeight: this.engine.videoHeight,
-      totalFrames: this.engine.totalFrames,
-      overlays: this.engine.exportProject().overlays
-    };
+    return this.engine.exportProject();
   }
 
   /**
    * Remove all overlays
    */
   clear() {
-    this.engine.overlays = [];
-    this.engine.render();
+    this.engine.setOverlays([]);
   }
 
   /**
@@ -489,9 +1038,19 @@ export class GIVEScript {
    * Get all overlays at a specific frame
    */
   getAtFrame(frame) {
-    return this.engine.getOverlays().filter(o =>
-      frame >= o.frameStart && frame <= o.frameEnd
-    );
+    const f = typeof frame === 'string' ? this.timecodeToFrame(frame) : frame;
+    return this.engine.getOverlaysAtFrame(f);
+  }
+
+  /**
+   * Get all overlays intersecting a frame range
+   * @param {number|string} frameStart - Start frame or timecode
+   * @param {number|string} frameEnd - End frame or timecode
+   */
+  getInRange(frameStart, frameEnd) {
+    const start = typeof frameStart === 'string' ? this.timecodeToFrame(frameStart) : frameStart;
+    const end = typeof frameEnd === 'string' ? this.timecodeToFrame(frameEnd) : frameEnd;
+    return this.engine.getOverlaysInRange(start, end);
   }
 }
 
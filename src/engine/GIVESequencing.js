@@ -0,0 +1,165 @@
+/**
+ * GIVE Sequencing
+ *
+ * Relative timing. An overlay's `anchor` ties its start to another overlay or a
+ * story target; whenever the anchor moves, the engine moves the overlay with it
+ * (keeping its length, keyframes and QTE playback frames in step):
+ *
+ * "anchor": { "after": "intro_title", "gap": 12 }   // 12 frames after intro_title's last frame
+ * "anchor": { "with": "intro_title", "offset": 6 }  // 6 frames after intro_title starts
+ * "anchor": { "at": "door", "offset": -24 }         // 24 frames before the "door" marker
+ *
+ * `at` takes any story target: a frame, timecode, marker name or segment ID.
+ * Anchors chain, so a sequence is each overlay anchored after the one before.
+ * An anchor to a missing overlay or target, or one that loops back on itself,
+ * leaves the overlay where it is and is reported as a problem.
+ */
+
+export const ANCHOR_KINDS = ['after', 'with', 'at'];
+
+/**
+ * Which kind of anchor this is
+ * @param {Object} anchor - Anchor
+ * @returns {string|null} 'after', 'with', 'at', or null if it isn't exactly one of them
+ */
+export function anchorKind(anchor) {
+  if (!anchor || typeof anchor !== 'object') return null;
+  const kinds = ANCHOR_KINDS.filter(kind => anchor[kind] !== undefined);
+  return kinds.length === 1 ? kinds[0] : null;
+}
+
+/**
+ * Check an anchor's shape
+ * @param {Object} anchor - Anchor
+ */
+export function validateAnchor(anchor) {
+  const kind = anchorKind(anchor);
+  if (!kind) {
+    throw new Error(`GIVE Sequencing: An anchor needs exactly one of ${ANCHOR_KINDS.join(', ')}`);
+  }
+  if (kind !== 'at' && (typeof anchor[kind] !== 'string' || anchor[kind] === '')) {
+    throw new Error(`GIVE Sequencing: "${kind}" must be an overlay ID`);
+  }
+  const shift = kind === 'after' ? 'gap' : 'offset';
+  if (anchor[shift] !== undefined && !Number.isInteger(anchor[shift])) {
+    throw new Error(`GIVE Sequencing: "${shift}" must be a whole number of frames`);
+  }
+}
+
+/**
+ * Name of the frame shift field for an anchor kind
+ * @param {string} kind - Anchor kind
+ * @returns {string} 'gap' for after, 'offset' otherwise
+ */
+export function anchorShiftField(kind) {
+  return kind === 'after' ? 'gap' : 'offset';
+}
+
+/**
+ * Human-readable anchor ("after intro +12")
+ * @param {Object} anchor - Anchor
+ * @returns {string}
+ */
+export function describeAnchor(anchor) {
+  const kind = anchorKind(anchor);
+  if (!kind) return 'invalid anchor';
+  const shift = anchor[anchorShiftField(kind)] || 0;
+  return `${kind} ${anchor[kind]}${shift === 0 ? '' : ` ${shift > 0 ? '+' : ''}${shift}`}`;
+}
+
+/**
+ * Frame an anchor puts its overlay's frameStart at
+ * @param {Object} anchor - Anchor
+ * @param {Object} lookup - { getOverlay(id), resolveTarget(target) }
+ * @returns {number|null} Frame, or null if what it refers to doesn't exist
+ */
+export function anchorFrame(anchor, { getOverlay, resolveTarget }) {
+  const kind = anchorKind(anchor);
+  if (!kind) return null;
+
+  let base;
+  if (kind === 'at') {
+    base = resolveTarget(anchor.at);
+  } else {
+    const reference = getOverlay(anchor[kind]);
+    base = reference ? (kind === 'after' ? reference.frameEnd + 1 : reference.frameStart) : null;
+  }
+  if (base === null || base === undefined) return null;
+  return base + (anchor[anchorShiftField(kind)] || 0);
+}
+
+/**
+ * Move an overlay in time, with everything timed by absolute frame
+ * @param {Object} overlay - Overlay (modified)
+ * @param {number} delta - Frames to move by
+ */
+export function shiftOverlay(overlay, delta) {
+  if (delta === 0) return;
+
+  overlay.frameStart += delta;
+  overlay.frameEnd += delta;
+  for (const key of ['keyframes', 'pointKeyframes']) {
+    if (Array.isArray(overlay[key])) {
+      overlay[key] = overlay[key].map(keyframe => ({ ...keyframe, frame: keyframe.frame + delta }));
+    }
+  }
+  const playback = overlay.playback;
+  if (playback && typeof playback === 'object') {
+    overlay.playback = { ...playback };
+    for (const key of ['at', 'from', 'to']) {
+      if (typeof playback[key] === 'number') overlay.playback[key] = playback[key] + delta;
+    }
+  }
+}
+
+/**
+ * Move every anchored overlay to where its anchor says
+ * Overlays are resolved after whatever they're anchored to, so chains settle in one pass.
+ * @param {Array<Object>} overlays - All overlays (anchored ones are modified)
+ * @param {function(number|string): number|null} resolveTarget - Story target lookup (for `at`)
+ * @returns {{moved: Array<Object>, problems: Array<string>}} Overlays that moved, and anchors
+ *   that couldn't be resolved
+ */
+export function resolveAnchors(overlays, resolveTarget) {
+  const byId = new Map(overlays.filter(overlay => overlay.id !== undefined).map(overlay => [overlay.id, overlay]));
+  const moved = [];
+  const problems = [];
+  const state = new Map(); // overlay -> 'visiting' | 'done' | 'loop'
+
+  const resolve = (overlay) => {
+    if (state.get(overlay) === 'visiting') {
+      problems.push(`Overlay "${overlay.id}" is anchored in a loop`);
+      state.set(overlay, 'loop');
+      return;
+    }
+    if (state.has(overlay)) return;
+    state.set(overlay, 'visiting');
+
+    const kind = anchorKind(overlay.anchor);
+    const reference = kind && kind !== 'at' ? byId.get(overlay.anchor[kind]) : undefined;
+    if (reference && reference.anchor) {
+      resolve(reference);
+      // Everything in a loop stays where it is
+      if (state.get(reference) === 'loop' || state.get(overlay) === 'loop') {
+        state.set(overlay, 'loop');
+        return;
+      }
+    }
+
+    const frame = kind ? anchorFrame(overlay.anchor, { getOverlay: id => byId.get(id), resolveTarget }) : null;
+    if (frame === null) {
+      problems.push(`Overlay "${overlay.id}" has an unresolved anchor (${describeAnchor(overlay.anchor)})`);
+    } else if (frame !== overlay.frameStart) {
+      shiftOverlay(overlay, frame - overlay.frameStart);
+      moved.push(overlay);
+    }
+    state.set(overlay, 'done');
+  };
+
+  for (const overlay of overlays) {
+    if (overlay.anchor) resolve(overlay);
+  }
+  return { moved, problems };
+}
+
+export default resolveAnchors;
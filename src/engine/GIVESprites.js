@@ -0,0 +1,265 @@
+/**
+ * GIVE Sprites
+ *
+ * Animated `image` overlays and the image cache behind them. An image overlay can
+ * draw a plain image, a cell of a sprite sheet, or one file of a frame list:
+ *
+ * { "type": "image", "src": "bat.png", "sprite": { "columns": 4, "rows": 2 } }       // Grid sheet
+ * { "type": "image", "src": "bat.png", "sprite": { "frameWidth": 64, "frameHeight": 64, "count": 7 } }
+ * { "type": "image", "src": "bat.png", "sprite": { "atlas": "bat.json" } }           // JSON atlas
+ * { "type": "image", "frames": ["bat-1.png", "bat-2.png", "bat-3.png"] }             // Frame list
+ *
+ * The animation is tied to video frames, not wall time, so it scrubs and pauses
+ * with the picture: `animation.frameDuration` video frames per image frame
+ * (default 2), and `animation.mode` 'loop' (default), 'ping-pong' or 'once'.
+ *
+ * Atlases use the TexturePacker/Aseprite JSON layout (`frames` as an array, or a
+ * hash in key order, each with `frame: {x, y, w, h}`), inline or by URL.
+ *
+ * Images load when overlays are added or a project loads, not when they first
+ * show, so the first frame doesn't flash blank. Until a frame-list file arrives,
+ * the nearest earlier loaded frame is drawn.
+ */
+
+export const ANIMATION_MODES = ['loop', 'ping-pong', 'once'];
+
+const DEFAULT_FRAME_DURATION = 2; // Video frames per image frame ("on twos")
+
+/**
+ * Animation frame shown a number of video frames into an overlay
+ * @param {number} count - Animation frames
+ * @param {number} elapsed - Video frames since the overlay's frameStart
+ * @param {Object} animation - { frameDuration, mode }
+ * @returns {number} Index (0 to count - 1)
+ */
+export function spriteFrameIndex(count, elapsed, animation = {}) {
+  if (count <= 1) return 0;
+
+  const frameDuration = animation.frameDuration || DEFAULT_FRAME_DURATION;
+  const step = Math.floor(Math.max(0, elapsed) / frameDuration);
+
+  switch (animation.mode) {
+    case 'once':
+      return Math.min(step, count - 1);
+    case 'ping-pong': {
+      const period = count * 2 - 2;
+      const position = step % period;
+      return position < count ? position : period - position;
+    }
+    default:
+      return step % count;
+  }
+}
+
+/**
+ * Source rectangles of a grid sprite sheet
+ * @param {Object} sprite - { columns, rows } or { frameWidth, frameHeight }, optional count
+ * @param {{width: number, height: number}} size - Sheet size in pixels
+ * @returns {Array<{x: number, y: number, w: number, h: number}>} Left-to-right, top-to-bottom
+ */
+export function gridFrames(sprite, size) {
+  const frameWidth = sprite.frameWidth || Math.floor(size.width / (sprite.columns || 1));
+  const frameHeight = sprite.frameHeight || Math.floor(size.height / (sprite.rows || 1));
+  const columns = sprite.columns || Math.max(1, Math.floor(size.width / frameWidth));
+  const rows = sprite.rows || Math.max(1, Math.floor(size.height / frameHeight));
+  const count = Math.min(sprite.count || columns * rows, columns * rows);
+
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    frames.push({
+      x: (i % columns) * frameWidth,
+      y: Math.floor(i / columns) * frameHeight,
+      w: frameWidth,
+      h: frameHeight
+    });
+  }
+  return frames;
+}
+
+/**
+ * Source rectangles of a JSON atlas
+ * @param {Object} atlas - TexturePacker/Aseprite JSON ({ frames: [...] } or { frames: {name: ...} })
+ * @returns {Array<{x: number, y: number, w: number, h: number}>}
+ */
+export function parseAtlas(atlas) {
+  const entries = atlas && atlas.frames;
+  if (!entries || typeof entries !== 'object') {
+    throw new Error('GIVE Sprites: Atlas needs a "frames" array or object');
+  }
+
+  return (Array.isArray(entries) ? entries : Object.values(entries)).map((entry, index) => {
+    const rect = entry.frame || entry;
+    if (![rect.x, rect.y, rect.w, rect.h].every(Number.isFinite)) {
+      throw new Error(`GIVE Sprites: Atlas frame ${index} needs numeric x, y, w and h`);
+    }
+    return { x: rect.x, y: rect.y, w: rect.w, h: rect.h };
+  });
+}
+
+export class ImageCache {
+  /**
+   * @param {Object} options - Options
+   * @param {function(): void} options.onLoad - Called when an image or atlas arrives (e.g. redraw)
+   * @param {function(): HTMLImageElement} options.createImage - Image factory (default: new Image())
+   * @param {function(string): Promise<Object>} options.loadJSON - Atlas loader (default: fetch)
+   */
+  constructor(options = {}) {
+    this.onLoad = options.onLoad || (() => {});
+    this.createImage = options.createImage || (() => new Image());
+    this.loadJSON = options.loadJSON || (src => fetch(src).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    }));
+
+    this.entries = new Map();         // src -> { status, value, promise }
+    this.parsedAtlases = new WeakMap(); // inline atlas object -> frames
+  }
+
+  /**
+   * Start loading an image (once)
+   * @param {string} src - URL
+   * @returns {Object} Cache entry
+   */
+  loadImage(src) {
+    if (!this.entries.has(src)) {
+      const entry = { status: 'loading', value: null, promise: null };
+      entry.promise = new Promise((resolve) => {
+        const image = this.createImage();
+        image.onload = () => {
+          entry.status = 'loaded';
+          entry.value = image;
+          this.onLoad();
+          resolve(image);
+        };
+        image.onerror = () => {
+          entry.status = 'error';
+          console.warn(`[GIVE] Could not load image "${src}"`);
+          resolve(null);
+        };
+        image.src = src;
+      });
+      this.entries.set(src, entry);
+    }
+    return this.entries.get(src);
+  }
+
+  /**
+   * Start loading an atlas (once)
+   * @param {string} src - URL
+   * @returns {Object} Cache entry
+   */
+  loadAtlas(src) {
+    const key = `atlas:${src}`;
+    if (!this.entries.has(key)) {
+      const entry = { status: 'loading', value: null, promise: null };
+      entry.promise = Promise.resolve()
+        .then(() => this.loadJSON(src))
+        .then((json) => {
+          entry.status = 'loaded';
+          entry.value = parseAtlas(json);
+          this.onLoad();
+          return entry.value;
+        })
+        .catch((error) => {
+          entry.status = 'error';
+          console.warn(`[GIVE] Could not load atlas "${src}": ${error.message}`);
+          return null;
+        });
+      this.entries.set(key, entry);
+    }
+    return this.entries.get(key);
+  }
+
+  /**
+   * A loaded image, or null while it loads (loading starts if needed)
+   * @param {string} src - URL
+   * @returns {HTMLImageElement|null}
+   */
+  image(src) {
+    return this.loadImage(src).value;
+  }
+
+  /**
+   * An atlas's frames (URL or inline object), or null while it loads
+   * @param {string|Object} atlas - Atlas URL or JSON
+   * @returns {Array<Object>|null}
+   */
+  atlas(atlas) {
+    if (typeof atlas === 'string') return this.loadAtlas(atlas).value;
+
+    if (!this.parsedAtlases.has(atlas)) {
+      let frames = null;
+      try {
+        frames = parseAtlas(atlas);
+      } catch (error) {
+        console.warn(`[GIVE] ${error.message}`);
+      }
+      this.parsedAtlases.set(atlas, frames);
+    }
+    return this.parsedAtlases.get(atlas);
+  }
+
+  /**
+   * Start loading everything an overlay draws
+   * @param {Object} overlay - Overlay (non-image overlays are ignored)
+   * @returns {Promise} Settles when its files have loaded or failed
+   */
+  preload(overlay) {
+    if (overlay.type !== 'image') return Promise.resolve();
+
+    const pending = [];
+    for (const src of overlay.frames || (overlay.src ? [overlay.src] : [])) {
+      pending.push(this.loadImage(src).promise);
+    }
+    if (overlay.sprite && typeof overlay.sprite.atlas === 'string') {
+      pending.push(this.loadAtlas(overlay.sprite.atlas).promise);
+    }
+    return Promise.all(pending);
+  }
+
+  /**
+   * Wait for every file started so far
+   * @returns {Promise}
+   */
+  ready() {
+    return Promise.all(Array.from(this.entries.values(), entry => entry.promise));
+  }
+
+  /**
+   * What an image overlay draws a number of video frames in
+   * @param {Object} overlay - Image overlay
+   * @param {number} elapsed - Video frames since its frameStart
+   * @returns {{image: HTMLImageElement, sx: number, sy: number, sw: number, sh: number}|null}
+   *   null while nothing is loaded
+   */
+  frameFor(overlay, elapsed) {
+    // Frame list: one file per frame, falling back to the last loaded one
+    if (Array.isArray(overlay.frames) && overlay.frames.length > 0) {
+      const index = spriteFrameIndex(overlay.frames.length, elapsed, overlay.animation);
+      for (let i = index; i >= 0; i--) {
+        const image = this.image(overlay.frames[i]);
+        if (image) return { image, sx: 0, sy: 0, sw: image.naturalWidth, sh: image.naturalHeight };
+      }
+      return null;
+    }
+
+    if (!overlay.src) return null;
+    const image = this.image(overlay.src);
+    if (!image) return null;
+
+    if (!overlay.sprite) {
+      return { image, sx: 0, sy: 0, sw: image.naturalWidth, sh: image.naturalHeight };
+    }
+
+    const rects = overlay.sprite.atlas
+      ? this.atlas(overlay.sprite.atlas)
+      : gridFrames(overlay.sprite, { width: image.naturalWidth, height: image.naturalHeight });
+    if (!rects || rects.length === 0) return null;
+
+    const count = Math.min(overlay.sprite.count || rects.length, rects.length);
+    const rect = rects[spriteFrameIndex(count, elapsed, overlay.animation)];
+    return { image, sx: rect.x, sy: rect.y, sw: rect.w, sh: rect.h };
+  }
+}
+
+export default ImageCache;
@@ -0,0 +1,414 @@
+/**
+ * GIVE State
+ *
+ * Per-session game state (score, lives, flags, counters...) and the two ways
+ * projects use it without page JavaScript:
+ *
+ * - `when` on any overlay: an expression evaluated before drawing; the overlay
+ *   only shows (and only takes input) while it's true.
+ *     "when": "lives > 0 && !flags.garlic"
+ *
+ * - `effects` on QTEs and choice options: declarative changes applied when the
+ *   QTE resolves or the option is picked.
+ *     "effects": { "success": { "add": { "score": 100 } }, "fail": { "add": { "lives": -1 } } }
+ *
+ * Expressions are parsed by a small recursive-descent parser, never eval'd. They
+ * support numbers, strings, true/false/null, state paths (`flags.garlic`,
+ * `counters["bites"]`), ! and unary -, * / %, + -, < <= > >=, == != (strict),
+ * && || and parentheses. Unknown paths read as undefined.
+ */
+
+// Property names that would reach outside the state object
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.'];
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const LITERALS = { true: true, false: false, null: null };
+
+const hasOwn = (object, key) =>
+  object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(object, key);
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression
+ * @returns {Array<{type: string, value: *, position: number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error(`GIVE State: Unterminated string at position ${i} in "${source}"`);
+      }
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) {
+      throw new Error(`GIVE State: Unexpected "${char}" at position ${i} in "${source}"`);
+    }
+    tokens.push({ type: 'operator', value: operator, position: i });
+    i += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression, e.g. "lives > 0 && !flags.garlic"
+ * @returns {Object} Syntax tree
+ */
+export function parseExpression(source) {
+  const tokens = tokenize(String(source));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const fail = (token) => {
+    const found = token ? `"${token.value}" at position ${token.position}` : 'end of expression';
+    throw new Error(`GIVE State: Unexpected ${found} in "${source}"`);
+  };
+  const expect = (value) => {
+    if (!isOperator(value)) fail(peek());
+    index++;
+  };
+
+  function parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+    while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('!') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, argument: parseUnary() };
+    }
+    return parseMember();
+  }
+
+  function parseMember() {
+    let node = parsePrimary();
+
+    for (;;) {
+      if (isOperator('.')) {
+        index++;
+        const token = tokens[index++];
+        if (!token || token.type !== 'identifier') fail(token);
+        node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+      } else if (isOperator('[')) {
+        index++;
+        const property = parseBinary(0);
+        expect(']');
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) fail(token);
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'identifier') {
+      if (hasOwn(LITERALS, token.value)) return { type: 'literal', value: LITERALS[token.value] };
+      return { type: 'identifier', name: token.value };
+    }
+    if (token.value === '(') {
+      const node = parseBinary(0);
+      expect(')');
+      return node;
+    }
+    return fail(token);
+  }
+
+  const tree = parseBinary(0);
+  if (index < tokens.length) fail(peek());
+  return tree;
+}
+
+/**
+ * Evaluate a syntax tree against a state object
+ * @param {Object} node - Tree from parseExpression
+ * @param {Object} scope - State values
+ * @returns {*}
+ */
+export function evaluateExpression(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'identifier':
+      return hasOwn(scope, node.name) ? scope[node.name] : undefined;
+
+    case 'member': {
+      const object = evaluateExpression(node.object, scope);
+      const key = evaluateExpression(node.property, scope);
+      if (FORBIDDEN_KEYS.includes(key) || typeof object !== 'object') return undefined;
+      return hasOwn(object, key) ? object[key] : undefined;
+    }
+
+    case 'unary': {
+      const value = evaluateExpression(node.argument, scope);
+      return node.operator === '!' ? !value : -value;
+    }
+
+    case 'binary': {
+      const left = evaluateExpression(node.left, scope);
+      // Short-circuit like JavaScript
+      if (node.operator === '&&') return left && evaluateExpression(node.right, scope);
+      if (node.operator === '||') return left || evaluateExpression(node.right, scope);
+
+      const right = evaluateExpression(node.right, scope);
+      switch (node.operator) {
+        case '==':
+        case '===': return left === right;
+        case '!=':
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+    }
+  }
+
+  throw new Error(`GIVE State: Cannot evaluate "${node.type}" node`);
+}
+
+/**
+ * Split a dotted state path ("flags.garlic") into keys
+ * @param {string} path - State path
+ * @returns {Array<string>}
+ */
+export function splitPath(path) {
+  const keys = String(path).split('.');
+  if (keys.some(key => key === '' || FORBIDDEN_KEYS.includes(key))) {
+    throw new Error(`GIVE State: Invalid path "${path}"`);
+  }
+  return keys;
+}
+
+export class GameState {
+  /**
+   * @param {GIVEEngine} engine - Engine emitting state:changed
+   * @param {Object} initial - Initial values (e.g. { score: 0, lives: 3, flags: {} })
+   */
+  constructor(engine, initial = {}) {
+    this.engine = engine;
+    this.initial = clone(initial) || {};
+    this.values = clone(this.initial);
+    this.compiled = new Map(); // expression -> syntax tree (or the Error it threw)
+    this.warned = new Set();   // Broken expressions already reported
+
+    engine.internalEvents.on('qte:result', (result) => this.applyQTEEffects(result));
+    engine.internalEvents.on('choice', ({ option }) => {
+      if (option && option.effects) this.apply(option.effects);
+    });
+  }
+
+  /**
+   * Replace the initial values and start over
+   * @param {Object} initial - Initial values
+   */
+  load(initial = {}) {
+    this.initial = clone(initial) || {};
+    this.reset();
+  }
+
+  /**
+   * Restore the initial values (e.g. on replay)
+   */
+  reset() {
+    this.values = clone(this.initial);
+    this.engine.emit('state:changed', { path: null, value: this.values, previous: undefined });
+  }
+
+  /**
+   * Read a value
+   * @param {string} path - State path, e.g. "flags.garlic"
+   * @returns {*}
+   */
+  get(path) {
+    let value = this.values;
+    for (const key of splitPath(path)) {
+      if (!hasOwn(value, key)) return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Write a value (missing parent objects are created)
+   * @param {string} path - State path
+   * @param {*} value - New value
+   */
+  set(path, value) {
+    const keys = splitPath(path);
+    const last = keys.pop();
+    let target = this.values;
+    for (const key of keys) {
+      if (!hasOwn(target, key) || typeof target[key] !== 'object' || target[key] === null) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+
+    const previous = target[last];
+    if (previous === value) return;
+    target[last] = value;
+    this.engine.emit('state:changed', { path, value, previous });
+  }
+
+  /**
+   * Add to a number (missing values count as 0)
+   * @param {string} path - State path
+   * @param {number} amount - Amount to add (negative to subtract)
+   */
+  add(path, amount) {
+    this.set(path, (Number(this.get(path)) || 0) + amount);
+  }
+
+  /**
+   * Flip a flag
+   * @param {string} path - State path
+   */
+  toggle(path) {
+    this.set(path, !this.get(path));
+  }
+
+  /**
+   * Apply declarative effects
+   * @param {Object|Array<Object>} effects - { set: {path: value}, add: {path: amount}, toggle: [paths] }
+   *   or a list of them, applied in order
+   */
+  apply(effects) {
+    for (const effect of Array.isArray(effects) ? effects : [effects]) {
+      for (const [op, args] of Object.entries(effect || {})) {
+        if (op === 'set') {
+          for (const [path, value] of Object.entries(args)) this.set(path, clone(value));
+        } else if (op === 'add') {
+          for (const [path, amount] of Object.entries(args)) this.add(path, Number(amount));
+        } else if (op === 'toggle') {
+          for (const path of [].concat(args)) this.toggle(path);
+        } else {
+          console.warn(`[GIVE] Unknown state effect "${op}"`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply a QTE's effects for its result
+   * Outcome effects (success / fail) run first, then the grade (perfect, good, late)
+   * or failure reason (missed, wrong-key, wrong-target).
+   * @param {Object} result - qte:result payload
+   */
+  applyQTEEffects(result) {
+    const effects = result.overlay && result.overlay.effects;
+    if (!effects) return;
+
+    const outcome = result.success ? 'success' : 'fail';
+    const detail = result.success ? result.grade : result.reason;
+    if (effects[outcome]) this.apply(effects[outcome]);
+    if (detail && effects[detail]) this.apply(effects[detail]);
+  }
+
+  /**
+   * Evaluate an expression against the current state
+   * @param {string} expression - Expression
+   * @returns {*} Result
+   */
+  evaluate(expression) {
+    if (!this.compiled.has(expression)) {
+      try {
+        this.compiled.set(expression, parseExpression(expression));
+      } catch (error) {
+        this.compiled.set(expression, error);
+      }
+    }
+
+    const tree = this.compiled.get(expression);
+    if (tree instanceof Error) throw tree;
+    return evaluateExpression(tree, this.values);
+  }
+
+  /**
+   * Whether a condition holds; broken expressions are reported once and count as false
+   * @param {string} expression - Expression
+   * @returns {boolean}
+   */
+  test(expression) {
+    try {
+      return Boolean(this.evaluate(expression));
+    } catch (error) {
+      if (!this.warned.has(expression)) {
+        this.warned.add(expression);
+        console.warn(`${error.message} (condition treated as false)`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot of the current values
+   * @returns {Object}
+   */
+  toJSON() {
+    return clone(this.values);
+  }
+}
+
+export default GameState;
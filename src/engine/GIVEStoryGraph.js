@@ -0,0 +1,507 @@
+/**
+ * GIVE Story Graph
+ *
+ * Branching playback on top of one long video. A project can name frames
+ * (`markers`) and split the video into `segments`; `choice` overlays jump to a
+ * target when the player picks an option.
+ *
+ * {
+ *   "markers": { "door": 1200, "credits": "00:05:00:00" },
+ *   "segments": [
+ *     { "id": "hallway", "frameStart": 0, "frameEnd": 1199 },
+ *     { "id": "cellar", "frameStart": 1200, "frameEnd": 2399, "next": "credits" },
+ *     { "id": "escape", "frameStart": 2400, "frameEnd": 3599, "end": true }
+ *   ]
+ * }
+ *
+ * Targets are frame numbers, timecodes, marker names or segment IDs (a segment
+ * resolves to its first frame). When playback runs off the end of a segment it
+ * follows the segment's `next` target, or pauses if the segment is an `end`.
+ * Segments without either play on into whatever follows.
+ *
+ * Choices (overlay.type === 'choice') take 2-4 `options` ({label, target, key}).
+ * Options are picked with their key (1-4 by default), arrows + Enter/Space, a
+ * click or tap, or a gamepad (D-pad + A). Keys in the QTE `ignoreKeys` (player
+ * controls) don't move or confirm the focus, and `choiceInput: false` turns picks
+ * off entirely (the editor does). If the window closes during playback
+ * without a pick, the `default` option is taken. A choice re-arms each time it
+ * comes back on screen, so hub segments can be revisited.
+ */
+
+import { normalizeKey } from './GIVEQTE.js';
+
+export const MIN_CHOICE_OPTIONS = 2;
+export const MAX_CHOICE_OPTIONS = 4;
+
+const PREVIOUS_KEYS = ['arrowup', 'arrowleft'];
+const NEXT_KEYS = ['arrowdown', 'arrowright'];
+const CONFIRM_KEYS = ['enter', 'space'];
+
+/**
+ * Key that picks an option (its own `key`, or its number)
+ * @param {Object} option - Choice option
+ * @param {number} index - Option index
+ * @returns {string}
+ */
+export function optionKey(option, index) {
+  return option.key ? String(option.key) : String(index + 1);
+}
+
+/**
+ * Layout of a choice panel in video pixels
+ * The panel's top-left corner is at overlay.x/y; options are stacked under the prompt.
+ * @param {Object} overlay - Choice overlay
+ * @returns {{x: number, y: number, width: number, height: number, padding: number,
+ *   fontSize: number, promptY: number|null, timerY: number,
+ *   options: Array<{x: number, y: number, width: number, height: number}>}}
+ */
+export function choiceLayout(overlay) {
+  const style = overlay.style || {};
+  const fontSize = style.fontSize || 28;
+  const padding = style.padding || 16;
+  const gap = style.gap || 10;
+  const optionHeight = style.optionHeight || Math.round(fontSize * 1.8);
+  const width = overlay.width || 640;
+  const x = overlay.x || 0;
+  const y = overlay.y || 0;
+
+  let cursor = y + padding;
+  let promptY = null;
+  if (overlay.prompt) {
+    promptY = cursor;
+    cursor += Math.round(fontSize * 1.4) + gap;
+  }
+
+  const options = (overlay.options || []).map(() => {
+    const box = { x: x + padding, y: cursor, width: width - padding * 2, height: optionHeight };
+    cursor += optionHeight + gap;
+    return box;
+  });
+
+  // Countdown bar under the options
+  const timerY = cursor;
+  const height = timerY + 6 + padding - y;
+
+  return { x, y, width, height, padding, fontSize, promptY, timerY, options };
+}
+
+/**
+ * Option under a point
+ * @param {Object} overlay - Choice overlay
+ * @param {{x: number, y: number}} point - Point in the overlay's own coordinates (engine.toOverlayPoint)
+ * @param {number} margin - Extra hit margin in pixels
+ * @returns {number|null} Option index
+ */
+export function choiceOptionAt(overlay, point, margin = 0) {
+  const { options } = choiceLayout(overlay);
+  const index = options.findIndex(box =>
+    point.x >= box.x - margin && point.x <= box.x + box.width + margin &&
+    point.y >= box.y - margin && point.y <= box.y + box.height + margin
+  );
+  return index === -1 ? null : index;
+}
+
+export class StoryGraph {
+  /**
+   * @param {GIVEEngine} engine - Engine to steer
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.markers = new Map();   // name -> frame or timecode
+    this.segments = [];         // { id, frameStart, frameEnd, next, end }
+    this.selections = new Map(); // choice overlay id -> { index, timedOut }
+    this.focus = new Map();      // choice overlay id -> highlighted option index
+    this.currentSegment = null;
+
+    engine.internalEvents.on('frame', ({ frame, previousFrame, source }) => {
+      if (source === 'playback') {
+        this.checkTimeouts(previousFrame, frame);
+        // A timed-out choice may already have jumped somewhere else
+        if (this.engine.currentFrame === frame) this.checkSegmentEnd(previousFrame, frame);
+      }
+      this.updateSegment(this.engine.currentFrame);
+    });
+    engine.internalEvents.on('overlay:enter', ({ overlay }) => {
+      if (overlay.type === 'choice') this.rearm(overlay);
+    });
+    engine.internalEvents.on('project:loaded', () => this.reset());
+  }
+
+  /**
+   * Replace the markers and segments
+   * @param {Object} graph - { markers, segments } (e.g. a project)
+   */
+  load(graph = {}) {
+    this.markers = new Map(Object.entries(graph.markers || {}));
+    this.segments = (graph.segments || []).map(segment => ({ ...segment }));
+    this.currentSegment = null;
+  }
+
+  /**
+   * Remove all markers and segments
+   */
+  clear() {
+    this.load({});
+  }
+
+  /**
+   * Name a frame
+   * Overlays anchored at the marker move with it.
+   * @param {string} name - Marker name
+   * @param {number|string} frame - Frame or timecode
+   */
+  setMarker(name, frame) {
+    this.markers.set(name, frame);
+    this.engine.resolveAnchors();
+  }
+
+  /**
+   * Add or replace a segment
+   * Overlays anchored at the segment move with its start.
+   * @param {Object} segment - { id, frameStart, frameEnd, next, end }
+   */
+  setSegment(segment) {
+    if (!segment.id) {
+      throw new Error('GIVE Story: Segments need an id');
+    }
+    const index = this.segments.findIndex(s => s.id === segment.id);
+    if (index === -1) {
+      this.segments.push({ ...segment });
+    } else {
+      this.segments[index] = { ...segment };
+    }
+    this.engine.resolveAnchors();
+  }
+
+  /**
+   * Get a segment by ID
+   * @param {string} id - Segment ID
+   * @returns {Object|null}
+   */
+  getSegment(id) {
+    return this.segments.find(s => s.id === id) || null;
+  }
+
+  /**
+   * Segment containing a frame
+   * @param {number} frame - Frame number
+   * @returns {Object|null}
+   */
+  getSegmentAt(frame) {
+    return this.segments.find(s =>
+      frame >= this.toFrame(s.frameStart) && frame <= this.toFrame(s.frameEnd)
+    ) || null;
+  }
+
+  /**
+   * Frame number of a frame or timecode
+   */
+  toFrame(value) {
+    return typeof value === 'string' ? this.engine.timebase.timecodeToFrame(value) : value;
+  }
+
+  /**
+   * Resolve a target to a frame
+   * @param {number|string} target - Frame, timecode, marker name or segment ID
+   * @returns {number|null} Frame, or null if the target is unknown
+   */
+  resolveTarget(target) {
+    if (typeof target === 'number') return target;
+    if (typeof target !== 'string') return null;
+
+    if (this.markers.has(target)) return this.toFrame(this.markers.get(target));
+
+    const segment = this.getSegment(target);
+    if (segment) return this.toFrame(segment.frameStart);
+
+    // Anything else must be a timecode
+    if (/^\d+[:;]\d+[:;]\d+([:;.]\d+)?$/.test(target.trim())) {
+      return this.engine.timebase.timecodeToFrame(target);
+    }
+    return null;
+  }
+
+  /**
+   * Jump to a target
+   * @param {number|string} target - Frame, timecode, marker name or segment ID
+   * @returns {boolean} True if the target was found
+   */
+  goTo(target) {
+    const frame = this.resolveTarget(target);
+    if (frame === null) {
+      console.warn(`[GIVE] Unknown story target "${target}"`);
+      return false;
+    }
+    this.engine.seekToFrame(frame);
+    return true;
+  }
+
+  /**
+   * Edges between segments: `next` links and choice options
+   * @returns {Array<{from: string|null, to: string|null, via: string, target: *, overlay: Object|null, option: number|null}>}
+   */
+  getEdges() {
+    const segmentId = frame => {
+      const segment = frame === null ? null : this.getSegmentAt(frame);
+      return segment ? segment.id : null;
+    };
+    const edges = [];
+
+    for (const segment of this.segments) {
+      if (segment.next !== undefined && segment.next !== null) {
+        edges.push({ from: segment.id, to: segmentId(this.resolveTarget(segment.next)), via: 'next', target: segment.next, overlay: null, option: null });
+      }
+    }
+
+    for (const overlay of this.engine.overlays) {
+      if (overlay.type !== 'choice') continue;
+      (overlay.options || []).forEach((option, index) => {
+        edges.push({
+          from: segmentId(overlay.frameStart),
+          to: segmentId(this.resolveTarget(option.target)),
+          via: 'choice',
+          target: option.target,
+          overlay,
+          option: index
+        });
+      });
+    }
+
+    return edges;
+  }
+
+  /**
+   * Check the graph and choices for authoring mistakes
+   * @returns {Array<string>} Problems found (empty if none)
+   */
+  validate() {
+    const problems = [];
+    const ids = new Set();
+
+    for (const segment of this.segments) {
+      if (ids.has(segment.id)) problems.push(`Duplicate segment "${segment.id}"`);
+      ids.add(segment.id);
+
+      if (this.toFrame(segment.frameEnd) < this.toFrame(segment.frameStart)) {
+        problems.push(`Segment "${segment.id}" ends before it starts`);
+      }
+      if (segment.next !== undefined && segment.next !== null && this.resolveTarget(segment.next) === null) {
+        problems.push(`Segment "${segment.id}" has unknown next target "${segment.next}"`);
+      }
+    }
+
+    for (const overlay of this.engine.overlays) {
+      if (overlay.type !== 'choice') continue;
+
+      const options = overlay.options || [];
+      if (options.length < MIN_CHOICE_OPTIONS || options.length > MAX_CHOICE_OPTIONS) {
+        problems.push(`Choice "${overlay.id}" needs ${MIN_CHOICE_OPTIONS}-${MAX_CHOICE_OPTIONS} options`);
+      }
+      options.forEach((option, index) => {
+        if (option.target !== undefined && option.target !== null && this.resolveTarget(option.target) === null) {
+          problems.push(`Choice "${overlay.id}" option ${index + 1} has unknown target "${option.target}"`);
+        }
+      });
+      if (overlay.default !== undefined && !options[overlay.default]) {
+        problems.push(`Choice "${overlay.id}" default ${overlay.default} is not an option`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Markers and segments for saving in a project
+   * @returns {Object}
+   */
+  toJSON() {
+    const graph = {};
+    if (this.markers.size > 0) graph.markers = Object.fromEntries(this.markers);
+    if (this.segments.length > 0) graph.segments = this.segments.map(segment => ({ ...segment }));
+    return graph;
+  }
+
+  /**
+   * Choices on screen still waiting for a pick
+   * @returns {Array<Object>}
+   */
+  getOpenChoices() {
+    return this.engine.activeOverlays.filter(overlay => this.isOpen(overlay));
+  }
+
+  /**
+   * Whether an overlay is an interactive choice without a pick
+   */
+  isOpen(overlay) {
+    return overlay.type === 'choice' && overlay.interactive !== false && !this.selections.has(overlay.id) &&
+      this.engine.checkCondition(overlay);
+  }
+
+  /**
+   * Highlighted option of a choice (the default until the player moves it)
+   * @param {Object} overlay - Choice overlay
+   * @returns {number}
+   */
+  getFocus(overlay) {
+    if (this.focus.has(overlay.id)) return this.focus.get(overlay.id);
+    return overlay.default !== undefined ? overlay.default : 0;
+  }
+
+  /**
+   * Pick made for a choice
+   * @param {string} id - Choice overlay ID
+   * @returns {{index: number|null, timedOut: boolean}|null}
+   */
+  getSelection(id) {
+    return this.selections.get(id) || null;
+  }
+
+  /**
+   * Handle a key press (or gamepad button) for the open choice
+   * @param {KeyboardEvent|{key: string}} event - Key event
+   * @returns {boolean} True if the key was used
+   */
+  handleKey(event) {
+    if (event.repeat) return false;
+
+    const overlay = this.getOpenChoices()[0];
+    if (!overlay) return false;
+
+    const key = normalizeKey(event.key);
+    const options = overlay.options || [];
+
+    const picked = options.findIndex((option, index) => normalizeKey(optionKey(option, index)) === key);
+    if (picked !== -1) {
+      this.choose(overlay, picked);
+      return true;
+    }
+
+    // Player controls (qte.ignoreKeys, e.g. Space for pause) can still be an option's own key,
+    // but never move the focus or confirm it. Gamepad buttons aren't player controls, even
+    // when mapped to one of those keys (A is Space by default).
+    if (!event.gamepad && this.engine.qte.ignoreKeys.has(key)) return false;
+
+    if (PREVIOUS_KEYS.includes(key) || NEXT_KEYS.includes(key)) {
+      const step = PREVIOUS_KEYS.includes(key) ? -1 : 1;
+      this.focus.set(overlay.id, (this.getFocus(overlay) + step + options.length) % options.length);
+      return true;
+    }
+
+    if (CONFIRM_KEYS.includes(key)) {
+      this.choose(overlay, this.getFocus(overlay));
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a click or tap on a choice (a pointer:hit on a choice overlay)
+   * @param {Object} overlay - Choice under the pointer
+   * @param {{x: number, y: number}} point - Point in video pixels
+   * @returns {boolean} True if an option was picked
+   */
+  handlePointerDown(overlay, point) {
+    if (!this.isOpen(overlay)) return false;
+
+    const local = this.engine.toOverlayPoint(point, overlay); // Options are laid out before animation
+    const index = local ? choiceOptionAt(overlay, local) : null;
+    if (index === null) return false;
+
+    this.choose(overlay, index);
+    return true;
+  }
+
+  /**
+   * Pick an option and jump to its target
+   * @param {Object} overlay - Choice overlay
+   * @param {number|null} index - Option index (null = timed out with no default)
+   * @param {boolean} timedOut - Whether the pick was made by the timeout
+   */
+  choose(overlay, index, timedOut = false) {
+    const option = index === null ? null : (overlay.options || [])[index] || null;
+    const target = option ? option.target : null;
+    const frame = this.engine.currentFrame;
+
+    this.selections.set(overlay.id, { index: option ? index : null, timedOut });
+    this.engine.emit('choice', { overlay, option, index: option ? index : null, target, timedOut, frame });
+
+    if (target !== undefined && target !== null) {
+      this.goTo(target);
+    } else {
+      this.engine.render();
+    }
+  }
+
+  /**
+   * Take the default branch of choices whose window closed during playback
+   * @param {number} previousFrame - Frame before this playback step
+   * @param {number} frame - Current frame
+   */
+  checkTimeouts(previousFrame, frame) {
+    if (frame <= previousFrame) return;
+
+    for (const overlay of this.engine.getOverlaysInRange(previousFrame, frame - 1)) {
+      if (overlay.frameEnd < frame && this.isOpen(overlay)) {
+        this.choose(overlay, overlay.default !== undefined ? overlay.default : null, true);
+        return; // The default branch may have moved playback
+      }
+    }
+  }
+
+  /**
+   * Follow `next` / stop at `end` when playback runs off a segment
+   * @param {number} previousFrame - Frame before this playback step
+   * @param {number} frame - Current frame
+   */
+  checkSegmentEnd(previousFrame, frame) {
+    const segment = this.getSegmentAt(previousFrame);
+    if (!segment) return;
+
+    const frameEnd = this.toFrame(segment.frameEnd);
+    if (frame <= frameEnd) return;
+
+    if (segment.end) {
+      this.engine.pause();
+      this.engine.seekToFrame(frameEnd);
+      this.engine.emit('story:end', { segment, frame: frameEnd });
+    } else if (segment.next !== undefined && segment.next !== null) {
+      this.goTo(segment.next);
+    }
+  }
+
+  /**
+   * Emit segment:enter when the current frame moves into another segment
+   * @param {number} frame - Current frame
+   */
+  updateSegment(frame) {
+    const segment = this.getSegmentAt(frame);
+    if (segment === this.currentSegment) return;
+
+    const previousSegment = this.currentSegment;
+    this.currentSegment = segment;
+    if (segment) {
+      this.engine.emit('segment:enter', { segment, previousSegment, frame });
+    }
+  }
+
+  /**
+   * Let a choice be answered again
+   * @param {Object} overlay - Choice overlay
+   */
+  rearm(overlay) {
+    this.selections.delete(overlay.id);
+    this.focus.delete(overlay.id);
+  }
+
+  /**
+   * Forget all picks
+   */
+  reset() {
+    this.selections.clear();
+    this.focus.clear();
+    this.currentSegment = null;
+  }
+}
+
+export default StoryGraph;
@@ -0,0 +1,420 @@
+/**
+ * GIVE SubStation
+ *
+ * Advanced SubStation Alpha (.ass) import. Named `[V4+ Styles]` and `Dialogue`
+ * lines become `text` overlays (or `caption` overlays for opaque-box styles),
+ * scaled from the script's PlayResX/PlayResY to the video's size:
+ *
+ * Style: Sign,Arial,48,&H0000FFFF,&H000000FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,2,0,8,10,10,30,1
+ * Dialogue: 0,0:00:01.50,0:00:03.25,Sign,,0,0,0,,{\pos(960,200)\fad(200,300)\c&H00FF00&}Nosferatu\Nwas here
+ *
+ * Supported: style fonts, colors, bold/italic, outline, alignment and margins, and
+ * the \pos, \an, \a, \c/\1c, \3c, \alpha/\1a, \fs, \fn, \b, \i, \bord, \fad and \r
+ * overrides. Everything else (\move, \t, karaoke, rotation, clips, drawings,
+ * unsupported style fields...) is listed in `warnings` instead of being silently
+ * dropped. Overrides in the middle of a line apply to the whole line.
+ */
+
+// VSFilter's script resolution when PlayResX/PlayResY are missing
+const DEFAULT_PLAY_RES = { x: 384, y: 288 };
+
+// Override tags by name, longest first so "fscx" isn't read as "fs"
+const OVERRIDE_TAGS = [
+  'xbord', 'ybord', 'xshad', 'yshad', 'alpha', 'iclip', 'fscx', 'fscy', 'fade', 'move', 'clip',
+  'blur', 'bord', 'shad', 'pos', 'org', 'fsp', 'frx', 'fry', 'frz', 'fax', 'fay', 'pbo', 'fad',
+  'an', 'fs', 'fn', 'fe', 'fr', 'be', 'kf', 'ko', '1c', '2c', '3c', '4c', '1a', '2a', '3a', '4a',
+  'k', 'K', 't', 'p', 'q', 'r', 'c', 'a', 'b', 'i', 'u', 's'
+];
+
+const SUPPORTED_TAGS = ['pos', 'an', 'a', 'c', '1c', '3c', 'alpha', '1a', 'fs', 'fn', 'b', 'i', 'bord', 'fad', 'r'];
+
+// Style fields with no GIVE equivalent, reported when they differ from these defaults
+const STYLE_DEFAULTS = { Underline: '0', StrikeOut: '0', ScaleX: '100', ScaleY: '100', Spacing: '0', Angle: '0', Shadow: '0' };
+
+const TAG_PATTERN = /\\([^\\(]*)(?:\(([^)]*)\))?/g;
+
+/**
+ * Parse an ASS time ("H:MM:SS.cc")
+ * @param {string} value - Time
+ * @returns {number} Seconds
+ */
+export function parseAssTime(value) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`GIVE SubStation: Invalid time "${value}"`);
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Parse an ASS color (&HAABBGGRR, alpha 00 = opaque)
+ * @param {string} value - Color, e.g. "&H0000FFFF" or "&HFF00&"
+ * @returns {{hex: string, alpha: number}} CSS hex and opacity (0-1)
+ */
+export function parseAssColor(value) {
+  const digits = String(value).trim().replace(/^&H/i, '').replace(/&$/, '').padStart(8, '0');
+  if (!/^[0-9a-f]{8}$/i.test(digits)) {
+    throw new Error(`GIVE SubStation: Invalid color "${value}"`);
+  }
+  const [a, b, g, r] = [0, 2, 4, 6].map(i => digits.slice(i, i + 2).toLowerCase());
+  return { hex: `#${r}${g}${b}`, alpha: 1 - parseInt(a, 16) / 255 };
+}
+
+/**
+ * Parse an ASS alpha (&HAA&, 00 = opaque)
+ * @param {string} value - Alpha
+ * @returns {number} Opacity (0-1)
+ */
+function parseAssAlpha(value) {
+  const digits = String(value).replace(/^&H/i, '').replace(/&$/, '');
+  return 1 - parseInt(digits, 16) / 255;
+}
+
+/**
+ * CSS color for an ASS color
+ */
+function cssColor({ hex, alpha }) {
+  if (alpha >= 1) return hex;
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 100) / 100})`;
+}
+
+/**
+ * Legacy SSA \a alignment to numpad \an alignment
+ */
+function legacyAlignment(value) {
+  if (value >= 9) return value - 5; // Middle row
+  if (value >= 5) return value + 2; // Top row
+  return value;
+}
+
+/**
+ * Split the sections of an .ass file
+ * @param {string} text - File contents
+ * @returns {{info: Object, styles: Array<Object>, events: Array<Object>, legacy: boolean, warnings: Array<string>}}
+ */
+export function parseASS(text) {
+  const info = {};
+  const styles = [];
+  const events = [];
+  const warnings = [];
+  let section = null;
+  let legacy = false;
+  const formats = {};
+
+  const lines = String(text).replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+  if (!lines.some(line => line.trim() === '[Script Info]')) {
+    throw new Error('GIVE SubStation: Missing [Script Info] section');
+  }
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (line === '' || line.startsWith(';')) return;
+
+    const header = /^\[(.+)\]$/.exec(line);
+    if (header) {
+      section = header[1];
+      if (section === 'V4 Styles') legacy = true;
+      if (!['Script Info', 'V4+ Styles', 'V4 Styles', 'Events'].includes(section)) {
+        warnings.push(`[${section}] section ignored`);
+      }
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const key = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim();
+
+    if (section === 'Script Info') {
+      info[key] = value;
+    } else if (key === 'Format') {
+      formats[section] = value.split(',').map(field => field.trim());
+    } else if ((section === 'V4+ Styles' || section === 'V4 Styles') && key === 'Style') {
+      styles.push(readFields(formats[section], value, index));
+    } else if (section === 'Events' && key === 'Dialogue') {
+      events.push({ ...readFields(formats.Events, value, index), lineNumber: index + 1 });
+    }
+  });
+
+  return { info, styles, events, legacy, warnings };
+}
+
+/**
+ * Map a comma-separated line onto its section's Format fields
+ * The last field (Text) keeps any commas.
+ */
+function readFields(format, value, index) {
+  if (!format) {
+    throw new Error(`GIVE SubStation: Line ${index + 1} comes before its section's Format line`);
+  }
+  const parts = value.split(',');
+  const fields = {};
+  format.forEach((name, i) => {
+    fields[name] = i === format.length - 1 ? parts.slice(i).join(',') : (parts[i] || '').trim();
+  });
+  return fields;
+}
+
+/**
+ * Read override tags and plain text from a dialogue line
+ * @param {string} text - Dialogue text
+ * @returns {{tags: Array<{name: string, args: Array<string>, raw: string}>, content: string, midLine: boolean}}
+ */
+export function parseOverrides(text) {
+  const tags = [];
+  let midLine = false;
+
+  const content = text.replace(/\{([^}]*)\}/g, (block, body, offset) => {
+    if (offset > 0 && body.includes('\\')) midLine = true;
+    for (const match of body.matchAll(TAG_PATTERN)) {
+      const [raw, head, parens] = match;
+      if (head === '' && parens === undefined) continue;
+      const name = OVERRIDE_TAGS.find(tag => head.startsWith(tag)) || head;
+      const rest = head.slice(name.length);
+      const args = parens !== undefined ? parens.split(',').map(arg => arg.trim()) : [rest.trim()];
+      tags.push({ name, args, raw });
+    }
+    return '';
+  });
+
+  return {
+    tags,
+    content: content.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' ').trim(),
+    midLine
+  };
+}
+
+/**
+ * Convert an .ass script to GIVE overlay definitions
+ * @param {string} text - File contents
+ * @param {Object} options - Options
+ * @param {number} options.videoWidth - Target width in pixels
+ * @param {number} options.videoHeight - Target height in pixels
+ * @param {function(number): number} options.secondsToFrames - Frame for a time (nearest boundary)
+ * @param {number} options.offset - Seconds added to every line's times
+ * @returns {{overlays: Array<Object>, warnings: Array<string>}}
+ */
+export function assToOverlays(text, { videoWidth, videoHeight, secondsToFrames, offset = 0 }) {
+  const { info, styles, events, legacy, warnings } = parseASS(text);
+
+  // Script resolution -> video pixels
+  let playResX = Number(info.PlayResX) || 0;
+  let playResY = Number(info.PlayResY) || 0;
+  if (!playResX && !playResY) {
+    playResX = DEFAULT_PLAY_RES.x;
+    playResY = DEFAULT_PLAY_RES.y;
+    warnings.push(`No PlayResX/PlayResY; assuming ${playResX}x${playResY}`);
+  } else if (!playResX || !playResY) {
+    playResX = playResX || Math.round(playResY * 4 / 3);
+    playResY = playResY || Math.round(playResX * 3 / 4);
+    warnings.push(`Missing PlayRes size; assuming ${playResX}x${playResY}`);
+  }
+  const width = videoWidth || playResX;
+  const height = videoHeight || playResY;
+  const scaleX = width / playResX;
+  const scaleY = height / playResY;
+
+  const styleMap = new Map();
+  for (const style of styles) {
+    styleMap.set(style.Name, readStyle(style, legacy, warnings));
+  }
+  const fallbackStyle = readStyle({}, false, []);
+
+  const overlays = [];
+  for (const event of events) {
+    const where = `Line ${event.lineNumber}`;
+    let start;
+    let end;
+    try {
+      start = parseAssTime(event.Start);
+      end = parseAssTime(event.End);
+    } catch (error) {
+      warnings.push(`${where}: ${error.message.replace('GIVE SubStation: ', '')}`);
+      continue;
+    }
+
+    let style = styleMap.get(event.Style);
+    if (!style) {
+      warnings.push(`${where}: unknown style "${event.Style}", using defaults`);
+      style = fallbackStyle;
+    }
+    if (event.Effect) warnings.push(`${where}: unsupported effect "${event.Effect}" ignored`);
+
+    const { tags, content, midLine } = parseOverrides(event.Text || '');
+    if (content === '') continue;
+    if (midLine) warnings.push(`${where}: mid-line overrides applied to the whole line`);
+
+    // Overrides on top of the style
+    const line = { ...style, position: null, fade: null };
+    for (const tag of tags) {
+      if (!SUPPORTED_TAGS.includes(tag.name)) {
+        warnings.push(`${where}: unsupported tag ${tag.raw} dropped`);
+        continue;
+      }
+      try {
+        applyOverride(line, tag, styleMap, style);
+      } catch (error) {
+        warnings.push(`${where}: ${tag.raw} ignored (${error.message.replace('GIVE SubStation: ', '')})`);
+      }
+    }
+
+    const marginL = Number(event.MarginL) || line.marginL;
+    const marginR = Number(event.MarginR) || line.marginR;
+    const marginV = Number(event.MarginV) || line.marginV;
+    const column = (line.alignment - 1) % 3; // 0 left, 1 center, 2 right
+    const row = Math.floor((line.alignment - 1) / 3); // 0 bottom, 1 middle, 2 top
+
+    // Anchor point in script pixels
+    const anchor = line.position || {
+      x: column === 0 ? marginL : column === 2 ? playResX - marginR : (marginL + playResX - marginR) / 2,
+      y: row === 0 ? playResY - marginV : row === 2 ? marginV : playResY / 2
+    };
+
+    const fontSize = Math.round(line.fontSize * scaleY);
+    const lineCount = content.split('\n').length;
+    const frameStart = secondsToFrames(start + offset);
+
+    const overlay = {
+      type: line.box ? 'caption' : 'text',
+      content,
+      frameStart,
+      frameEnd: Math.max(frameStart, secondsToFrames(end + offset) - 1),
+      style: {
+        fontSize,
+        fontFamily: line.fontFamily,
+        color: cssColor(line.color)
+      }
+    };
+
+    const textAlign = ['left', 'center', 'right'][column];
+    if (line.box) {
+      const padding = Math.max(4, Math.round(line.outline * scaleY));
+      const boxHeight = fontSize * 1.2 * lineCount + padding * 2;
+      overlay.x = Math.round(anchor.x * scaleX);
+      overlay.align = textAlign;
+      overlay.y = Math.round(anchor.y * scaleY - boxHeight * [1, 0.5, 0][row]);
+      overlay.style.backgroundColor = cssColor(line.back);
+      overlay.style.padding = padding;
+    } else {
+      const blockHeight = fontSize * 1.2 * lineCount;
+      overlay.x = Math.round(anchor.x * scaleX);
+      overlay.y = Math.round(anchor.y * scaleY - blockHeight * [1, 0.5, 0][row]);
+      overlay.style.textAlign = textAlign;
+      overlay.style.fontWeight = line.bold ? 'bold' : 'normal';
+      if (line.outline > 0) {
+        overlay.style.strokeColor = cssColor(line.outlineColor);
+        overlay.style.strokeWidth = Math.max(1, Math.round(line.outline * 2 * scaleY));
+      }
+    }
+    if (line.italic) overlay.style.fontStyle = 'italic';
+
+    if (line.fade) {
+      overlay.transition = {};
+      if (line.fade.in > 0) {
+        overlay.transition.in = 'fade';
+        overlay.transition.inFrames = Math.max(1, secondsToFrames(line.fade.in / 1000));
+      }
+      if (line.fade.out > 0) {
+        overlay.transition.out = 'fade';
+        overlay.transition.outFrames = Math.max(1, secondsToFrames(line.fade.out / 1000));
+      }
+    }
+
+    overlays.push({ overlay, layer: Number(event.Layer) || 0 });
+  }
+
+  // Higher layers draw on top
+  overlays.sort((a, b) => a.layer - b.layer);
+  return { overlays: overlays.map(entry => entry.overlay), warnings };
+}
+
+/**
+ * Read a [V4+ Styles] line into drawing settings
+ */
+function readStyle(style, legacy, warnings) {
+  const color = (value, fallback) => (value ? parseAssColor(value) : parseAssColor(fallback));
+  const alignment = Number(style.Alignment) || 2;
+
+  for (const [field, neutral] of Object.entries(STYLE_DEFAULTS)) {
+    if (style[field] !== undefined && style[field] !== neutral && Number(style[field]) !== Number(neutral)) {
+      warnings.push(`Style "${style.Name}": ${field} ${style[field]} not supported`);
+    }
+  }
+
+  return {
+    fontFamily: style.Fontname || 'sans-serif',
+    fontSize: Number(style.Fontsize) || 20,
+    color: color(style.PrimaryColour, '&H00FFFFFF'),
+    outlineColor: color(style.OutlineColour, '&H00000000'),
+    back: color(style.BackColour, '&H80000000'),
+    bold: style.Bold === '-1' || style.Bold === '1',
+    italic: style.Italic === '-1' || style.Italic === '1',
+    outline: Number(style.Outline) || 0,
+    box: style.BorderStyle === '3',
+    alignment: legacy ? legacyAlignment(alignment) : alignment,
+    marginL: Number(style.MarginL) || 0,
+    marginR: Number(style.MarginR) || 0,
+    marginV: Number(style.MarginV) || 0
+  };
+}
+
+/**
+ * Apply one supported override tag to a line's settings
+ */
+function applyOverride(line, { name, args }, styleMap, baseStyle) {
+  const [first] = args;
+  const number = () => {
+    const value = Number(first);
+    if (!Number.isFinite(value)) throw new Error(`GIVE SubStation: Expected a number, got "${first}"`);
+    return value;
+  };
+
+  switch (name) {
+    case 'pos':
+      if (args.length !== 2) throw new Error('GIVE SubStation: \\pos needs x and y');
+      line.position = { x: Number(args[0]), y: Number(args[1]) };
+      break;
+    case 'an':
+      line.alignment = number();
+      break;
+    case 'a':
+      line.alignment = legacyAlignment(number());
+      break;
+    case 'c':
+    case '1c':
+      line.color = { ...parseAssColor(first), alpha: line.color.alpha };
+      break;
+    case '3c':
+      line.outlineColor = { ...parseAssColor(first), alpha: line.outlineColor.alpha };
+      break;
+    case 'alpha':
+    case '1a':
+      line.color = { ...line.color, alpha: parseAssAlpha(first) };
+      break;
+    case 'fs':
+      line.fontSize = number();
+      break;
+    case 'fn':
+      line.fontFamily = first;
+      break;
+    case 'b':
+      line.bold = first !== '0';
+      break;
+    case 'i':
+      line.italic = first === '1';
+      break;
+    case 'bord':
+      line.outline = number();
+      break;
+    case 'fad':
+      if (args.length !== 2) throw new Error('GIVE SubStation: \\fad needs fade-in and fade-out times');
+      line.fade = { in: Number(args[0]) || 0, out: Number(args[1]) || 0 };
+      break;
+    case 'r':
+      Object.assign(line, first && styleMap.has(first) ? styleMap.get(first) : baseStyle);
+      break;
+  }
+}
+
+export default assToOverlays;
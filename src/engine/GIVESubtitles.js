@@ -0,0 +1,280 @@
+/**
+ * GIVE Subtitles
+ *
+ * SubRip (.srt) and WebVTT (.vtt) parsing and serializing. Cues are plain
+ * objects in seconds; GIVEScript turns them into caption overlays and back:
+ *
+ * { id: "1", start: 1.5, end: 3.25, text: "Line one\nLine two", settings: { align: "start", line: "10%" } }
+ *
+ * Markup (<i>, <b>, <c.x>, <v Speaker>, SRT {\an8}-style tags, inline VTT
+ * timestamps) is stripped and entities decoded, since captions draw plain text.
+ * Anything dropped or not understood is reported in `warnings` rather than
+ * failing the whole file.
+ */
+
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/;
+const TIMING_LINE = /^(\S+)\s+-->\s+(\S+)(.*)$/;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '‎', '&rlm;': '‏', '&quot;': '"', '&apos;': "'" };
+
+// VTT cue settings GIVE can place a caption with
+export const PLACEMENT_SETTINGS = ['position', 'line', 'align'];
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Parse a subtitle timestamp
+ * @param {string} value - "HH:MM:SS,mmm" (SRT) or "[HH:]MM:SS.mmm" (VTT)
+ * @returns {number} Seconds
+ */
+export function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`GIVE Subtitles: Invalid timestamp "${value}"`);
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} time - Seconds
+ * @param {string} separator - ',' for SRT, '.' for VTT
+ * @returns {string} "HH:MM:SS,mmm"
+ */
+export function formatTimestamp(time, separator = ',') {
+  const totalMs = Math.max(0, Math.round(time * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Plain text of a cue payload
+ * @param {string} payload - Cue text with markup
+ * @returns {string}
+ */
+function cueText(payload) {
+  return payload
+    .replace(/<[^>]*>/g, '')   // <i>, </b>, <c.yellow>, <v Bob>, <00:00:01.000>, <font color="...">
+    .replace(/\{\\[^}]*\}/g, '') // {\an8} and other ASS-style tags in SRT
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm|quot|apos);/g, entity => ENTITIES[entity])
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Split a file into blank-line separated blocks of lines
+ */
+function blocks(text) {
+  return String(text)
+    .replace(/^﻿/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => block.split('\n').filter(line => line.trim() !== ''))
+    .filter(lines => lines.length > 0);
+}
+
+/**
+ * Parse a SubRip file
+ * @param {string} text - .srt contents
+ * @returns {{cues: Array<Object>, warnings: Array<string>}}
+ */
+export function parseSRT(text) {
+  const cues = [];
+  const warnings = [];
+
+  for (const lines of blocks(text)) {
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+    if (timingIndex === -1) {
+      warnings.push(`Skipped block without a timing line: "${lines[0]}"`);
+      continue;
+    }
+
+    const [, start, end] = TIMING_LINE.exec(lines[timingIndex]);
+    try {
+      const payload = lines.slice(timingIndex + 1).join('\n');
+      if (/<[^>]+>|\{\\[^}]*\}/.test(payload)) {
+        warnings.push(`Cue ${lines[0]}: markup removed`);
+      }
+      cues.push({
+        id: timingIndex > 0 ? lines[0].trim() : String(cues.length + 1),
+        start: parseTimestamp(start),
+        end: parseTimestamp(end),
+        text: cueText(payload),
+        settings: {}
+      });
+    } catch (error) {
+      warnings.push(error.message.replace('GIVE Subtitles: ', ''));
+    }
+  }
+
+  return { cues, warnings };
+}
+
+/**
+ * Parse VTT cue settings ("align:start line:10% position:20%,line-left")
+ * @param {string} source - Settings after the end timestamp
+ * @returns {Object} Setting name -> value
+ */
+export function parseCueSettings(source) {
+  const settings = {};
+  for (const part of String(source).trim().split(/\s+/)) {
+    const colon = part.indexOf(':');
+    if (colon > 0) settings[part.slice(0, colon)] = part.slice(colon + 1);
+  }
+  return settings;
+}
+
+/**
+ * Parse a WebVTT file
+ * @param {string} text - .vtt contents
+ * @returns {{cues: Array<Object>, warnings: Array<string>}}
+ */
+export function parseVTT(text) {
+  const all = blocks(text);
+  if (all.length === 0 || !/^WEBVTT(\s|$)/.test(all[0][0])) {
+    throw new Error('GIVE Subtitles: Missing WEBVTT header');
+  }
+
+  const cues = [];
+  const warnings = [];
+
+  // The header block may carry metadata lines; cues start after it
+  for (const lines of all.slice(1)) {
+    const first = lines[0];
+    if (/^(NOTE|STYLE|REGION)(\s|$)/.test(first)) {
+      if (!first.startsWith('NOTE')) warnings.push(`${first.split(/\s/)[0]} block ignored`);
+      continue;
+    }
+
+    const timingIndex = TIMING_LINE.test(first) ? 0 : 1;
+    const timing = TIMING_LINE.exec(lines[timingIndex] || '');
+    if (!timing) {
+      warnings.push(`Skipped block without a timing line: "${first}"`);
+      continue;
+    }
+
+    const [, start, end, rest] = timing;
+    try {
+      const settings = parseCueSettings(rest);
+      const id = timingIndex === 1 ? first.trim() : String(cues.length + 1);
+      for (const name of Object.keys(settings)) {
+        if (!PLACEMENT_SETTINGS.includes(name)) warnings.push(`Cue ${id}: "${name}" setting ignored`);
+      }
+      cues.push({
+        id,
+        start: parseTimestamp(start),
+        end: parseTimestamp(end),
+        text: cueText(lines.slice(timingIndex + 1).join('\n')),
+        settings
+      });
+    } catch (error) {
+      warnings.push(error.message.replace('GIVE Subtitles: ', ''));
+    }
+  }
+
+  return { cues, warnings };
+}
+
+/**
+ * Parse SRT or VTT, detected from the WEBVTT header unless given
+ * @param {string} text - File contents
+ * @param {string} format - 'srt' or 'vtt' (optional)
+ * @returns {{cues: Array<Object>, warnings: Array<string>, format: string}}
+ */
+export function parseSubtitles(text, format) {
+  const detected = format || (/^﻿?WEBVTT/.test(String(text)) ? 'vtt' : 'srt');
+  if (detected !== 'srt' && detected !== 'vtt') {
+    throw new Error(`GIVE Subtitles: Unknown format "${format}" (use "srt" or "vtt")`);
+  }
+  const result = detected === 'vtt' ? parseVTT(text) : parseSRT(text);
+  return { ...result, format: detected };
+}
+
+/**
+ * Serialize cues as SubRip
+ * @param {Array<Object>} cues - Cues ({start, end, text})
+ * @returns {string}
+ */
+export function formatSRT(cues) {
+  return cues.map((cue, index) =>
+    `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
+
+/**
+ * Serialize cues as WebVTT (with their settings)
+ * @param {Array<Object>} cues - Cues ({id, start, end, text, settings})
+ * @returns {string}
+ */
+export function formatVTT(cues) {
+  const body = cues.map((cue) => {
+    const settings = Object.entries(cue.settings || {}).map(([name, value]) => ` ${name}:${value}`).join('');
+    const id = cue.id !== undefined ? `${cue.id}\n` : '';
+    // "-->" can't appear in a cue payload
+    const text = cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+    return `${id}${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${settings}\n${text}\n`;
+  });
+  return ['WEBVTT\n', ...body].join('\n');
+}
+
+/**
+ * Caption placement for VTT cue settings
+ * `position` anchors the caption horizontally (by `align`), `line` sets its top as
+ * a percentage, or a line number counted from the top (negative: from the bottom).
+ * @param {Object} settings - Parsed cue settings
+ * @param {{width: number, height: number, lineHeight: number}} frame - Video size and caption line height
+ * @returns {{x: number, y: number, align: string}} Only the fields the settings decide
+ */
+export function cuePlacement(settings, { width, height, lineHeight }) {
+  const placement = {};
+  const align = { start: 'left', left: 'left', center: 'center', middle: 'center', end: 'right', right: 'right' }[settings.align];
+
+  if (settings.position !== undefined) {
+    placement.x = Math.round(parseFloat(settings.position) / 100 * width);
+  } else if (align === 'left') {
+    placement.x = 0;
+  } else if (align === 'right') {
+    placement.x = width;
+  }
+  if (placement.x !== undefined) placement.align = align || 'center';
+
+  if (settings.line !== undefined && settings.line !== 'auto') {
+    const line = settings.line.split(',')[0];
+    if (line.endsWith('%')) {
+      placement.y = Math.round(parseFloat(line) / 100 * height);
+    } else {
+      const number = parseInt(line, 10);
+      placement.y = Math.round(number >= 0 ? number * lineHeight : height + number * lineHeight);
+    }
+  }
+
+  return placement;
+}
+
+/**
+ * VTT cue settings for a placed caption (inverse of cuePlacement)
+ * @param {Object} overlay - Caption overlay
+ * @param {{width: number, height: number}} frame - Video size
+ * @returns {Object} Cue settings
+ */
+export function placementSettings(overlay, { width, height }) {
+  const settings = {};
+  if (!width || !height) return settings;
+
+  if (overlay.x !== undefined) {
+    settings.position = `${round(overlay.x / width * 100)}%`;
+    settings.align = { left: 'start', center: 'center', right: 'end' }[overlay.align || 'left'];
+  }
+  if (overlay.y !== undefined) {
+    settings.line = `${round(overlay.y / height * 100)}%`;
+  }
+  return settings;
+}
+
+export default parseSubtitles;
@@ -0,0 +1,238 @@
+/**
+ * GIVE Sync
+ *
+ * Strategies for keeping overlay rendering locked to the presented video frame.
+ *
+ * - VideoFrameCallbackSync uses requestVideoFrameCallback, whose metadata carries
+ *   the exact media time of the frame being composited.
+ * - AnimationFrameSync is the fallback: it polls video.currentTime every
+ *   requestAnimationFrame, which can lag or lead the presented frame.
+ *
+ * Both collect statistics so sync can be verified on real footage:
+ * drift (frames between video.currentTime and the presented frame, frame-callback
+ * strategy only), skipped frames (frame numbers jumped over between callbacks)
+ * and dropped frames (frames the compositor never presented).
+ */
+
+export const SYNC_STRATEGIES = ['auto', 'video-frame-callback', 'animation-frame'];
+
+/**
+ * Check whether a video element supports requestVideoFrameCallback
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {boolean}
+ */
+export function supportsVideoFrameCallback(video) {
+  return !!video && typeof video.requestVideoFrameCallback === 'function';
+}
+
+/**
+ * Base class for sync strategies
+ */
+export class FrameSync {
+  /**
+   * @param {HTMLVideoElement} video - Video element to follow
+   * @param {function(number): number} toFrame - Converts media time (seconds) to a frame number
+   * @param {function(number): void} onFrame - Called with the frame to render
+   */
+  constructor(video, toFrame, onFrame) {
+    this.video = video;
+    this.toFrame = toFrame;
+    this.onFrame = onFrame;
+    this.running = false;
+    this.lastFrame = null;
+    this.resetStats();
+  }
+
+  /**
+   * Name reported in stats
+   */
+  get name() {
+    return 'none';
+  }
+
+  /**
+   * Start following the video
+   */
+  start() {
+    this.running = true;
+    this.lastFrame = null;
+  }
+
+  /**
+   * Stop following the video
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Reset collected statistics
+   */
+  resetStats() {
+    this.stats = {
+      samples: 0,
+      totalAbsDrift: 0,
+      maxDriftFrames: 0,
+      lastDriftFrames: 0,
+      skippedFrames: 0,
+      droppedFrames: 0
+    };
+  }
+
+  /**
+   * Get a snapshot of the collected statistics
+   * @returns {{strategy: string, samples: number, meanDriftFrames: number, maxDriftFrames: number,
+   *   lastDriftFrames: number, skippedFrames: number, droppedFrames: number}}
+   */
+  getStats() {
+    const { samples, totalAbsDrift, maxDriftFrames, lastDriftFrames, skippedFrames, droppedFrames } = this.stats;
+    return {
+      strategy: this.name,
+      samples,
+      meanDriftFrames: samples > 0 ? totalAbsDrift / samples : 0,
+      maxDriftFrames,
+      lastDriftFrames,
+      skippedFrames,
+      droppedFrames
+    };
+  }
+
+  /**
+   * Record a drift measurement in frames (signed: positive = currentTime ahead)
+   */
+  recordDrift(driftFrames) {
+    this.stats.samples++;
+    this.stats.totalAbsDrift += Math.abs(driftFrames);
+    this.stats.lastDriftFrames = driftFrames;
+    if (Math.abs(driftFrames) > Math.abs(this.stats.maxDriftFrames)) {
+      this.stats.maxDriftFrames = driftFrames;
+    }
+  }
+
+  /**
+   * Deliver a frame, tracking frames skipped since the previous one
+   */
+  emitFrame(frame) {
+    if (this.lastFrame !== null && frame > this.lastFrame + 1) {
+      this.stats.skippedFrames += frame - this.lastFrame - 1;
+    }
+    this.lastFrame = frame;
+    this.onFrame(frame);
+  }
+}
+
+/**
+ * Sync using requestVideoFrameCallback media-time metadata
+ */
+export class VideoFrameCallbackSync extends FrameSync {
+  constructor(video, toFrame, onFrame) {
+    super(video, toFrame, onFrame);
+    this.callbackId = null;
+    this.lastPresentedFrames = null;
+    this.handleVideoFrame = this.handleVideoFrame.bind(this);
+  }
+
+  get name() {
+    return 'video-frame-callback';
+  }
+
+  start() {
+    if (this.running) return;
+    super.start();
+    this.lastPresentedFrames = null;
+    this.callbackId = this.video.requestVideoFrameCallback(this.handleVideoFrame);
+  }
+
+  stop() {
+    super.stop();
+    if (this.callbackId !== null) {
+      this.video.cancelVideoFrameCallback(this.callbackId);
+      this.callbackId = null;
+    }
+  }
+
+  /**
+   * Handle a presented video frame
+   * @param {DOMHighResTimeStamp} now - Callback time
+   * @param {VideoFrameCallbackMetadata} metadata - Frame metadata
+   */
+  handleVideoFrame(now, metadata) {
+    if (!this.running) return;
+
+    const frame = this.toFrame(metadata.mediaTime);
+
+    // How far the currentTime-based frame (the rAF path) would be from the presented frame
+    const currentTimeFrames = this.toFrame(this.video.currentTime) - frame;
+    this.recordDrift(currentTimeFrames);
+
+    if (this.lastPresentedFrames !== null && metadata.presentedFrames > this.lastPresentedFrames + 1) {
+      this.stats.droppedFrames += metadata.presentedFrames - this.lastPresentedFrames - 1;
+    }
+    this.lastPresentedFrames = metadata.presentedFrames;
+
+    this.emitFrame(frame);
+    this.callbackId = this.video.requestVideoFrameCallback(this.handleVideoFrame);
+  }
+}
+
+/**
+ * Fallback sync polling video.currentTime on every animation frame
+ */
+export class AnimationFrameSync extends FrameSync {
+  constructor(video, toFrame, onFrame) {
+    super(video, toFrame, onFrame);
+    this.animationId = null;
+    this.tick = this.tick.bind(this);
+  }
+
+  get name() {
+    return 'animation-frame';
+  }
+
+  start() {
+    if (this.running) return;
+    super.start();
+    this.animationId = requestAnimationFrame(this.tick);
+  }
+
+  stop() {
+    super.stop();
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  tick() {
+    if (!this.running) return;
+
+    const frame = this.toFrame(this.video.currentTime);
+    if (frame !== this.lastFrame) {
+      this.emitFrame(frame);
+    }
+
+    this.animationId = requestAnimationFrame(this.tick);
+  }
+}
+
+/**
+ * Create the sync strategy for a video
+ * @param {HTMLVideoElement} video - Video element
+ * @param {function(number): number} toFrame - Converts media time (seconds) to a frame number
+ * @param {function(number): void} onFrame - Called with the frame to render
+ * @param {string} strategy - 'auto', 'video-frame-callback' or 'animation-frame'
+ * @returns {FrameSync}
+ */
+export function createFrameSync(video, toFrame, onFrame, strategy = 'auto') {
+  if (strategy !== 'animation-frame' && supportsVideoFrameCallback(video)) {
+    return new VideoFrameCallbackSync(video, toFrame, onFrame);
+  }
+
+  if (strategy === 'video-frame-callback') {
+    console.warn('[GIVE] requestVideoFrameCallback not supported, falling back to requestAnimationFrame sync');
+  }
+
+  return new AnimationFrameSync(video, toFrame, onFrame);
+}
+
+export default createFrameSync;
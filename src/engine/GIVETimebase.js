@@ -0,0 +1,228 @@
+/**
+ * GIVE Timebase
+ *
+ * Rational frame rates and SMPTE timecode conversion shared by the engine,
+ * script API and editor.
+ *
+ * Frame rates can be given as integers (24), rational strings ("30000/1001")
+ * or the usual decimal shorthands (29.97, 23.976, 59.94), which are mapped to
+ * their exact NTSC rationals so long videos don't accumulate error.
+ *
+ * Timecodes:
+ * - HH:MM:SS:FF  non-drop-frame (frames counted at the nominal rate)
+ * - HH:MM:SS;FF  drop-frame (29.97 / 59.94 only)
+ * - HH:MM:SS.mmm wall-clock time
+ */
+
+// Tolerance when converting media time to frames. Containers often store
+// timestamps rounded to the millisecond, which can land just before a frame
+// boundary and floor to the previous frame.
+const TIME_EPSILON = 0.001;
+
+// Nominal rates that have an NTSC (x1000/1001) variant
+const NTSC_NOMINAL_RATES = [24, 30, 48, 60, 120];
+
+// Nominal rates for which SMPTE defines drop-frame timecode
+const DROP_FRAME_NOMINAL_RATES = [30, 60];
+
+const pad = (value, length = 2) => value.toString().padStart(length, '0');
+
+export class Timebase {
+  /**
+   * @param {number} numerator - Frames
+   * @param {number} denominator - Per this many seconds
+   * @param {Object} options - Options
+   * @param {boolean} options.dropFrame - Use drop-frame timecode (default: true when supported)
+   */
+  constructor(numerator, denominator = 1, options = {}) {
+    if (!(numerator > 0) || !(denominator > 0)) {
+      throw new Error(`GIVE Timebase: Invalid frame rate ${numerator}/${denominator}`);
+    }
+
+    this.numerator = numerator;
+    this.denominator = denominator;
+    this.dropFrame = this.supportsDropFrame && options.dropFrame !== false;
+  }
+
+  /**
+   * Create a timebase from a frame rate definition
+   * @param {number|string|Timebase} fps - 24, 29.97, "30000/1001", "24" or an existing Timebase
+   * @param {Object} options - Options passed to the constructor
+   * @returns {Timebase}
+   */
+  static parse(fps, options = {}) {
+    if (fps instanceof Timebase) {
+      return options.dropFrame === undefined
+        ? fps
+        : new Timebase(fps.numerator, fps.denominator, options);
+    }
+
+    if (typeof fps === 'string') {
+      const match = fps.trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+      if (match) {
+        return new Timebase(Number(match[1]), Number(match[2]), options);
+      }
+      fps = Number(fps);
+    }
+
+    if (typeof fps !== 'number' || !Number.isFinite(fps) || fps <= 0) {
+      throw new Error(`GIVE Timebase: Invalid frame rate ${fps}`);
+    }
+
+    if (Number.isInteger(fps)) {
+      return new Timebase(fps, 1, options);
+    }
+
+    // Map decimal NTSC shorthands (23.976, 29.97, 59.94...) to exact rationals
+    for (const nominal of NTSC_NOMINAL_RATES) {
+      if (Math.abs(fps - nominal * 1000 / 1001) < 0.01) {
+        return new Timebase(nominal * 1000, 1001, options);
+      }
+    }
+
+    return new Timebase(Math.round(fps * 1000), 1000, options);
+  }
+
+  /**
+   * Frame rate as a number
+   */
+  get fps() {
+    return this.numerator / this.denominator;
+  }
+
+  /**
+   * Frames per timecode second (30 for 29.97)
+   */
+  get nominalFps() {
+    return Math.round(this.fps);
+  }
+
+  /**
+   * Whether this rate has a SMPTE drop-frame timecode
+   */
+  get supportsDropFrame() {
+    return this.denominator === 1001 && DROP_FRAME_NOMINAL_RATES.includes(Math.round(this.numerator / 1000));
+  }
+
+  /**
+   * Convert time to frame number
+   * @param {number} time - Time in seconds
+   * @returns {number} Frame number
+   */
+  timeToFrame(time) {
+    return Math.floor((time + TIME_EPSILON) * this.numerator / this.denominator);
+  }
+
+  /**
+   * Convert frame number to time
+   * @param {number} frame - Frame number
+   * @returns {number} Time in seconds (start of the frame)
+   */
+  frameToTime(frame) {
+    return frame * this.denominator / this.numerator;
+  }
+
+  /**
+   * Convert a duration in seconds to a whole number of frames
+   * @param {number} seconds - Duration in seconds
+   * @returns {number} Frame count
+   */
+  secondsToFrames(seconds) {
+    return Math.round(seconds * this.numerator / this.denominator);
+  }
+
+  /**
+   * Create a timecode string from frame number
+   * @param {number} frame - Frame number
+   * @param {Object} options - Options
+   * @param {boolean} options.dropFrame - Override drop-frame setting
+   * @returns {string} Timecode (HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame)
+   */
+  frameToTimecode(frame, options = {}) {
+    const nominal = this.nominalFps;
+    const dropFrame = (options.dropFrame !== undefined ? options.dropFrame : this.dropFrame) && this.supportsDropFrame;
+    let labelFrame = Math.max(0, Math.floor(frame));
+
+    if (dropFrame) {
+      // Frame numbers 0 and 1 (0-3 at 59.94) are skipped every minute except every tenth
+      const dropped = nominal / 15;
+      const framesPer10Minutes = nominal * 600 - dropped * 9;
+      const framesPerMinute = nominal * 60 - dropped;
+      const tenMinuteBlocks = Math.floor(labelFrame / framesPer10Minutes);
+      const remainder = labelFrame % framesPer10Minutes;
+
+      labelFrame += dropped * 9 * tenMinuteBlocks;
+      if (remainder > dropped) {
+        labelFrame += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+      }
+    }
+
+    const frames = labelFrame % nominal;
+    const totalSeconds = Math.floor(labelFrame / nominal);
+    const seconds = totalSeconds % 60;
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const hours = Math.floor(totalSeconds / 3600);
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${dropFrame ? ';' : ':'}${pad(frames)}`;
+  }
+
+  /**
+   * Parse timecode string to frame number
+   * @param {string} timecode - HH:MM:SS:FF, HH:MM:SS;FF (drop-frame) or HH:MM:SS.mmm
+   * @returns {number} Frame number
+   */
+  timecodeToFrame(timecode) {
+    const frameMatch = timecode.trim().match(/^(\d+)[:;](\d+)[:;](\d+)([:;])(\d+)$/);
+
+    if (frameMatch) {
+      const [, hours, minutes, seconds, separator, frames] = frameMatch;
+      const nominal = this.nominalFps;
+      let frame = (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * nominal + Number(frames);
+
+      if (separator === ';') {
+        if (!this.supportsDropFrame) {
+          throw new Error(`GIVE Timebase: Drop-frame timecode ${timecode} requires 29.97 or 59.94 fps`);
+        }
+        const totalMinutes = Number(hours) * 60 + Number(minutes);
+        frame -= (nominal / 15) * (totalMinutes - Math.floor(totalMinutes / 10));
+      }
+
+      return frame;
+    }
+
+    // Handle millisecond timecode HH:MM:SS.mmm
+    const [time, ms] = timecode.split('.');
+    const [hours, minutes, seconds] = time.split(':').map(Number);
+    const milliseconds = Number(`0.${ms || '0'}`);
+
+    const totalSeconds = hours * 3600 + minutes * 60 + seconds + milliseconds;
+    return this.secondsToFrames(totalSeconds);
+  }
+
+  /**
+   * Format a time in seconds as HH:MM:SS.mmm
+   * @param {number} time - Time in seconds
+   * @returns {string}
+   */
+  formatTime(time) {
+    const totalMs = Math.floor(time * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const seconds = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(totalMs % 1000, 3)}`;
+  }
+
+  /**
+   * Serialize for project files: a number for integer rates, "num/den" otherwise
+   * @returns {number|string}
+   */
+  toJSON() {
+    return this.denominator === 1 ? this.numerator : `${this.numerator}/${this.denominator}`;
+  }
+
+  toString() {
+    return String(this.toJSON());
+  }
+}
+
+export default Timebase;
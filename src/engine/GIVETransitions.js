@@ -0,0 +1,116 @@
+/**
+ * GIVE Transitions
+ *
+ * Enter/exit transitions for overlays, computed purely from the frame number
+ * so scrubbing shows exactly what playback shows:
+ *
+ * transition: { in: 'pop', out: 'fade', durationFrames: 12 }
+ *
+ * `inFrames` / `outFrames` override `durationFrames` for one side.
+ *
+ * Types: fade, slide-left, slide-right, slide-top, slide-bottom (slide in from /
+ * out to that edge), pop (Pop-Up Video style scale "bloop") and typewriter
+ * (character reveal for text, caption and popup overlays).
+ */
+
+import { resolveEasing } from './GIVEKeyframes.js';
+
+export const TRANSITION_TYPES = [
+  'fade',
+  'slide-left',
+  'slide-right',
+  'slide-top',
+  'slide-bottom',
+  'pop',
+  'typewriter'
+];
+
+// Overlay types that support the typewriter reveal
+export const TYPEWRITER_TYPES = ['text', 'caption', 'popup'];
+
+const DEFAULT_DURATION_FRAMES = 12;
+
+// Overshooting curve for the pop "bloop"
+const POP_EASING = 'cubic-bezier(0.34, 1.56, 0.64, 1)';
+
+/**
+ * Apply a single transition at a given progress
+ * @param {Object} state - Transition state being built (modified)
+ * @param {string} type - Transition type
+ * @param {number} progress - 0 (hidden) to 1 (fully shown)
+ * @param {Object} overlay - Overlay definition
+ * @param {{width: number, height: number}} frameSize - Video dimensions
+ * @param {boolean} entering - True for the "in" transition
+ */
+function applyTransition(state, type, progress, overlay, frameSize, entering) {
+  const x = overlay.x || 0;
+  const y = overlay.y || 0;
+  const width = overlay.width || 0;
+  const height = overlay.height || 0;
+  const eased = resolveEasing(entering ? 'ease-out' : 'ease-in')(progress);
+  const remaining = 1 - eased;
+
+  switch (type) {
+    case 'fade':
+      state.opacity *= eased;
+      break;
+    case 'slide-left':
+      state.offsetX -= (x + width) * remaining;
+      break;
+    case 'slide-right':
+      state.offsetX += (frameSize.width - x) * remaining;
+      break;
+    case 'slide-top':
+      state.offsetY -= (y + height) * remaining;
+      break;
+    case 'slide-bottom':
+      state.offsetY += (frameSize.height - y) * remaining;
+      break;
+    case 'pop':
+      state.scale *= entering ? resolveEasing(POP_EASING)(progress) : eased;
+      break;
+    case 'typewriter':
+      if (TYPEWRITER_TYPES.includes(overlay.type) && typeof overlay.content === 'string') {
+        const chars = Math.floor(overlay.content.length * progress);
+        state.reveal = state.reveal === null ? chars : Math.min(state.reveal, chars);
+      }
+      break;
+  }
+}
+
+/**
+ * Compute the transition state of an overlay at a frame
+ * @param {Object} overlay - Overlay definition with a `transition` field
+ * @param {number} frame - Frame number
+ * @param {{width: number, height: number}} frameSize - Video dimensions (for slides)
+ * @returns {{opacity: number, offsetX: number, offsetY: number, scale: number, reveal: number|null}|null}
+ *   Null if the overlay has no transition. `reveal` is the number of visible characters
+ *   for typewriter transitions (null = all).
+ */
+export function getTransitionState(overlay, frame, frameSize) {
+  const transition = overlay.transition;
+  if (!transition) return null;
+
+  const duration = transition.durationFrames || DEFAULT_DURATION_FRAMES;
+  const inFrames = Math.max(1, transition.inFrames || duration);
+  const outFrames = Math.max(1, transition.outFrames || duration);
+  const state = { opacity: 1, offsetX: 0, offsetY: 0, scale: 1, reveal: null };
+
+  if (transition.in) {
+    const progress = Math.max(0, Math.min(1, (frame - overlay.frameStart) / inFrames));
+    if (progress < 1) {
+      applyTransition(state, transition.in, progress, overlay, frameSize, true);
+    }
+  }
+
+  if (transition.out) {
+    const progress = Math.max(0, Math.min(1, (overlay.frameEnd - frame) / outFrames));
+    if (progress < 1) {
+      applyTransition(state, transition.out, progress, overlay, frameSize, false);
+    }
+  }
+
+  return state;
+}
+
+export default getTransitionState;
@@ -4,6 +4,11 @@
 
 export { GIVEEngine } from './GIVEEngine.js';
 export { GIVEScript } from './GIVEScript.js';
+export { ENGINE_EVENTS } from './GIVEEvents.js';
+export { DEFAULT_GAMEPAD_MAPPING } from './GIVEGamepad.js';
+export { validateProject, formatProblems, PROJECT_SCHEMA, OVERLAY_SCHEMA, OVERLAY_SCHEMAS } from './GIVESchema.js';
+export { migrateProject, PROJECT_VERSION } from './GIVEMigrations.js';
+export { resolveAnchors, describeAnchor } from './GIVESequencing.js';
 
 // Default export
 import { GIVEEngine } from './GIVEEngine.js';
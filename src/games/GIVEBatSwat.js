@@ -0,0 +1,147 @@
+/**
+ * GIVE Bat Swat
+ *
+ * Example minigame: swat the bat a few times before time runs out. Click/tap the
+ * bat, or steer the crosshair with the arrow keys (or D-pad) and press SPACE (A).
+ *
+ * import { batSwat } from './src/games/GIVEBatSwat.js';
+ * engine.registerMinigame('bat-swat', batSwat);
+ *
+ * {
+ *   "type": "minigame",
+ *   "game": "bat-swat",
+ *   "frameStart": 1200, "frameEnd": 1248,
+ *   "timeLimit": 5,
+ *   "params": { "hits": 3 },
+ *   "onLose": { "target": "bitten" }
+ * }
+ */
+
+const ARROWS = { LEFT: [-1, 0], RIGHT: [1, 0], UP: [0, -1], DOWN: [0, 1] };
+
+export const batSwat = {
+  params: {
+    hits: 3,          // Swats needed to win
+    speed: 420,       // Bat speed in pixels per second (grows with each hit)
+    radius: 56,       // Hit radius around the bat
+    crosshairSpeed: 900
+  },
+  timeLimit: 5,
+
+  /**
+   * Centre the crosshair and launch the bat
+   */
+  start(game) {
+    game.state = {
+      hits: 0,
+      crosshair: { x: game.width / 2, y: game.height / 2 },
+      bat: null,
+      flash: 0
+    };
+    batSwat.launch(game);
+  },
+
+  /**
+   * Send the bat off from a random edge
+   */
+  launch(game) {
+    const { speed } = game.params;
+    const angle = Math.random() * Math.PI * 2;
+    const boost = 1 + game.state.hits * 0.25;
+
+    game.state.bat = {
+      x: Math.random() < 0.5 ? game.width * 0.15 : game.width * 0.85,
+      y: game.height * (0.2 + Math.random() * 0.6),
+      vx: Math.cos(angle) * speed * boost,
+      vy: Math.sin(angle) * speed * boost
+    };
+  },
+
+  update(game, dt) {
+    const { state, params, input } = game;
+    const { bat, crosshair } = state;
+
+    // Bat bounces around the game area
+    bat.x += bat.vx * dt;
+    bat.y += bat.vy * dt;
+    if (bat.x < params.radius || bat.x > game.width - params.radius) bat.vx = -bat.vx;
+    if (bat.y < params.radius || bat.y > game.height - params.radius) bat.vy = -bat.vy;
+    bat.x = Math.max(params.radius, Math.min(game.width - params.radius, bat.x));
+    bat.y = Math.max(params.radius, Math.min(game.height - params.radius, bat.y));
+
+    // Crosshair follows the arrows, or the pointer
+    for (const [key, [dx, dy]] of Object.entries(ARROWS)) {
+      if (input.isDown(key)) {
+        crosshair.x = Math.max(0, Math.min(game.width, crosshair.x + dx * params.crosshairSpeed * dt));
+        crosshair.y = Math.max(0, Math.min(game.height, crosshair.y + dy * params.crosshairSpeed * dt));
+      }
+    }
+    if (input.pointer.pressed) {
+      crosshair.x = input.pointer.x;
+      crosshair.y = input.pointer.y;
+    }
+
+    state.flash = Math.max(0, state.flash - dt);
+
+    if (input.pointer.pressed || input.wasPressed('SPACE')) {
+      const distance = Math.hypot(crosshair.x - bat.x, crosshair.y - bat.y);
+      if (distance <= params.radius) {
+        state.hits++;
+        state.flash = 0.15;
+        if (state.hits >= params.hits) {
+          game.win({ hits: state.hits });
+          return;
+        }
+        batSwat.launch(game);
+      }
+    }
+  },
+
+  render(ctx, game) {
+    const { state, params } = game;
+    const { bat, crosshair } = state;
+
+    ctx.fillStyle = state.flash > 0 ? 'rgba(255, 255, 255, 0.35)' : 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(0, 0, game.width, game.height);
+
+    // Bat: body and flapping wings
+    const flap = Math.sin(game.time * 30) * params.radius * 0.4;
+    ctx.fillStyle = '#1a1a1a';
+    ctx.beginPath();
+    ctx.moveTo(bat.x, bat.y);
+    ctx.lineTo(bat.x - params.radius, bat.y - flap);
+    ctx.lineTo(bat.x - params.radius * 0.5, bat.y + params.radius * 0.2);
+    ctx.closePath();
+    ctx.moveTo(bat.x, bat.y);
+    ctx.lineTo(bat.x + params.radius, bat.y - flap);
+    ctx.lineTo(bat.x + params.radius * 0.5, bat.y + params.radius * 0.2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(bat.x, bat.y, params.radius * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Crosshair
+    ctx.strokeStyle = '#ff3333';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(crosshair.x, crosshair.y, 24, 0, Math.PI * 2);
+    ctx.moveTo(crosshair.x - 36, crosshair.y);
+    ctx.lineTo(crosshair.x + 36, crosshair.y);
+    ctx.moveTo(crosshair.x, crosshair.y - 36);
+    ctx.lineTo(crosshair.x, crosshair.y + 36);
+    ctx.stroke();
+
+    // Instruction, hit count and time left
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 48px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`SWAT THE BAT! ${state.hits}/${params.hits}`, game.width / 2, 24);
+
+    ctx.fillStyle = '#ffcc00';
+    ctx.fillRect(0, game.height - 12, game.width * (game.timeLeft / game.timeLimit), 12);
+  }
+};
+
+export default batSwat;
@@ -0,0 +1,70 @@
+/**
+ * GIVE Lower Third
+ *
+ * Example custom overlay type: a broadcast-style name/title bar.
+ *
+ * import { lowerThird } from './src/overlays/GIVELowerThird.js';
+ * engine.registerOverlayType('lower-third', lowerThird);
+ *
+ * {
+ *   "type": "lower-third",
+ *   "content": "Count Orlok",
+ *   "subtitle": "Real estate enthusiast",
+ *   "x": 80, "y": 860,
+ *   "frameStart": 240, "frameEnd": 360
+ * }
+ */
+
+export const lowerThird = {
+  defaults: {
+    width: 640,
+    height: 110,
+    subtitle: '',
+    style: {
+      barColor: 'rgba(0, 0, 0, 0.8)',
+      accentColor: '#ff6b35',
+      accentWidth: 12,
+      color: '#ffffff',
+      subtitleColor: '#cccccc',
+      fontSize: 40,
+      subtitleSize: 24,
+      fontFamily: 'sans-serif'
+    }
+  },
+
+  /**
+   * Draw the bar, accent stripe and one or two lines of text
+   */
+  render(ctx, overlay, engine) {
+    const { x, y, width, height } = lowerThird.bounds(overlay, engine);
+    const style = overlay.style;
+    const textX = x + style.accentWidth + 20;
+    const textWidth = width - (textX - x) - 20;
+
+    ctx.fillStyle = style.barColor;
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = style.accentColor;
+    ctx.fillRect(x, y, style.accentWidth, height);
+
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = style.color;
+    ctx.font = `bold ${style.fontSize}px ${style.fontFamily}`;
+    ctx.fillText(overlay.content, textX, y + 14, textWidth);
+
+    if (overlay.subtitle) {
+      ctx.fillStyle = style.subtitleColor;
+      ctx.font = `${style.subtitleSize}px ${style.fontFamily}`;
+      ctx.fillText(overlay.subtitle, textX, y + 20 + style.fontSize, textWidth);
+    }
+  },
+
+  /**
+   * The bar shrinks to a single line when there is no subtitle
+   */
+  bounds(overlay) {
+    const height = overlay.subtitle ? overlay.height : overlay.style.fontSize + 28;
+    return { x: overlay.x, y: overlay.y, width: overlay.width, height };
+  }
+};
+
+export default lowerThird;
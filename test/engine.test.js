@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from './helpers.js';
+import { GIVEScript } from '../src/engine/GIVEScript.js';
+
+const countCalls = (object, method) => {
+  const original = object[method].bind(object);
+  const counter = { calls: 0 };
+  object[method] = (...args) => {
+    counter.calls++;
+    return original(...args);
+  };
+  return counter;
+};
+
+test('loading a script indexes, resolves anchors and draws once', () => {
+  const engine = createEngine();
+  const script = new GIVEScript(engine);
+  const renders = countCalls(engine, 'render');
+  const builds = countCalls(engine.overlayIndex, 'build');
+  const inserts = countCalls(engine.overlayIndex, 'insert');
+
+  const overlays = [];
+  for (let i = 0; i < 200; i++) {
+    overlays.push({ id: `cap${i}`, type: 'caption', content: `${i}`, frameStart: 0, frameEnd: 9, anchor: i > 0 ? { after: `cap${i - 1}` } : undefined });
+  }
+  overlays.reverse(); // Anchored to overlays that don't exist yet when they're added
+  script.loadScript({ overlays });
+
+  assert.equal(renders.calls, 1);
+  assert.equal(builds.calls, 1);
+  assert.equal(inserts.calls, 0);
+  assert.equal(engine.getOverlay('cap199').frameStart, 1990);
+  assert.deepEqual(script.getAtFrame(1995).map(overlay => overlay.id), ['cap199']);
+});
+
+test('batches nest and only the outermost one finishes the work', () => {
+  const engine = createEngine();
+  const renders = countCalls(engine, 'render');
+
+  const id = engine.batch(() => {
+    engine.addOverlay({ id: 'a', type: 'caption', content: 'a', frameStart: 10, frameEnd: 19 });
+    engine.batch(() => {
+      engine.addOverlay({ id: 'b', type: 'caption', content: 'b', frameStart: 0, frameEnd: 4, anchor: { after: 'a', gap: 2 } });
+    });
+    assert.equal(renders.calls, 0);
+    engine.updateOverlay('a', { frameEnd: 29 });
+    return 'b';
+  });
+
+  assert.equal(renders.calls, 1);
+  assert.equal(engine.getOverlay(id).frameStart, 32);
+  assert.deepEqual(engine.getOverlaysInRange(32, 32).map(overlay => overlay.id), ['b']);
+});
+
+test('a batch still finishes when its changes throw', () => {
+  const engine = createEngine();
+  assert.throws(() => engine.batch(() => {
+    engine.addOverlay({ id: 'a', type: 'caption', content: 'a', frameStart: 10, frameEnd: 19 });
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(engine.batchDepth, 0);
+  assert.deepEqual(engine.getOverlaysInRange(12, 12).map(overlay => overlay.id), ['a']);
+});
+
+test('removing every listener leaves QTEs, choices, state and scoring working', () => {
+  const engine = createEngine();
+  engine.addOverlay({ id: 'tap', type: 'qte', key: 'X', x: 100, y: 100, frameStart: 0, frameEnd: 40 });
+  engine.addOverlay({
+    id: 'door', type: 'choice', prompt: 'Open it?', x: 100, y: 300, frameStart: 0, frameEnd: 40,
+    options: [{ label: 'Yes', target: 200, effects: { set: { opened: true } } }]
+  });
+  engine.render();
+  engine.removeAllListeners();
+  engine.removeAllListeners('qte:result');
+
+  engine.qte.handleKey({ key: 'x', repeat: false });
+  engine.story.choose(engine.getOverlay('door'), 0);
+
+  assert.equal(engine.qte.getResult('tap').success, true);
+  assert.ok(engine.scoring.getResults().score > 0);
+  assert.equal(engine.scoring.getResults().choices, 1);
+  assert.equal(engine.state.get('opened'), true);
+  assert.equal(engine.currentFrame, 200);
+});
+
+test('overlays loaded before their type is registered get its defaults', () => {
+  const engine = createEngine();
+  engine.loadProject({
+    fps: 24,
+    overlays: [
+      { id: 'name', type: 'lower-third', content: 'Count Orlok', frameStart: 0, frameEnd: 48 },
+      { id: 'own', type: 'lower-third', content: 'Ellen', frameStart: 0, frameEnd: 48, style: { color: '#fff' } }
+    ]
+  });
+
+  engine.registerOverlayType('lower-third', {
+    render() {},
+    defaults: { x: 80, y: 600, style: { color: '#ff0', fontSize: 32 } }
+  });
+
+  assert.equal(engine.getOverlay('name').x, 80);
+  assert.deepEqual(engine.getOverlay('name').style, { color: '#ff0', fontSize: 32 });
+  assert.deepEqual(engine.getOverlay('own').style, { color: '#fff', fontSize: 32 });
+});
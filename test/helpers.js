@@ -0,0 +1,61 @@
+/**
+ * Test helpers
+ *
+ * Just enough of the browser for the engine to run under `node --test`: a context
+ * that draws nothing, a stand-in video element, and document/window event targets that are never fired.
+ * Canvases made with document.createElement get the same context.
+ */
+
+const eventTarget = () => ({ addEventListener() {}, removeEventListener() {} });
+
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = { ...eventTarget(), createElement: () => ({ getContext: () => createContext() }) };
+}
+if (typeof globalThis.window === 'undefined') globalThis.window = eventTarget();
+if (typeof globalThis.Image === 'undefined') globalThis.Image = class {};
+
+const { GIVEEngine } = await import('../src/engine/GIVEEngine.js');
+
+/**
+ * A 2D context that accepts every call and draws nothing
+ */
+export function createContext() {
+  const context = {
+    measureText: text => ({ width: String(text).length * 8 }),
+    createLinearGradient: () => ({ addColorStop() {} }),
+    createRadialGradient: () => ({ addColorStop() {} })
+  };
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+/**
+ * Create a 1280x720, 10000-frame engine with a fake video and context, no gamepad or audio
+ * @param {Object} options - Engine options
+ * @returns {GIVEEngine}
+ */
+export function createEngine(options = {}) {
+  const engine = new GIVEEngine({ gamepad: false, audio: false, ...options });
+  engine.ctx = createContext();
+  engine.videoWidth = 1280;
+  engine.videoHeight = 720;
+  engine.totalFrames = 10000;
+  engine.video = { currentTime: 0, playbackRate: 1, paused: true, play() { this.paused = false; }, pause() { this.paused = true; } };
+  return engine;
+}
+
+/**
+ * Play frames one at a time through the render loop, as the sync strategy would
+ * @param {GIVEEngine} engine - Engine (playing)
+ * @param {number} to - Last frame presented
+ */
+export function playTo(engine, to) {
+  for (let frame = engine.currentFrame + 1; frame <= to; frame++) {
+    engine.renderLoop(frame);
+  }
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from './helpers.js';
+
+const hotspot = (extra = {}) => ({
+  id: 'lamp', type: 'hotspot', shape: 'rect', x: 100, y: 100, width: 50, height: 50,
+  frameStart: 0, frameEnd: 100, ...extra
+});
+
+test('a keyframed hotspot is hit where it is drawn', () => {
+  const engine = createEngine();
+  engine.addOverlay(hotspot({
+    keyframes: [{ frame: 0, x: 100, y: 100 }, { frame: 100, x: 500, y: 100 }]
+  }));
+  engine.seekToFrame(50); // Halfway: drawn at x 300
+  const overlay = engine.getOverlay('lamp');
+
+  assert.equal(engine.hitTest({ x: 325, y: 125 }, overlay), true);
+  assert.equal(engine.hitTest({ x: 125, y: 125 }, overlay), false);
+  assert.deepEqual(engine.getOverlayBounds(overlay), { x: 300, y: 100, width: 50, height: 50 });
+  assert.equal(engine.checkCollision(325, 125)?.id, 'lamp');
+  assert.equal(engine.checkCollision(125, 125), null);
+});
+
+test('a scaled, rotated hotspot is hit inside its drawn shape', () => {
+  const engine = createEngine();
+  engine.addOverlay(hotspot({ transform: { scale: 2, rotate: 45 } }));
+  engine.seekToFrame(10);
+  const overlay = engine.getOverlay('lamp');
+
+  // Center stays at 125,125; doubled and turned, it's a diamond reaching ~70px along the axes
+  assert.equal(engine.hitTest({ x: 125, y: 185 }, overlay), true);
+  assert.equal(engine.hitTest({ x: 60, y: 125 }, overlay), true);
+  assert.equal(engine.hitTest({ x: 170, y: 170 }, overlay), false);
+});
+
+test('a hotspot sliding in is hit at its transition offset', () => {
+  const engine = createEngine();
+  engine.addOverlay(hotspot({ transition: { in: 'slide-left', durationFrames: 20 } }));
+  engine.seekToFrame(0);
+  const overlay = engine.getOverlay('lamp');
+  const bounds = engine.getOverlayBounds(overlay);
+
+  assert.notEqual(bounds.x, 100);
+  assert.equal(engine.hitTest({ x: bounds.x + 25, y: 125 }, overlay), true);
+  assert.equal(engine.hitTest({ x: 125, y: 125 }, overlay), bounds.x <= 125 && bounds.x + 50 >= 125);
+});
+
+test('tapping a keyframed QTE button presses its key', () => {
+  const engine = createEngine();
+  engine.addOverlay({
+    id: 'duck', type: 'qte', key: 'X', x: 100, y: 100, frameStart: 0, frameEnd: 100,
+    keyframes: [{ frame: 0, y: 100 }, { frame: 100, y: 300 }]
+  });
+  engine.seekToFrame(50); // Drawn 100px lower
+  const overlay = engine.getOverlay('duck');
+
+  assert.equal(engine.qte.handlePointerDown(overlay, { x: 130, y: 130 }), false);
+  assert.equal(engine.qte.handlePointerDown(overlay, { x: 130, y: 230 }), true);
+  assert.equal(engine.qte.getResult('duck').success, true);
+});
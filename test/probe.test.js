@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './helpers.js';
+import { probeFrameRate } from '../src/engine/GIVEFrameRateProbe.js';
+
+/**
+ * A video that accepts seeks but never reports one finished
+ */
+function stalledVideo(overrides = {}) {
+  const listeners = new Set();
+  return {
+    listeners,
+    currentTime: 5,
+    duration: 120,
+    muted: false,
+    paused: true,
+    play() { this.paused = false; return Promise.resolve(); },
+    pause() { this.paused = true; },
+    requestVideoFrameCallback() {},
+    addEventListener(type, listener) { listeners.add(listener); },
+    removeEventListener(type, listener) { listeners.delete(listener); },
+    ...overrides
+  };
+}
+
+test('a video that never finishes seeking gives up instead of hanging', async () => {
+  const video = stalledVideo();
+
+  const result = await probeFrameRate(video, { timeout: 20 });
+
+  assert.equal(result.fps, null);
+  assert.equal(result.confidence, 0);
+  assert.equal(video.listeners.size, 0);
+  assert.equal(video.muted, false);
+  assert.equal(video.paused, true);
+});
+
+test('a video that was playing and now refuses to play again is left paused', async () => {
+  const rejected = [];
+  const onRejection = reason => rejected.push(reason);
+  process.on('unhandledRejection', onRejection);
+  const video = stalledVideo({
+    paused: false,
+    play() { return Promise.reject(new Error('NotAllowedError')); }
+  });
+
+  try {
+    await probeFrameRate(video, { timeout: 20 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+  } finally {
+    process.off('unhandledRejection', onRejection);
+  }
+
+  assert.deepEqual(rejected, []);
+  assert.equal(video.paused, true);
+});
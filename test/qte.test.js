@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine, playTo } from './helpers.js';
+
+const holdQTE = playback => ({
+  id: 'hold', type: 'qte', mode: 'hold', key: 'X', holdFrames: 12,
+  x: 100, y: 100, frameStart: 10, frameEnd: 40, playback
+});
+
+test('a hold completes while playback is frozen on it', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const engine = createEngine();
+  engine.setFrameRate(24);
+  engine.addOverlay(holdQTE('freeze'));
+  engine.isPlaying = true;
+
+  playTo(engine, 15);
+  assert.equal(engine.currentFrame, 10);
+  assert.ok(engine.hold, 'frozen on the QTE');
+
+  engine.qte.handleKey({ key: 'x', repeat: false });
+  playTo(engine, 30); // Frames keep arriving but are ignored while frozen
+  t.mock.timers.tick(250);
+  assert.equal(engine.qte.getResult('hold'), undefined);
+  assert.ok(engine.qte.getProgress(engine.getOverlay('hold')) > 0);
+
+  t.mock.timers.tick(300);
+  const result = engine.qte.getResult('hold');
+  assert.equal(result && result.success, true);
+  assert.equal(engine.hold, null, 'released after the hold');
+  assert.equal(engine.qte.holdTimer, null);
+});
+
+test('a hold started near the end of a loop completes across the jump back', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const engine = createEngine();
+  engine.setFrameRate(24);
+  engine.addOverlay(holdQTE({ mode: 'loop', from: 10, to: 20 }));
+  engine.isPlaying = true;
+
+  const loops = [];
+  engine.on('frame', ({ source }) => {
+    if (source === 'loop') loops.push(engine.currentFrame);
+  });
+
+  playTo(engine, 18);
+  engine.qte.handleKey({ key: 'x', repeat: false });
+  for (let i = 0; i < 13; i++) {
+    t.mock.timers.tick(1000 / 24);
+    engine.renderLoop(engine.currentFrame + 1);
+  }
+
+  assert.deepEqual(loops, [10], 'looped back once');
+  const result = engine.qte.getResult('hold');
+  assert.equal(result && result.success, true);
+});
+
+test('releasing a hold early starts it over', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const engine = createEngine();
+  engine.setFrameRate(24);
+  engine.addOverlay(holdQTE('freeze'));
+  engine.isPlaying = true;
+  playTo(engine, 10);
+
+  engine.qte.handleKey({ key: 'x', repeat: false });
+  t.mock.timers.tick(250);
+  engine.qte.handleKeyUp({ key: 'x' });
+  assert.equal(engine.qte.getProgress(engine.getOverlay('hold')), 0);
+  assert.equal(engine.qte.holdTimer, null);
+
+  t.mock.timers.tick(1000);
+  assert.equal(engine.qte.getResult('hold'), undefined);
+});
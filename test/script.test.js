@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from './helpers.js';
+import { GIVEScript } from '../src/engine/GIVEScript.js';
+import { PROJECT_VERSION } from '../src/engine/GIVEMigrations.js';
+
+test('exportScript round-trips a drop-frame rate through loadProject', () => {
+  const engine = createEngine();
+  engine.setFrameRate('30000/1001', { dropFrame: true, pin: true });
+  const script = new GIVEScript(engine);
+  script.caption('Ten minutes in', '00:10:00;00', '00:10:02;00');
+  const timecode = script.frameToTimecode(engine.overlays[0].frameStart);
+
+  const exported = script.exportScript();
+  assert.equal(exported.version, PROJECT_VERSION);
+  assert.equal(exported.dropFrame, true);
+
+  const loaded = createEngine();
+  loaded.loadProject(JSON.parse(JSON.stringify(exported)));
+  assert.equal(loaded.timebase.dropFrame, true);
+  assert.equal(loaded.timebase.toJSON(), '30000/1001');
+  assert.equal(loaded.timebase.frameToTimecode(loaded.overlays[0].frameStart), timecode);
+  assert.equal(timecode, '00:10:00;00');
+});
+
+test('sequence() with key names builds a key sequence QTE', () => {
+  const script = new GIVEScript(createEngine());
+  for (const id of [
+    script.sequence(['up', 'up', 'down'], 800, 500, 100, { duration: 2 }),
+    script.keySequence(['up', 'up', 'down'], 800, 500, 100, { duration: 2 })
+  ]) {
+    const overlay = script.get(id);
+    assert.equal(overlay.type, 'qte');
+    assert.equal(overlay.mode, 'sequence');
+    assert.deepEqual(overlay.keys, ['UP', 'UP', 'DOWN']);
+  }
+});
+
+test('sequence() anchors each overlay after the last, and retiming one moves the rest', () => {
+  const engine = createEngine();
+  engine.setFrameRate(24);
+  const script = new GIVEScript(engine);
+  const ids = script.sequence([
+    { type: 'caption', content: 'Three', duration: 1 },
+    { type: 'caption', content: 'Two', duration: 1, gap: 6 },
+    { type: 'caption', content: 'One', frameStart: 0, frameEnd: 23 }
+  ], { start: 100, gap: 12 });
+
+  const frames = () => ids.map(id => [script.get(id).frameStart, script.get(id).frameEnd]);
+  assert.deepEqual(frames(), [[100, 124], [131, 155], [168, 191]]);
+
+  script.update(ids[0], { frameEnd: 148 });
+  assert.deepEqual(frames(), [[100, 148], [155, 179], [192, 215]]);
+});
+
+test('sequence() and together() reject anything but overlay definitions', () => {
+  const script = new GIVEScript(createEngine());
+  assert.throws(() => script.sequence([{ type: 'caption', content: 'x', frameStart: 0 }, 'UP']), /sequence\(\) takes an array of overlay definitions/);
+  assert.throws(() => script.together([{ type: 'caption', content: 'x', frameStart: 0 }, 'UP']), /together\(\)/);
+  assert.deepEqual(script.sequence([]), []);
+});
+
+test('together() anchors the rest to the first', () => {
+  const script = new GIVEScript(createEngine());
+  const [first, second] = script.together([
+    { type: 'popup', content: 'Listen!', x: 200, y: 150, frameStart: 400, duration: 3 },
+    { type: 'audio', src: 'creak.mp3', offset: 6, duration: 1 }
+  ]);
+  assert.equal(script.get(second).frameStart, 406);
+  script.update(first, { frameStart: 500, frameEnd: 572 });
+  assert.equal(script.get(second).frameStart, 506);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from './helpers.js';
+
+const choice = {
+  id: 'door', type: 'choice', prompt: 'Open it?', x: 100, y: 100, frameStart: 0, frameEnd: 100,
+  options: [{ label: 'Yes', target: 200 }, { label: 'No', target: 300 }]
+};
+
+const keyEvent = (key, target = null) => ({ key, repeat: false, target, preventDefault() {} });
+
+function setup(options) {
+  const engine = createEngine(options);
+  engine.addOverlay({ ...choice, options: choice.options.map(option => ({ ...option })) });
+  engine.render();
+  return engine;
+}
+
+test('a choice is picked by its number key', () => {
+  const engine = setup();
+  engine.handleKeyPress(keyEvent('2'));
+  assert.equal(engine.story.getSelection('door').index, 1);
+});
+
+test('keys typed into form fields, buttons and editable text are not picks', () => {
+  const engine = setup();
+  engine.handleKeyPress(keyEvent('2', { tagName: 'INPUT' }));
+  engine.handleKeyPress(keyEvent('ArrowDown', { tagName: 'TEXTAREA' }));
+  engine.handleKeyPress(keyEvent('Enter', { tagName: 'DIV', isContentEditable: true }));
+  engine.handleKeyPress(keyEvent('ArrowDown', { tagName: 'SELECT' }));
+  engine.handleKeyPress(keyEvent('Enter', { tagName: 'BUTTON' }));
+  assert.equal(engine.story.getSelection('door'), null);
+  assert.equal(engine.story.getFocus(engine.getOverlay('door')), 0);
+});
+
+test('ignored keys do not confirm a choice', () => {
+  const engine = setup({ qte: { ignoreKeys: [' '] } });
+  engine.handleKeyPress(keyEvent(' '));
+  assert.equal(engine.story.getSelection('door'), null);
+
+  engine.handleKeyPress(keyEvent('Enter'));
+  assert.equal(engine.story.getSelection('door').index, 0);
+});
+
+test('gamepad A confirms a choice even when Space is an ignored key', () => {
+  const pad = { connected: true, buttons: [], axes: [] };
+  const engine = setup({ qte: { ignoreKeys: [' '] }, gamepad: { getGamepads: () => [pad] } });
+
+  engine.handleKeyPress(keyEvent(' '));
+  assert.equal(engine.story.getSelection('door'), null);
+
+  pad.buttons = [{ pressed: true }]; // A
+  engine.gamepad.poll();
+  assert.equal(engine.story.getSelection('door').index, 0);
+});
+
+test('choiceInput: false turns choice picks off', () => {
+  const engine = setup({ choiceInput: false });
+  for (const key of ['1', 'ArrowDown', ' ', 'Enter']) engine.handleKeyPress(keyEvent(key));
+  assert.equal(engine.story.getSelection('door'), null);
+});
+
+test('overlays anchored at a marker or segment follow it when it moves', () => {
+  const engine = createEngine();
+  engine.story.setMarker('door', 100);
+  engine.story.setSegment({ id: 'hall', frameStart: 300, frameEnd: 400 });
+  engine.addOverlay({ id: 'creak', type: 'caption', content: 'Creak', frameStart: 0, frameEnd: 24, anchor: { at: 'door', offset: -12 } });
+  engine.addOverlay({ id: 'title', type: 'caption', content: 'Hall', frameStart: 0, frameEnd: 24, anchor: { at: 'hall' } });
+  assert.equal(engine.getOverlay('creak').frameStart, 88);
+  assert.equal(engine.getOverlay('title').frameStart, 300);
+
+  engine.story.setMarker('door', 200);
+  engine.story.setSegment({ id: 'hall', frameStart: 500, frameEnd: 600 });
+  assert.deepEqual([engine.getOverlay('creak').frameStart, engine.getOverlay('creak').frameEnd], [188, 212]);
+  assert.equal(engine.getOverlay('title').frameStart, 500);
+  assert.deepEqual(engine.getOverlaysAtFrame(190).map(o => o.id), ['creak']);
+});